@@ -1,50 +1,182 @@
-// Constants for API configuration
-const API_ENDPOINT = 'https://api.openai.com/v1/chat/completions';
-const MODEL = 'gpt-4o';
-
-import { getMockResponse } from './mockResponses.js';
+import ProviderFactory from './js/providers/ProviderFactory.js';
+import RateLimiter, { DEFAULT_RATE_LIMITS, estimateTokens } from './js/providers/RateLimiter.js';
+import ProviderError, { ERROR_TYPES } from './js/providers/ProviderError.js';
+import { withRetry } from './js/providers/retry.js';
+import AnalysisQueue from './js/background/AnalysisQueue.js';
+import UsageTracker from './js/background/UsageTracker.js';
+import JobRepository from './js/core/JobRepository.js';
+import StorageManager, { isQuotaError, PRUNE_ALARM } from './js/background/StorageManager.js';
+import Reanalyzer from './js/background/Reanalyzer.js';
+import AdapterRegistry from './js/core/AdapterRegistry.js';
+import { parseVerdict, renderVerdictHtml, verdictToGoodFit } from './js/utils/verdict.js';
+import { buildAnalysisPrompts, resolvePromptTemplates } from './js/utils/promptTemplates.js';
+import { DEFAULT_CRITERIA, getProfile, PROFILE_STORAGE_KEYS, resolveProfiles, updateProfile } from './js/utils/profiles.js';
+import { analysisFingerprint } from './js/utils/fingerprint.js';
+import { buildCriteriaSuggestionPrompts, collectDisagreements, parseCriteriaSuggestion } from './js/utils/criteriaFeedback.js';
 
 console.log('[JobListingAssistant] Background script initialized');
 
-// Cache for API key and criteria
-let apiKey = null;
-let jobCriteria = null;
+// Cache for provider settings
+let providerSettings = null;
 
-// Default criteria if none set
-function getDefaultCriteria() {
-    return `Please consider:
-1. Required experience level
-2. Skills required
-3. Job responsibilities
-4. Company reputation
-5. Overall job quality`;
-}
+// Shared request budget for all analyses, configured from the rateLimits setting
+let rateLimits = { ...DEFAULT_RATE_LIMITS };
+const rateLimiter = new RateLimiter(rateLimits);
+
+// Output allowance added to the prompt estimate when budgeting tokens
+const OUTPUT_TOKENS_ESTIMATE = 400;
+
+// Token and cost totals, and the spend caps checked before each request
+const usageTracker = new UsageTracker();
+
+// Analyzed jobs, kept in the extension's IndexedDB rather than the job site's storage
+const jobRepository = new JobRepository();
+
+// Jobs older versions listed in chrome.storage.local move into the repository once
+jobRepository.migrateLegacyLists()
+    .then(imported => {
+        if (imported > 0) {
+            console.log(`[JobListingAssistant] Moved ${imported} saved jobs into the job repository`);
+        }
+    })
+    .catch(error => console.error('[JobListingAssistant] Error migrating saved jobs:', error));
+
+// Retention rules for the repository, applied once a day and when storage runs out
+const storageManager = new StorageManager(jobRepository);
+storageManager.schedulePruning()
+    .catch(error => console.error('[JobListingAssistant] Error scheduling pruning:', error));
+
+// The content script runs on the pages of the registered site adapters
+AdapterRegistry.syncContentScripts()
+    .catch(error => console.error('[JobListingAssistant] Error registering the content script:', error));
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === PRUNE_ALARM) {
+        storageManager.prune()
+            .catch(error => console.error('[JobListingAssistant] Error pruning the job repository:', error));
+    }
+});
+
+// Long-lived ports from content scripts, keyed by tab ID, used to stream analyses as they are generated
+const streamPorts = new Map();
+
+// Minimum time between progress messages for one analysis
+const PROGRESS_INTERVAL_MS = 150;
+
+// Analysis requests from content scripts are persisted so they survive service worker restarts.
+// Re-analyses of stored jobs share the queue, so they run within the same concurrency and rate limits
+const analysisQueue = new AnalysisQueue({
+    handler: task => task.batchId
+        ? reanalyzer.run(task)
+        : runAnalysis(task.content, task.profileId, task.sessionId, createProgressReporter(task)),
+    concurrency: rateLimits.concurrency
+});
+
+// Batches of stored jobs analyzed again from the dashboard with their saved descriptions
+const reanalyzer = new Reanalyzer({
+    analysisQueue,
+    jobRepository,
+    storageManager,
+    analyze: (content, profileId, sessionId) => runAnalysis(content, profileId, sessionId)
+});
 
 // Load saved settings
-chrome.storage.local.get(['apiKey', 'jobCriteria'], (result) => {
+chrome.storage.local.get([...ProviderFactory.STORAGE_KEYS, ...PROFILE_STORAGE_KEYS, 'rateLimits'], (result) => {
+    providerSettings = ProviderFactory.resolveSettings(result);
+    applyRateLimits(result.rateLimits);
+    
+    const { profiles, activeProfileId } = resolveProfiles(result);
     console.log('[JobListingAssistant] Settings loaded:', {
-        hasApiKey: !!result.apiKey,
-        apiKey: result.apiKey ? result.apiKey.slice(0, 5) + '...' : 'not set',
-        hasJobCriteria: !!result.jobCriteria
+        provider: providerSettings.providerId,
+        model: providerSettings.model,
+        hasApiKey: !!providerSettings.apiKey,
+        apiKey: providerSettings.apiKey ? providerSettings.apiKey.slice(0, 5) + '...' : 'not set',
+        profiles: Object.keys(profiles).length,
+        activeProfile: profiles[activeProfileId].name
     });
+});
+
+// Content scripts open a port to receive streamed analyses
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'analysisStream' || !port.sender?.tab) {
+        return;
+    }
     
-    apiKey = result.apiKey;
+    const tabId = port.sender.tab.id;
+    streamPorts.set(tabId, port);
+    port.onDisconnect.addListener(() => {
+        if (streamPorts.get(tabId) === port) {
+            streamPorts.delete(tabId);
+        }
+    });
+});
+
+/**
+ * Create a callback relaying the text of a running analysis to the tabs that requested it
+ * @param {Object} task - Queue task
+ * @returns {Function} Callback taking the text received so far
+ */
+function createProgressReporter(task) {
+    let lastSent = 0;
+    
+    const report = (text) => {
+        const now = Date.now();
+        // The final verdict is delivered separately, so skipped updates are never lost for good
+        if (text && now - lastSent < PROGRESS_INTERVAL_MS) {
+            return;
+        }
+        lastSent = now;
+        
+        const { title, company, location } = task.content;
+        for (const { tabId, requestId } of task.requesters) {
+            const port = streamPorts.get(tabId);
+            if (!port) {
+                continue;
+            }
+            try {
+                port.postMessage({
+                    type: 'analysisProgress',
+                    requestId,
+                    jobId: task.jobId,
+                    job: { title, company, location },
+                    text
+                });
+            } catch (error) {
+                // The page went away - it will get the result through the queue
+                streamPorts.delete(tabId);
+            }
+        }
+    };
     
-    // Use jobCriteria or default if not found
-    if (result.jobCriteria) {
-        jobCriteria = result.jobCriteria;
-    } else {
-        jobCriteria = getDefaultCriteria();
+    // Let the page show the job as in progress before the first token arrives
+    report('');
+    return report;
+}
+
+// Pick up rate limit changes from the options page without waiting for the next analysis
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.rateLimits) {
+        applyRateLimits(changes.rateLimits.newValue);
     }
 });
 
+/**
+ * Apply the stored rate limit settings to the limiter and the analysis queue
+ * @param {Object} storedLimits - Value of the rateLimits setting, if any
+ */
+function applyRateLimits(storedLimits) {
+    rateLimits = { ...DEFAULT_RATE_LIMITS, ...(storedLimits || {}) };
+    rateLimiter.configure(rateLimits);
+    analysisQueue.setConcurrency(rateLimits.concurrency);
+}
+
 // Listen for messages from content script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     console.log('[JobListingAssistant] Received message:', {
         action: request.action,
         hasContent: !!request.content,
         hasRequestId: !!request.requestId,
-        hasResume: !!request.resume
+        profileId: request.profileId || null
     });
     
     // Special handling for messages with requestId (from the new message system)
@@ -68,72 +200,175 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             }
         }
 
-        processJobListing(request, sender, sendResponse, hasRequestId);
+        if (hasRequestId) {
+            // Queue the request - the result is sent to the tab under the request ID when it is ready.
+            // The profile is fixed now, so switching profiles does not change analyses already queued
+            resolveProfileId(request.profileId)
+                .then(profileId => analysisQueue.enqueue({
+                    id: request.requestId,
+                    tabId: sender.tab?.id ?? null,
+                    content: request.content,
+                    profileId,
+                    sessionId: request.sessionId || null
+                }))
+                .then(() => sendResponse({ queued: true }))
+                // Not queued, so nothing will come under the request ID - answer now instead of at the timeout
+                .catch(error => sendResponse({ success: false, error: error.message }));
+        } else {
+            // Legacy system - answer on the message channel
+            runAnalysis(request.content, request.profileId || null, request.sessionId).then(sendResponse);
+        }
         
         // Return true to indicate we'll respond asynchronously
+        return true;
+    } else if (request.action === 'getUsageSummary') {
+        // Token and cost totals for the popup and dashboard, and whether a spend cap stops processing
+        // with the current provider settings
+        chrome.storage.local.get(ProviderFactory.STORAGE_KEYS)
+            .then(stored => usageTracker.getSummary(ProviderFactory.resolveSettings(stored)))
+            .then(summary => sendResponse({ success: true, ...summary }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        
+        return true;
+    } else if (request.action === 'getAnalysisFingerprint') {
+        // Fingerprint new analyses would get, so pages can flag cached verdicts made with other inputs
+        getAnalysisFingerprint(request.profileId || null)
+            .then(fingerprint => sendResponse({ success: true, ...fingerprint }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        
+        return true;
+    } else if (request.action === 'getCachedResults') {
+        // Results of the jobs a page is showing
+        jobRepository.getMany(request.jobIds || [])
+            .then(results => sendResponse({ success: true, results }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        
+        return true;
+    } else if (request.action === 'saveCachedResult') {
+        if (!request.jobId || !request.result) {
+            sendResponse({ success: false, error: 'Invalid cached result' });
+            return false;
+        }
+        
+        // Drops the description if the retention rules say so, and makes room if storage is full
+        storageManager.saveResult(request.jobId, request.result)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message, quotaExceeded: isQuotaError(error) }));
+        
+        return true;
+    } else if (request.action === 'importCachedResults') {
+        // One-time move of results older versions kept in the job site's localStorage
+        jobRepository.addMissing(request.entries || [])
+            .then(added => {
+                console.log(`[JobListingAssistant] Imported ${added} of ${request.entries?.length || 0} cached results from page storage`);
+                sendResponse({ success: true, added });
+            })
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        
+        return true;
+    } else if (request.action === 'overrideVerdict') {
+        // The user disagrees with the model's verdict of a job (or takes the disagreement back)
+        if (!request.jobId) {
+            sendResponse({ success: false, error: 'No job provided' });
+            return false;
+        }
+        
+        jobRepository.setOverride(request.jobId, request.verdict || null, request.reason || '')
+            .then(record => sendResponse({ success: true, override: record.override || null }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        
+        return true;
+    } else if (request.action === 'suggestCriteria') {
+        // Ask the model for criteria matching the verdicts the user overrode; nothing is saved until
+        // the user reviews the suggestion and sends it back with saveCriteria
+        suggestCriteria(request.profileId || null)
+            .then(suggestion => sendResponse({ success: true, ...suggestion }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        
+        return true;
+    } else if (request.action === 'getStorageUsage') {
+        // Storage used per category, for the options page
+        storageManager.getUsage()
+            .then(usage => sendResponse({ success: true, ...usage }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        
+        return true;
+    } else if (request.action === 'pruneJobs') {
+        // Apply the retention rules now instead of waiting for the daily alarm
+        storageManager.prune()
+            .then(counts => sendResponse({ success: true, ...counts }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        
+        return true;
+    } else if (request.action === 'startReanalysis') {
+        // Analyze stored jobs again from the dashboard, e.g. after the criteria changed
+        reanalyzer.start(request.jobIds || [])
+            .then(batch => sendResponse({ success: true, batch }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        
+        return true;
+    } else if (request.action === 'getReanalysisStatus') {
+        reanalyzer.getStatus()
+            .then(batch => sendResponse({ success: true, batch }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        
+        return true;
+    } else if (request.action === 'cancelReanalysis') {
+        reanalyzer.cancel()
+            .then(batch => sendResponse({ success: true, batch }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        
+        return true;
+    } else if (request.action === 'dismissReanalysis') {
+        reanalyzer.dismiss()
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        
+        return true;
+    } else if (request.action === 'collectAnalysisResults') {
+        // Hand over results that finished after the requesting page stopped listening
+        analysisQueue.collectResults()
+            .then(results => sendResponse({ success: true, results }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        
         return true;
     } else if (request.action === 'saveCriteria') {
-        // Save manually edited criteria from the feedback window
+        // Save criteria reviewed on the dashboard into the profile they belong to
         console.log('[JobListingAssistant] Saving manually edited criteria');
         
-        if (!request.criteria) {
+        const reply = (data) => {
             if (hasRequestId) {
-                chrome.tabs.sendMessage(sender.tab.id, {
-                    responseToId: request.requestId,
-                    data: { success: false, error: 'No criteria provided' }
-                });
-                return false;
+                chrome.tabs.sendMessage(sender.tab.id, { responseToId: request.requestId, data });
             } else {
-                sendResponse({ success: false, error: 'No criteria provided' });
-                return true;
+                sendResponse(data);
             }
+        };
+        
+        if (!request.criteria) {
+            reply({ success: false, error: 'No criteria provided' });
+            return !hasRequestId;
         }
         
-        try {
-            // Save the edited criteria to local storage
-            chrome.storage.local.set({ jobCriteria: request.criteria }, () => {
-                if (chrome.runtime.lastError) {
-                    console.error('[JobListingAssistant] Error saving criteria:', chrome.runtime.lastError);
-                    
-                    if (hasRequestId) {
-                        chrome.tabs.sendMessage(sender.tab.id, {
-                            responseToId: request.requestId,
-                            data: { success: false, error: chrome.runtime.lastError.message }
-                        });
-                    } else {
-                        sendResponse({ success: false, error: chrome.runtime.lastError.message });
-                    }
-                } else {
-                    console.log('[JobListingAssistant] Manually edited criteria saved successfully');
-                    // Update our local cache
-                    jobCriteria = request.criteria;
-                    
-                    if (hasRequestId) {
-                        chrome.tabs.sendMessage(sender.tab.id, {
-                            responseToId: request.requestId,
-                            data: { success: true }
-                        });
-                    } else {
-                        sendResponse({ success: true });
-                    }
-                }
+        updateProfile(request.profileId || null, { criteria: request.criteria })
+            .then(profile => {
+                console.log(`[JobListingAssistant] Criteria of profile "${profile.name}" saved`);
+                reply({ success: true, profileId: profile.id });
+            })
+            .catch(error => {
+                console.error('[JobListingAssistant] Error saving criteria:', error);
+                reply({ success: false, error: error.message });
             });
-        } catch (error) {
-            console.error('[JobListingAssistant] Error saving criteria:', error);
-            
-            if (hasRequestId) {
-                chrome.tabs.sendMessage(sender.tab.id, {
-                    responseToId: request.requestId,
-                    data: { success: false, error: error.message }
-                });
-                return false;
-            } else {
-                sendResponse({ success: false, error: error.message });
-                return true;
-            }
-        }
         
         // Keep the message channel open for both methods as we're using async callback
+        return true;
+    } else if (request.action === 'testProvider') {
+        // Send a minimal prompt with the given (unsaved) provider settings from the options page
+        console.log('[JobListingAssistant] Testing provider:', request.settings?.providerId);
+        
+        testProvider(request.settings)
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        
         return true;
     } else if (request.action === 'openOptions') {
         // Open the options page
@@ -156,151 +391,167 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return false;
 });
 
-// Add the missing processJobListing function
 /**
- * Process a job listing analysis request and send the response
+ * Pick the profile a new analysis runs with
+ * @param {String} profileId - Profile requested by the sender, if any
+ * @returns {Promise<String>} ID of the requested profile if it exists, otherwise of the active profile
+ */
+async function resolveProfileId(profileId = null) {
+    const stored = await chrome.storage.local.get(PROFILE_STORAGE_KEYS);
+    return getProfile(stored, profileId).id;
+}
+
+/**
+ * Fingerprint the inputs an analysis started now would use
+ * @param {String} profileId - Profile to fingerprint (the active profile if missing)
+ * @returns {Promise<Object>} Object with the fingerprint and the profileId it was computed for
+ */
+async function getAnalysisFingerprint(profileId = null) {
+    const stored = await chrome.storage.local.get([...ProviderFactory.STORAGE_KEYS, ...PROFILE_STORAGE_KEYS]);
+    const profile = getProfile(stored, profileId);
+    return {
+        fingerprint: analysisFingerprint(profile, ProviderFactory.resolveSettings(stored)),
+        profileId: profile.id
+    };
+}
+
+/**
+ * Analyze a job listing and build the response data sent to the content script
+ * @param {Object} content - Job content
+ * @param {String} profileId - Criteria profile to analyze with (the active profile if missing)
+ * @param {String} sessionId - Processing session the request belongs to, for usage totals
+ * @param {Function} onProgress - Optional callback receiving the response text as it streams in
+ * @returns {Promise<Object>} Response data, with success false if the analysis failed
  */
-async function processJobListing(request, sender, sendResponse, hasRequestId) {
+async function runAnalysis(content, profileId = null, sessionId = null, onProgress = null) {
     try {
         console.log('[JobListingAssistant] Processing job listing:', {
-            title: request.content.title,
-            company: request.content.company,
-            jobId: request.content.jobId,
-            hasResume: !!request.resume
+            title: content.title,
+            company: content.company,
+            jobId: content.jobId,
+            profileId
         });
         
         // Call the API to analyze the job listing
-        const result = await analyzeWithAPI(request.content, request.resume);
+        const result = await analyzeWithAPI(content, profileId, sessionId, onProgress);
         
-        // Send the response based on the messaging system being used
-        if (hasRequestId) {
-            // New message system - send direct response with requestId
-            console.log('[JobListingAssistant] Sending analysis response for request:', request.requestId);
-            
-            chrome.tabs.sendMessage(sender.tab.id, {
-                responseToId: request.requestId,
-                data: {
-                    success: true,
-                    isGoodFit: result.isGoodFit,
-                    analysis: result.analysis,
-                    title: request.content.title || result.title || '',
-                    company: request.content.company || result.company || '',
-                    location: request.content.location || result.location || '',
-                    description: request.content.description || result.description || '',
-                    descriptionHtml: request.content.descriptionHtml || result.descriptionHtml || '',
-                    date: new Date().toISOString()
-                }
-            });
-        } else {
-            // Legacy system - use sendResponse
-            sendResponse({
-                success: true,
-                ...result
-            });
-        }
+        return {
+            success: true,
+            isGoodFit: result.isGoodFit,
+            verdict: result.verdict,
+            score: result.score,
+            dimensions: result.dimensions,
+            reasons: result.reasons,
+            analysis: result.analysis,
+            usage: result.usage,
+            profileId: result.profileId,
+            profileName: result.profileName,
+            fingerprint: result.fingerprint,
+            title: content.title || result.title || '',
+            company: content.company || result.company || '',
+            location: content.location || result.location || '',
+            description: content.description || result.description || '',
+            descriptionHtml: content.descriptionHtml || result.descriptionHtml || '',
+            salary: content.salary || '',
+            source: content.source || null,
+            url: content.url || '',
+            date: new Date().toISOString()
+        };
     } catch (error) {
         console.error('[JobListingAssistant] Analysis error:', error);
         
-        // Send error response
-        if (hasRequestId) {
-            // New message system
-            console.log('[JobListingAssistant] Sending error response for request:', request.requestId);
-            
-            chrome.tabs.sendMessage(sender.tab.id, {
-                responseToId: request.requestId,
-                data: {
-                    success: false,
-                    isGoodFit: false,
-                    analysis: `Error: ${error.message || 'Unknown error during analysis'}`,
-                    title: request.content.title || '',
-                    company: request.content.company || '',
-                    location: request.content.location || '',
-                    description: request.content.description || '',
-                    descriptionHtml: request.content.descriptionHtml || '',
-                    date: new Date().toISOString()
-                }
-            });
-        } else {
-            // Legacy system
-            sendResponse({
-                success: false,
-                isGoodFit: false,
-                analysis: `Error: ${error.message || 'Unknown error during analysis'}`
-            });
-        }
+        return {
+            success: false,
+            isGoodFit: false,
+            error: error.message || 'Unknown error during analysis',
+            errorType: error.type || null,
+            retryable: !!error.retryable,
+            retryAfterMs: error.retryAfterMs ?? null,
+            analysis: `Error: ${error.message || 'Unknown error during analysis'}`,
+            title: content.title || '',
+            company: content.company || '',
+            location: content.location || '',
+            description: content.description || '',
+            descriptionHtml: content.descriptionHtml || '',
+            source: content.source || null,
+            url: content.url || '',
+            date: new Date().toISOString()
+        };
     }
 }
 
-// Function to analyze job with OpenAI API
-async function analyzeWithAPI(content, resume = null) {
-    // Get the latest API key and criteria from storage
-    const result = await chrome.storage.local.get(['apiKey', 'jobCriteria']);
-    apiKey = result.apiKey; // Update the local variable
+// Function to analyze job with the configured LLM provider
+async function analyzeWithAPI(content, profileId = null, sessionId = null, onProgress = null) {
+    // Get the latest provider settings and profile from storage
+    const result = await chrome.storage.local.get([...ProviderFactory.STORAGE_KEYS, ...PROFILE_STORAGE_KEYS, 'rateLimits', 'streamAnalyses']);
+    providerSettings = ProviderFactory.resolveSettings(result); // Update the local variable
+    applyRateLimits(result.rateLimits);
     
-    // Use the latest criteria from storage if available
-    if (result.jobCriteria) {
-        jobCriteria = result.jobCriteria;
-    }
+    const profile = getProfile(result, profileId);
     
     console.log('[JobListingAssistant] Analyzing job with API settings:', {
-        hasApiKey: !!apiKey,
-        hasCriteria: !!jobCriteria,
-        hasResume: !!resume
+        provider: providerSettings.providerId,
+        model: providerSettings.model,
+        hasApiKey: !!providerSettings.apiKey,
+        profile: profile.name,
+        hasResume: !!profile.resume
     });
     
-    if (!apiKey || apiKey === '0') {
+    if (!ProviderFactory.isConfigured(providerSettings)) {
         throw new Error('API key not configured');
     }
-    const systemPrompt = `You are a job matching assistant. Your task is to analyze the provided job listing and determine if it is a good match based solely on the candidate's experience requirement, technical skills, and project focus. Evaluate the job listing by comparing it against the provided candidate's resume and specified job criteria. Start your response with a clear YES or NO, followed by a detailed explanation.
-Read the job criteria and resume sections provided  under jobCriteria and resumeSection.
-Review the job listing details, including Title, Company, Location, and Description.
-Analyze the job listing focusing exclusively on:
-Experience requirement
-Technical skills
-Project focus
-Do not include job location or salary details in your reasoning.
-Format your output in HTML with the following structure:
-An <h2>Analysis</h2> heading at the beginning.
-A <strong> tag containing the YES/NO answer at the start.
-An unordered list (<ul>) listing the reasons.
-Output Format: Your final response must be in HTML format exactly as specified.`;
-
-    const prompt = createAnalysisPrompt(content, resume);
+    
+    // Hard stop once the user's daily or monthly budget is spent, or when the cost of the model is unknown
+    const spending = await usageTracker.getSummary(providerSettings);
+    if (spending.capReached) {
+        throw new ProviderError(spending.capMessage, { type: ERROR_TYPES.SPEND_CAP });
+    }
+    
+    // Prompts come from the profile's templates (or the defaults) with the job filled in
+    const { systemPrompt, userPrompt } = buildAnalysisPrompts(resolvePromptTemplates(profile.promptTemplates), {
+        criteria: profile.criteria || DEFAULT_CRITERIA,
+        resume: profile.resume || null,
+        job: content
+    });
     
     try {
+        const provider = ProviderFactory.createProvider(providerSettings);
+        const response = await completeWithRetry(provider, {
+            systemPrompt,
+            userPrompt,
+            temperature: 0.3,
+            jsonMode: true,
+            job: content
+        }, result.streamAnalyses !== false ? onProgress : null);
         
-        const response = await fetch(API_ENDPOINT, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify({
-                model: MODEL,
-                messages: [
-                    {
-                        role: 'system',
-                        content: systemPrompt
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                temperature: 0.3
-            })
+        // Count the tokens and cost before parsing - a verdict we can't use is still paid for
+        const usage = await usageTracker.record({
+            providerId: providerSettings.providerId,
+            model: provider.model,
+            baseUrl: provider.baseUrl,
+            usage: response.usage,
+            sessionId
         });
-
-        if (!response.ok) {
-            throw new Error(`API request failed: ${response.statusText}`);
+        const { text } = response;
+        
+        // Validate the JSON verdict (repairing it if needed) and render the HTML shown in the UI
+        const verdict = parseVerdict(text);
+        if (verdict.format !== 'json') {
+            console.warn('[JobListingAssistant] Model returned a non-conforming verdict, parsed as:', verdict.format);
         }
-
-        const data = await response.json();
-        const analysis = data.choices[0].message.content;
         
         return {
-            isGoodFit: determineGoodFit(analysis),
-            analysis: analysis,
+            isGoodFit: verdictToGoodFit(verdict.verdict),
+            verdict: verdict.verdict,
+            score: verdict.score,
+            dimensions: verdict.dimensions,
+            reasons: verdict.reasons,
+            analysis: renderVerdictHtml(verdict),
+            usage,
+            profileId: profile.id,
+            profileName: profile.name,
+            // Lets pages tell when the criteria, resume, templates or model changed since
+            fingerprint: analysisFingerprint(profile, providerSettings),
             title: content.title,
             company: content.company,
             location: content.location,
@@ -309,51 +560,128 @@ Output Format: Your final response must be in HTML format exactly as specified.`
             date: new Date().toISOString()
         };
     } catch (error) {
-        console.error('Error calling OpenAI API:', error);
+        console.error(`Error calling ${providerSettings.providerId} API:`, error);
         throw error;
     }
 }
 
-function createAnalysisPrompt(content, resume = null) {
-    // Add resume section if available
-    const resumeSection = resume 
-        ? `\nCandidate Resume/Background:\n${resume}\n\n` 
-        : '';
-
-    return `Please analyze the following job listing based on the given criteria ${resume ? `and the candidate's resume` : ''}to determine if it is a good match for the candidate's experience and interests. Follow these instructions:
-
-Instructions:
-
-1. Respond with a clear YES or NO at the start.
-2. If the answer is NO: List the reasons why it is not a good match.
-3. If the answer is YES: List only the key reasons that support a match based solely on the experience requirement, technical skills, and project focus.
-4. Do not include any details regarding the job's location or salary in your reasons, even if the listing meets these criteria.
-5. Format your response in HTML, starting with an <h2>Analysis</h2> heading, followed by a <strong> tag for the YES/NO answer, and then an unordered list of reasons.
-
-Criteria:
-
-${jobCriteria}
-${resumeSection}
-
-Job Listing:
-
-Title: ${content.title}
-Company: ${content.company}
-Location: ${content.location}
-Description: ${content.description}`;
+/**
+ * Run a completion within the rate limit budget, retrying rate limits, server errors and network failures
+ * @param {BaseProvider} provider - Provider instance
+ * @param {Object} request - Completion request
+ * @param {Function} onProgress - Optional callback; when given the response is streamed
+ * @returns {Promise<Object>} Provider response
+ */
+async function completeWithRetry(provider, request, onProgress = null) {
+    const estimatedTokens = estimateTokens(request.systemPrompt, request.userPrompt) + OUTPUT_TOKENS_ESTIMATE;
+    
+    return withRetry(async () => {
+        const budgetEntry = provider.constructor.rateLimited ? await rateLimiter.acquire(estimatedTokens) : null;
+        const response = onProgress ? await provider.stream(request, onProgress) : await provider.complete(request);
+        
+        // Count what the request really used so the token budget stays accurate
+        if (budgetEntry && response.usage) {
+            rateLimiter.record(budgetEntry, response.usage.inputTokens + response.usage.outputTokens);
+        }
+        
+        return response;
+    }, {
+        maxRetries: rateLimits.maxRetries,
+        onRetry: (error, attempt, delayMs) => {
+            console.warn(`[JobListingAssistant] ${error.message} - retry ${attempt}/${rateLimits.maxRetries} in ${Math.ceil(delayMs / 1000)}s`);
+            
+            // A rate limit applies to every request, not just this one
+            if (error.type === ERROR_TYPES.RATE_LIMIT) {
+                rateLimiter.pause(delayMs);
+            }
+            
+            // Clear the partial text of the failed attempt
+            onProgress?.('');
+        }
+    });
 }
 
-function determineGoodFit(analysis) {
-    // Check for YES in the HTML-formatted response
-    // The response format is <h2>Analysis</h2><strong>YES</strong>
-    const analysisText = analysis.trim();
+/**
+ * Suggest criteria for a profile from the verdicts the user overrode
+ * @param {String} profileId - Profile whose criteria to update (the active profile if missing)
+ * @returns {Promise<Object>} Object with the profile, its current and the suggested criteria, a summary
+ *                            of the changes and the number of disagreements the suggestion is based on
+ */
+async function suggestCriteria(profileId = null) {
+    const stored = await chrome.storage.local.get([...ProviderFactory.STORAGE_KEYS, ...PROFILE_STORAGE_KEYS, 'rateLimits']);
+    const settings = ProviderFactory.resolveSettings(stored);
+    applyRateLimits(stored.rateLimits);
+    const profile = getProfile(stored, profileId);
+    
+    if (!ProviderFactory.isConfigured(settings)) {
+        throw new Error('API key not configured');
+    }
     
-    // Use a simple regex to extract the content of the <strong> tag
-    const strongMatch = analysisText.match(/<strong>(.*?)<\/strong>/i);
-    if (strongMatch && strongMatch[1]) {
-        return strongMatch[1].trim().toUpperCase() === 'YES';
+    const spending = await usageTracker.getSummary(settings);
+    if (spending.capReached) {
+        throw new ProviderError(spending.capMessage, { type: ERROR_TYPES.SPEND_CAP });
     }
     
-    // Fallback to the old method in case the format is different
-    return analysisText.toUpperCase().startsWith('YES');
+    const disagreements = collectDisagreements(await jobRepository.list({ includeDismissed: true }), profile.id);
+    if (disagreements.length === 0) {
+        throw new Error(`You have not overridden any verdicts of the "${profile.name}" profile the model still disagrees with`);
+    }
+    
+    const criteria = profile.criteria || DEFAULT_CRITERIA;
+    const { systemPrompt, userPrompt } = buildCriteriaSuggestionPrompts({ criteria, disagreements });
+    
+    console.log(`[JobListingAssistant] Suggesting criteria for profile "${profile.name}" from ${disagreements.length} overridden verdicts`);
+    
+    const provider = ProviderFactory.createProvider(settings);
+    const response = await completeWithRetry(provider, {
+        systemPrompt,
+        userPrompt,
+        temperature: 0.3,
+        jsonMode: true,
+        criteriaUpdate: { criteria, disagreements }
+    });
+    
+    const usage = await usageTracker.record({
+        providerId: settings.providerId,
+        model: provider.model,
+        baseUrl: provider.baseUrl,
+        usage: response.usage,
+        sessionId: null
+    });
+    const suggestion = parseCriteriaSuggestion(response.text);
+    
+    return {
+        profileId: profile.id,
+        profileName: profile.name,
+        currentCriteria: criteria,
+        suggestedCriteria: suggestion.criteria,
+        summary: suggestion.summary,
+        disagreements: disagreements.length,
+        usage
+    };
+}
+
+/**
+ * Send a minimal prompt to a provider to verify its settings
+ * @param {Object} settings - Provider settings (providerId, apiKey, model, baseUrl)
+ * @returns {Promise<Object>} The reply text, the model used and the latency
+ */
+async function testProvider(settings) {
+    if (!settings || !ProviderFactory.isConfigured(settings)) {
+        throw new Error('API key not configured');
+    }
+    
+    const provider = ProviderFactory.createProvider(settings);
+    const startTime = Date.now();
+    const { text } = await provider.complete({
+        systemPrompt: 'You are a connectivity check.',
+        userPrompt: 'Reply with the single word OK.',
+        temperature: 0
+    });
+    
+    return {
+        reply: text.trim(),
+        model: provider.model,
+        latencyMs: Date.now() - startTime
+    };
 }
@@ -0,0 +1,1196 @@
+import { formatJobUsage, formatTotals } from './js/utils/usage.js';
+import JobRepository, { JOBS_CHANGED_KEY, SCHEMA_VERSION } from './js/core/JobRepository.js';
+import { escapeHtml, getEffectiveVerdict, getVerdictChange, VERDICTS } from './js/utils/verdict.js';
+import { getStage, getStageLabel, PIPELINE_STAGES } from './js/utils/pipeline.js';
+import { diffLines } from './js/utils/diff.js';
+import { REANALYSIS_KEY } from './js/background/Reanalyzer.js';
+import { getJobSource, getJobUrl, getSourceLabel, JOB_SOURCES } from './js/utils/sources.js';
+
+// Labels of the verdicts in the filter, the list and the preview
+const VERDICT_LABELS = {
+    [VERDICTS.YES]: 'Matching',
+    [VERDICTS.MAYBE]: 'Borderline',
+    [VERDICTS.NO]: 'Rejected'
+};
+
+// Shown in the preview of jobs saved without an analysis
+const VERDICT_SUMMARIES = {
+    [VERDICTS.YES]: 'Good match for your criteria',
+    [VERDICTS.MAYBE]: 'Borderline match for your criteria',
+    [VERDICTS.NO]: 'Not a good match for your criteria'
+};
+
+// Stage filter values besides the stages themselves
+const ANY_STAGE = '';
+const NOT_TRACKED = 'none';
+
+// Source filter value showing jobs from every site
+const ANY_SOURCE = '';
+
+// Jobs are written one by one during a scan - reload once they settle rather than after every write
+const RELOAD_DELAY_MS = 500;
+
+// Line prefixes of the criteria diff
+const DIFF_MARKERS = {
+    same: ' ',
+    added: '+',
+    removed: '-'
+};
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const jobList = document.getElementById('jobList');
+    const frameContainer = document.getElementById('frameContainer');
+    const verdictFilterSelect = document.getElementById('verdictFilter');
+    const searchInput = document.getElementById('searchQuery');
+    const sortOrderSelect = document.getElementById('sortOrder');
+    const minScoreInput = document.getElementById('minScore');
+    const groupByCompanyCheckbox = document.getElementById('groupByCompany');
+    const stageFilterSelect = document.getElementById('stageFilter');
+    const sourceFilterSelect = document.getElementById('sourceFilter');
+    const viewModeSelect = document.getElementById('viewMode');
+    const board = document.getElementById('board');
+    const usageSummary = document.getElementById('usageSummary');
+    const suggestButton = document.getElementById('suggestCriteria');
+    const suggestionModal = document.getElementById('suggestionModal');
+    const suggestionStatus = document.getElementById('suggestionStatus');
+    const suggestionReview = document.getElementById('suggestionReview');
+    const criteriaDiff = document.getElementById('criteriaDiff');
+    const suggestedCriteriaInput = document.getElementById('suggestedCriteria');
+    const saveSuggestionButton = document.getElementById('saveSuggestion');
+    const closeSuggestionButton = document.getElementById('closeSuggestion');
+    const reanalyzeSelectedButton = document.getElementById('reanalyzeSelected');
+    const reanalyzeShownButton = document.getElementById('reanalyzeShown');
+    const reanalysisPanel = document.getElementById('reanalysisPanel');
+    const reanalysisStatus = document.getElementById('reanalysisStatus');
+    const reanalysisProgress = document.getElementById('reanalysisProgress');
+    const cancelReanalysisButton = document.getElementById('cancelReanalysis');
+    const dismissReanalysisButton = document.getElementById('dismissReanalysis');
+    const reanalysisChanges = document.getElementById('reanalysisChanges');
+    
+    // Token and cost totals for today, this month and the last processing session
+    function loadUsageSummary() {
+        chrome.runtime.sendMessage({ action: 'getUsageSummary' }, (summary) => {
+            if (chrome.runtime.lastError || !summary?.success) {
+                return;
+            }
+            usageSummary.textContent = `Today: ${formatTotals(summary.today)} | This month: ${formatTotals(summary.month)} | Last session: ${formatTotals(summary.session)}`;
+        });
+    }
+    loadUsageSummary();
+    
+    // A batch started earlier may still be running
+    chrome.runtime.sendMessage({ action: 'getReanalysisStatus' }, (response) => {
+        if (!chrome.runtime.lastError && response?.success) {
+            showReanalysis(response.batch);
+        }
+    });
+    
+    // All loaded jobs - the list shows them filtered, sorted and grouped by the controls
+    let allJobs = [];
+    // Lowercased title, company and description of each job, keyed by job ID, for the search box
+    let searchTexts = new Map();
+    // Job shown in the preview panel, if any
+    let selectedJob = null;
+    // Criteria suggestion under review: the profile, its current criteria and the suggested ones
+    let suggestion = null;
+    // Jobs the list shows with the current filters, and the ones ticked for re-analysis
+    let shownJobs = [];
+    const selectedJobIds = new Set();
+    // Whether a re-analysis batch is running in the background
+    let reanalysisRunning = false;
+    let reloadTimer = null;
+    const jobRepository = new JobRepository();
+    
+    [[ANY_STAGE, 'Any stage'], [NOT_TRACKED, 'Not tracked'], ...PIPELINE_STAGES.map(stage => [stage.id, stage.label])]
+        .forEach(([value, label]) => stageFilterSelect.add(new Option(label, value)));
+    [[ANY_SOURCE, 'Any source'], ...Object.entries(JOB_SOURCES).map(([id, source]) => [id, source.label])]
+        .forEach(([value, label]) => sourceFilterSelect.add(new Option(label, value)));
+    
+    // The popup links to the dashboard with a verdict preselected, e.g. dashboard.html?verdict=NO,
+    // and the view is kept in the URL too, e.g. dashboard.html?view=board
+    const params = new URLSearchParams(location.search);
+    if (VERDICT_LABELS[params.get('verdict')]) {
+        verdictFilterSelect.value = params.get('verdict');
+    }
+    if (params.get('view') === 'board') {
+        viewModeSelect.value = 'board';
+    }
+    
+    /**
+     * Keeps the verdict filter and the view in the URL, so a reload shows the same jobs
+     */
+    function updateUrl() {
+        const url = new URL(location.href);
+        if (verdictFilterSelect.value) {
+            url.searchParams.set('verdict', verdictFilterSelect.value);
+        } else {
+            url.searchParams.delete('verdict');
+        }
+        if (viewModeSelect.value === 'board') {
+            url.searchParams.set('view', 'board');
+        } else {
+            url.searchParams.delete('view');
+        }
+        history.replaceState(null, '', url);
+    }
+    
+    verdictFilterSelect.addEventListener('change', () => {
+        updateUrl();
+        renderJobs();
+    });
+    viewModeSelect.addEventListener('change', () => {
+        updateUrl();
+        renderJobs();
+    });
+    stageFilterSelect.addEventListener('change', () => renderJobs());
+    sourceFilterSelect.addEventListener('change', () => renderJobs());
+    searchInput.addEventListener('input', () => renderJobs());
+    sortOrderSelect.addEventListener('change', () => renderJobs());
+    minScoreInput.addEventListener('input', () => renderJobs());
+    groupByCompanyCheckbox.addEventListener('change', () => renderJobs());
+    suggestButton.addEventListener('click', () => suggestCriteriaUpdate());
+    suggestedCriteriaInput.addEventListener('input', () => renderCriteriaDiff());
+    saveSuggestionButton.addEventListener('click', () => saveSuggestedCriteria());
+    closeSuggestionButton.addEventListener('click', () => {
+        suggestion = null;
+        suggestionModal.style.display = 'none';
+    });
+    reanalyzeSelectedButton.addEventListener('click', () => startReanalysis([...selectedJobIds]));
+    reanalyzeShownButton.addEventListener('click', () => startReanalysis(shownJobs.map(job => job.jobId)));
+    cancelReanalysisButton.addEventListener('click', () => {
+        cancelReanalysisButton.disabled = true;
+        chrome.runtime.sendMessage({ action: 'cancelReanalysis' }, (response) => {
+            if (chrome.runtime.lastError || !response?.success) {
+                console.error('Error cancelling the re-analysis:', response?.error || chrome.runtime.lastError?.message);
+                cancelReanalysisButton.disabled = false;
+            }
+        });
+    });
+    dismissReanalysisButton.addEventListener('click', () => {
+        reanalysisPanel.style.display = 'none';
+        chrome.runtime.sendMessage({ action: 'dismissReanalysis' }, (response) => {
+            if (chrome.runtime.lastError || !response?.success) {
+                console.error('Error dismissing the re-analysis:', response?.error || chrome.runtime.lastError?.message);
+            }
+        });
+    });
+    
+    // A scan in another tab writes jobs to the repository, which bumps the change key; a re-analysis
+    // batch keeps its progress in storage too
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[REANALYSIS_KEY]) {
+            showReanalysis(changes[REANALYSIS_KEY].newValue || null);
+        }
+        if (areaName === 'local' && changes[JOBS_CHANGED_KEY]) {
+            clearTimeout(reloadTimer);
+            reloadTimer = setTimeout(() => {
+                loadJobs();
+                loadUsageSummary();
+            }, RELOAD_DELAY_MS);
+        }
+    });
+    
+    // Add debug button
+    const debugButton = document.createElement('button');
+    debugButton.textContent = 'Debug Storage';
+    debugButton.style.position = 'fixed';
+    debugButton.style.bottom = '10px';
+    debugButton.style.right = '10px';
+    debugButton.style.zIndex = '9999';
+    debugButton.style.padding = '8px 16px';
+    debugButton.style.backgroundColor = '#f0f0f0';
+    debugButton.style.border = '1px solid #ccc';
+    debugButton.style.borderRadius = '4px';
+    debugButton.style.cursor = 'pointer';
+    
+    debugButton.addEventListener('click', async () => {
+        await debugStorage();
+    });
+    
+    document.body.appendChild(debugButton);
+    
+    // Debug function to check storage
+    async function debugStorage() {
+        console.log('===== STORAGE DEBUG =====');
+        
+        // Check the job repository
+        let jobs = [];
+        let repositoryError = null;
+        try {
+            jobs = await jobRepository.list({ includeDismissed: true });
+            console.log('Job repository:', { schemaVersion: SCHEMA_VERSION, jobs });
+        } catch (error) {
+            console.error('Error reading the job repository:', error);
+            repositoryError = error.message;
+        }
+        
+        // Display a message with the results
+        const debugInfo = document.createElement('div');
+        debugInfo.style.position = 'fixed';
+        debugInfo.style.top = '50%';
+        debugInfo.style.left = '50%';
+        debugInfo.style.transform = 'translate(-50%, -50%)';
+        debugInfo.style.backgroundColor = 'white';
+        debugInfo.style.padding = '20px';
+        debugInfo.style.border = '1px solid #ccc';
+        debugInfo.style.borderRadius = '8px';
+        debugInfo.style.boxShadow = '0 4px 12px rgba(0,0,0,0.2)';
+        debugInfo.style.zIndex = '10000';
+        debugInfo.style.maxWidth = '80%';
+        debugInfo.style.maxHeight = '80%';
+        debugInfo.style.overflow = 'auto';
+        
+        let infoHTML = '<h2>Storage Debug Info</h2>';
+        
+        // Job repository
+        infoHTML += `<h3>Job Repository (IndexedDB, schema v${SCHEMA_VERSION})</h3>`;
+        if (repositoryError) {
+            infoHTML += `<p>Could not read the job repository: ${repositoryError}</p>`;
+        } else {
+            const dismissed = jobs.filter(job => job.dismissed).length;
+            const counts = Object.values(VERDICTS)
+                .map(verdict => `${jobs.filter(job => job.verdict === verdict).length} ${verdict}`)
+                .join(', ');
+            infoHTML += `<p>${jobs.length} jobs in total: ${counts} (${dismissed} removed from the dashboard)</p>`;
+            infoHTML += `<p>First few items: ${JSON.stringify(jobs.slice(0, 2).map(({ description, descriptionHtml, analysis, ...job }) => job), null, 2)}</p>`;
+        }
+        
+        // Close button
+        infoHTML += '<button id="closeDebugInfo" style="margin-top: 15px; padding: 8px 16px;">Close</button>';
+        
+        debugInfo.innerHTML = infoHTML;
+        document.body.appendChild(debugInfo);
+        
+        document.getElementById('closeDebugInfo').addEventListener('click', () => {
+            document.body.removeChild(debugInfo);
+        });
+    }
+    
+    await loadJobs();
+    
+    /**
+     * Loads every job from the job repository and shows the ones the controls select
+     */
+    async function loadJobs() {
+        try {
+            // Jobs still waiting for a verdict are not listed
+            allJobs = (await jobRepository.list()).filter(job => VERDICT_LABELS[job.verdict]);
+            searchTexts = new Map(allJobs.map(job => [
+                job.jobId,
+                [job.title, job.company, job.description].filter(Boolean).join('\n').toLowerCase()
+            ]));
+            
+            if (allJobs.length === 0) {
+                // Show message when no jobs are found
+                showNoJobsMessage();
+            } else {
+                updateCounts();
+                renderJobs();
+                refreshPreview();
+            }
+        } catch (error) {
+            console.error('Error loading jobs:', error);
+            showErrorMessage('Failed to load jobs. Please try again.');
+        }
+    }
+    
+    /**
+     * Shows the number of jobs with each verdict and at each stage in the filters
+     */
+    function updateCounts() {
+        Array.from(verdictFilterSelect.options).forEach(option => {
+            const count = option.value
+                ? allJobs.filter(job => getEffectiveVerdict(job) === option.value).length
+                : allJobs.length;
+            option.textContent = `${option.value ? VERDICT_LABELS[option.value] : 'All jobs'} (${count})`;
+        });
+        
+        Array.from(stageFilterSelect.options).forEach(option => {
+            const jobs = option.value === ANY_STAGE ? allJobs : allJobs.filter(job => matchesStage(job, option.value));
+            const label = option.value === ANY_STAGE ? 'Any stage'
+                : option.value === NOT_TRACKED ? 'Not tracked' : getStageLabel(option.value);
+            option.textContent = `${label} (${jobs.length})`;
+        });
+        
+        Array.from(sourceFilterSelect.options).forEach(option => {
+            const count = option.value === ANY_SOURCE
+                ? allJobs.length
+                : allJobs.filter(job => getJobSource(job) === option.value).length;
+            option.textContent = `${option.value === ANY_SOURCE ? 'Any source' : getSourceLabel(option.value)} (${count})`;
+        });
+        
+        // Overrides the model still disagrees with are what a criteria update would learn from
+        const disagreements = allJobs.filter(job => getEffectiveVerdict(job) !== job.verdict).length;
+        suggestButton.textContent = `Suggest Criteria Update (${disagreements})`;
+        suggestButton.disabled = disagreements === 0;
+    }
+    
+    /**
+     * Checks a job against a stage filter value
+     * @param {Object} job - The job object
+     * @param {string} filter - ANY_STAGE, NOT_TRACKED or a stage ID
+     * @returns {boolean} - True if the job passes
+     */
+    function matchesStage(job, filter) {
+        if (filter === ANY_STAGE) {
+            return true;
+        }
+        return filter === NOT_TRACKED ? !getStage(job) : getStage(job) === filter;
+    }
+    
+    /**
+     * Applies the verdict, stage, source, search and score filters and the sort order, then shows the jobs
+     * in the list or on the board
+     */
+    function renderJobs() {
+        const verdict = verdictFilterSelect.value;
+        const stage = stageFilterSelect.value;
+        const source = sourceFilterSelect.value;
+        const terms = searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+        const minScore = parseInt(minScoreInput.value) || 0;
+        const sortOrder = sortOrderSelect.value;
+        
+        const jobs = allJobs.filter(job =>
+            (!verdict || getEffectiveVerdict(job) === verdict) &&
+            matchesStage(job, stage) &&
+            (source === ANY_SOURCE || getJobSource(job) === source) &&
+            terms.every(term => searchTexts.get(job.jobId).includes(term)) &&
+            // Jobs analyzed before scores existed have no score and only pass an empty filter
+            (minScore === 0 || (typeof job.score === 'number' && job.score >= minScore)));
+        
+        jobs.sort((a, b) => {
+            if (sortOrder === 'newest' || sortOrder === 'oldest') {
+                const difference = new Date(b.timestamp || 0) - new Date(a.timestamp || 0);
+                return sortOrder === 'newest' ? difference : -difference;
+            }
+            if (sortOrder === 'company') {
+                return (a.company || '').localeCompare(b.company || '', undefined, { sensitivity: 'base' }) ||
+                    (a.title || '').localeCompare(b.title || '');
+            }
+            const scoreA = typeof a.score === 'number' ? a.score : -1;
+            const scoreB = typeof b.score === 'number' ? b.score : -1;
+            return sortOrder === 'scoreAsc' ? scoreA - scoreB : scoreB - scoreA;
+        });
+        
+        shownJobs = jobs;
+        updateReanalyzeButtons();
+        
+        showLayout(viewModeSelect.value);
+        if (viewModeSelect.value === 'board') {
+            populateBoard(jobs);
+        } else {
+            populateJobList(jobs);
+        }
+    }
+    
+    /**
+     * Shows the list and preview, or the board
+     * @param {string} mode - 'list' or 'board'
+     */
+    function showLayout(mode) {
+        const isBoard = mode === 'board';
+        jobList.style.display = isBoard ? 'none' : '';
+        frameContainer.style.display = isBoard ? 'none' : '';
+        board.style.display = isBoard ? '' : 'none';
+    }
+    
+    /**
+     * Populates the board with a column per application stage; jobs that are not tracked are left out.
+     * Cards are dragged between columns to move a job to another stage
+     * @param {Array} jobs - Array of job objects, filtered and sorted
+     */
+    function populateBoard(jobs) {
+        board.innerHTML = '';
+        
+        PIPELINE_STAGES.forEach(stage => {
+            const stageJobs = jobs.filter(job => getStage(job) === stage.id);
+            
+            const column = document.createElement('div');
+            column.className = 'board-column';
+            
+            const heading = document.createElement('h3');
+            heading.textContent = stage.label;
+            const count = document.createElement('span');
+            count.className = 'job-group-count';
+            count.textContent = ` (${stageJobs.length})`;
+            heading.appendChild(count);
+            column.appendChild(heading);
+            
+            const cards = document.createElement('ul');
+            cards.className = 'board-cards';
+            stageJobs.forEach(job => cards.appendChild(createBoardCard(job)));
+            column.appendChild(cards);
+            
+            column.addEventListener('dragover', (event) => {
+                event.preventDefault();
+                column.classList.add('drag-over');
+            });
+            column.addEventListener('dragleave', () => column.classList.remove('drag-over'));
+            column.addEventListener('drop', (event) => {
+                event.preventDefault();
+                column.classList.remove('drag-over');
+                const jobId = event.dataTransfer.getData('text/plain');
+                if (jobId) {
+                    setStage(jobId, stage.id);
+                }
+            });
+            
+            board.appendChild(column);
+        });
+    }
+    
+    /**
+     * Creates the board card of a job
+     * @param {Object} job - The job object
+     * @returns {HTMLLIElement} - Card
+     */
+    function createBoardCard(job) {
+        const card = document.createElement('li');
+        card.className = `board-card verdict-${getEffectiveVerdict(job).toLowerCase()}`;
+        card.draggable = true;
+        
+        const title = document.createElement('div');
+        title.className = 'job-title';
+        title.textContent = job.title;
+        if (typeof job.score === 'number') {
+            const score = document.createElement('span');
+            score.className = 'job-score';
+            score.textContent = job.score;
+            score.title = `Fit score ${job.score}/100`;
+            title.prepend(score);
+        }
+        
+        const company = document.createElement('div');
+        company.className = 'job-company';
+        company.textContent = job.company;
+        
+        const date = document.createElement('div');
+        date.className = 'board-card-date';
+        date.textContent = `Since ${formatDate(job.application.updatedAt)}`;
+        
+        card.append(title, company, date);
+        
+        card.addEventListener('dragstart', (event) => {
+            event.dataTransfer.setData('text/plain', job.jobId);
+            event.dataTransfer.effectAllowed = 'move';
+        });
+        
+        // Open the job in the list view, where the preview has the details
+        card.addEventListener('click', () => {
+            viewModeSelect.value = 'list';
+            updateUrl();
+            selectedJob = job;
+            renderJobs();
+            showJobPreview(job);
+            jobList.querySelector('.job-item.active')?.scrollIntoView({ block: 'nearest' });
+        });
+        
+        return card;
+    }
+    
+    /**
+     * Moves a job to an application stage and shows the change
+     * @param {string} jobId - The ID of the job
+     * @param {string|null} stageId - Stage ID, or null to stop tracking the job
+     */
+    async function setStage(jobId, stageId) {
+        try {
+            const record = await jobRepository.setApplicationStage(jobId, stageId);
+            
+            allJobs = allJobs.map(job => job.jobId === jobId ? record : job);
+            updateCounts();
+            renderJobs();
+            if (selectedJob?.jobId === jobId) {
+                showJobPreview(record);
+            }
+        } catch (error) {
+            console.error('Error updating the application stage:', error);
+            showErrorMessage('Failed to update the application stage. Please try again.');
+        }
+    }
+    
+    /**
+     * Populates the job list, under a header per company when grouping is on
+     * @param {Array} jobs - Array of job objects, filtered and sorted
+     */
+    function populateJobList(jobs) {
+        // Clear any existing content
+        jobList.innerHTML = '';
+        
+        if (jobs.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'no-matches';
+            empty.textContent = 'No jobs match the filters.';
+            jobList.appendChild(empty);
+            return;
+        }
+        
+        if (!groupByCompanyCheckbox.checked) {
+            jobs.forEach(job => jobList.appendChild(createJobItem(job)));
+            return;
+        }
+        
+        // Groups come in the order of their first job, and keep the sort order inside
+        const groups = new Map();
+        jobs.forEach(job => {
+            const company = job.company || 'Unknown company';
+            if (!groups.has(company)) {
+                groups.set(company, []);
+            }
+            groups.get(company).push(job);
+        });
+        
+        groups.forEach((companyJobs, company) => {
+            const header = document.createElement('li');
+            header.className = 'job-group';
+            header.textContent = company;
+            
+            const count = document.createElement('span');
+            count.className = 'job-group-count';
+            count.textContent = ` (${companyJobs.length})`;
+            header.appendChild(count);
+            
+            jobList.appendChild(header);
+            companyJobs.forEach(job => jobList.appendChild(createJobItem(job)));
+        });
+    }
+    
+    /**
+     * Creates the list item of a job
+     * @param {Object} job - The job object
+     * @returns {HTMLLIElement} - List item
+     */
+    function createJobItem(job) {
+        const listItem = document.createElement('li');
+        listItem.className = `job-item verdict-${getEffectiveVerdict(job).toLowerCase()}`;
+        listItem.classList.toggle('active', job.jobId === selectedJob?.jobId);
+        listItem.dataset.jobId = job.jobId;
+        listItem.dataset.jobUrl = getJobUrl(job);
+        
+        const title = document.createElement('div');
+        title.className = 'job-title';
+        title.textContent = job.title;
+        
+        // Ticked jobs are re-analyzed by "Re-analyze Selected"
+        const select = document.createElement('input');
+        select.type = 'checkbox';
+        select.className = 'job-select';
+        select.checked = selectedJobIds.has(job.jobId);
+        select.title = 'Select for re-analysis';
+        select.addEventListener('click', (event) => event.stopPropagation());
+        select.addEventListener('change', () => {
+            if (select.checked) {
+                selectedJobIds.add(job.jobId);
+            } else {
+                selectedJobIds.delete(job.jobId);
+            }
+            updateReanalyzeButtons();
+        });
+        title.prepend(select);
+        
+        const company = document.createElement('div');
+        company.className = 'job-company';
+        company.textContent = job.company;
+        
+        const verdict = document.createElement('span');
+        verdict.className = 'job-profile job-verdict';
+        verdict.textContent = VERDICT_LABELS[getEffectiveVerdict(job)];
+        company.appendChild(verdict);
+        
+        // The user disagreed with the model
+        if (getEffectiveVerdict(job) !== job.verdict) {
+            const override = document.createElement('span');
+            override.className = 'job-profile job-override';
+            override.textContent = 'Your verdict';
+            override.title = `The model said ${VERDICT_LABELS[job.verdict]}${job.override.reason ? ` - you said: ${job.override.reason}` : ''}`;
+            company.appendChild(override);
+        }
+        
+        // Where the application stands, for jobs in the pipeline
+        if (getStage(job)) {
+            const stage = document.createElement('span');
+            stage.className = 'job-profile job-stage';
+            stage.textContent = getStageLabel(getStage(job));
+            stage.title = `${getStageLabel(getStage(job))} since ${formatDate(job.application.updatedAt)}`;
+            company.appendChild(stage);
+        }
+        
+        // Site the job was found on
+        const source = document.createElement('span');
+        source.className = 'job-profile job-source';
+        source.textContent = getSourceLabel(getJobSource(job));
+        company.appendChild(source);
+        
+        // Criteria profile that produced the verdict
+        if (job.profileName) {
+            const profile = document.createElement('span');
+            profile.className = 'job-profile';
+            profile.textContent = job.profileName;
+            profile.title = `Analyzed with the "${job.profileName}" profile`;
+            company.appendChild(profile);
+        }
+        
+        // Rejected by a filter rule rather than by the model
+        if (job.rule) {
+            const rule = document.createElement('span');
+            rule.className = 'job-profile job-rule';
+            rule.textContent = 'Filtered';
+            rule.title = job.rule.reason;
+            company.appendChild(rule);
+        }
+        
+        // The verdict flipped when the job was last analyzed again
+        const change = getVerdictChange(job);
+        if (change) {
+            const changed = document.createElement('span');
+            changed.className = 'job-profile job-verdict-change';
+            changed.textContent = `Changed from ${change.from} → ${change.to}`;
+            changed.title = `Verdict changed when analyzed again on ${formatDate(change.date)}`;
+            company.appendChild(changed);
+        }
+        
+        if (typeof job.score === 'number') {
+            const score = document.createElement('span');
+            score.className = 'job-score';
+            score.textContent = job.score;
+            score.title = `Fit score ${job.score}/100`;
+            title.prepend(score);
+        }
+        
+        listItem.appendChild(title);
+        listItem.appendChild(company);
+        
+        // Tokens and cost spent analyzing this job
+        const usageText = formatJobUsage(job.usage);
+        if (usageText) {
+            const usage = document.createElement('div');
+            usage.className = 'job-usage';
+            usage.textContent = usageText;
+            listItem.appendChild(usage);
+        }
+        
+        // Add click event to show job preview and open in new tab option
+        listItem.addEventListener('click', function() {
+            // Remove active class from all items
+            document.querySelectorAll('.job-item').forEach(item => {
+                item.classList.remove('active');
+            });
+            
+            // Add active class to clicked item
+            this.classList.add('active');
+            
+            // Show job preview
+            showJobPreview(job);
+        });
+        
+        return listItem;
+    }
+    
+    /**
+     * Keeps the preview in step with the reloaded jobs: it is redrawn if the job was analyzed again,
+     * moved to another stage or given another verdict by the user, and cleared if the job is gone
+     */
+    function refreshPreview() {
+        if (!selectedJob) {
+            return;
+        }
+        
+        const job = allJobs.find(candidate => candidate.jobId === selectedJob.jobId);
+        if (!job) {
+            clearPreview();
+        } else if (job.date !== selectedJob.date ||
+            job.application?.updatedAt !== selectedJob.application?.updatedAt ||
+            job.override?.date !== selectedJob.override?.date) {
+            showJobPreview(job);
+        } else {
+            selectedJob = job;
+        }
+    }
+    
+    /**
+     * Shows a preview of the job with a button to open in a new tab
+     * @param {Object} job - The job object to display
+     */
+    function showJobPreview(job) {
+        selectedJob = job;
+        
+        // Clear the frame container
+        frameContainer.innerHTML = '';
+        
+        // Create a preview panel
+        const previewPanel = document.createElement('div');
+        previewPanel.className = `job-preview verdict-${getEffectiveVerdict(job).toLowerCase()}`;
+        
+        // Prepare job description content (with fallbacks)
+        let descriptionContent = '';
+        if (job.descriptionHtml && job.descriptionHtml.trim()) {
+            // Use HTML description if available
+            descriptionContent = `
+                <div class="description-content formatted-html">
+                    ${job.descriptionHtml}
+                </div>
+            `;
+        } else if (job.description && job.description.trim()) {
+            // Fall back to plain text description with paragraphs
+            const paragraphs = job.description.split('\n\n')
+                .filter(p => p.trim())
+                .map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`)
+                .join('');
+            
+            descriptionContent = `
+                <div class="description-content">
+                    ${paragraphs}
+                </div>
+            `;
+        } else {
+            // No description available
+            descriptionContent = `
+                <div class="description-content">
+                    <p class="no-description">No detailed job description available.</p>
+                </div>
+            `;
+        }
+        
+        // Populate the preview with job details
+        previewPanel.innerHTML = `
+            <div class="preview-header">
+                <h2>${escapeHtml(job.title || '')}</h2>
+                <h3>${escapeHtml(job.company || '')}</h3>
+                ${job.location ? `<div class="preview-location">${escapeHtml(job.location)}</div>` : ''}
+                ${job.profileName ? `<div class="preview-profile">Profile: ${escapeHtml(job.profileName)}</div>` : ''}
+            </div>
+            <div class="preview-content">
+                <div class="preview-section">
+                    <h4>Analysis</h4>
+                    ${job.analysis ?
+                        `<div class="formatted-html">${job.analysis}</div>` :
+                        `<p>${VERDICT_SUMMARIES[job.verdict]}</p>`}
+                </div>
+                ${renderOverride(job)}
+                ${renderApplication(job)}
+                <div class="preview-section">
+                    <h4>Date Added</h4>
+                    <p>${formatDate(job.timestamp)}</p>
+                </div>
+                ${renderVerdictHistory(job)}
+                <div class="preview-section job-description-section">
+                    <h4>Job Description</h4>
+                    ${descriptionContent}
+                </div>
+            </div>
+            <div class="preview-actions">
+                ${getJobUrl(job) ? `
+                <a href="${escapeHtml(getJobUrl(job))}" target="_blank" class="view-job-btn">
+                    Open Job on ${getSourceLabel(getJobSource(job))}
+                </a>` : ''}
+                <button class="remove-job-btn" data-job-id="${job.jobId}">
+                    Remove from List
+                </button>
+            </div>
+        `;
+        
+        // Add the preview panel to the container
+        frameContainer.appendChild(previewPanel);
+        
+        // Overriding the model's verdict, with the reason typed above the buttons
+        previewPanel.querySelectorAll('.override-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const reason = previewPanel.querySelector('.override-reason').value;
+                setOverride(job.jobId, button.dataset.verdict || null, reason);
+            });
+        });
+        
+        // Moving the job through the pipeline from the preview
+        previewPanel.querySelector('.stage-select').addEventListener('change', (event) => {
+            setStage(job.jobId, event.target.value || null);
+        });
+        
+        // Add event listener for the remove button
+        const removeButton = previewPanel.querySelector('.remove-job-btn');
+        if (removeButton) {
+            removeButton.addEventListener('click', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                removeJob(job.jobId);
+            });
+        }
+    }
+    
+    /**
+     * Shows how many jobs the re-analysis buttons would send, and disables them while a batch runs
+     */
+    function updateReanalyzeButtons() {
+        // Jobs removed since they were ticked no longer count
+        for (const jobId of selectedJobIds) {
+            if (!allJobs.some(job => job.jobId === jobId)) {
+                selectedJobIds.delete(jobId);
+            }
+        }
+        
+        reanalyzeSelectedButton.textContent = `Re-analyze Selected (${selectedJobIds.size})`;
+        reanalyzeSelectedButton.disabled = reanalysisRunning || selectedJobIds.size === 0;
+        reanalyzeShownButton.textContent = `Re-analyze All Shown (${shownJobs.length})`;
+        reanalyzeShownButton.disabled = reanalysisRunning || shownJobs.length === 0;
+    }
+    
+    /**
+     * Asks the background to analyze stored jobs again with their saved descriptions
+     * @param {Array<string>} jobIds - IDs of the jobs
+     */
+    function startReanalysis(jobIds) {
+        if (jobIds.length === 0) {
+            return;
+        }
+        
+        reanalysisRunning = true;
+        updateReanalyzeButtons();
+        chrome.runtime.sendMessage({ action: 'startReanalysis', jobIds }, (response) => {
+            if (chrome.runtime.lastError || !response?.success) {
+                reanalysisRunning = false;
+                updateReanalyzeButtons();
+                reanalysisStatus.textContent = `Could not start the re-analysis: ${response?.error || chrome.runtime.lastError?.message}`;
+                reanalysisProgress.style.display = 'none';
+                cancelReanalysisButton.style.display = 'none';
+                dismissReanalysisButton.style.display = '';
+                reanalysisChanges.innerHTML = '';
+                reanalysisPanel.style.display = '';
+                return;
+            }
+            
+            selectedJobIds.clear();
+            renderJobs();
+            showReanalysis(response.batch);
+        });
+    }
+    
+    /**
+     * Shows the progress of a re-analysis batch and, as results come in, the verdicts that changed
+     * @param {Object|null} batch - Batch from the background, or null to hide the panel
+     */
+    function showReanalysis(batch) {
+        reanalysisRunning = !!batch && !batch.finishedAt;
+        updateReanalyzeButtons();
+        
+        if (!batch) {
+            reanalysisPanel.style.display = 'none';
+            return;
+        }
+        
+        const total = Object.keys(batch.jobs).length;
+        const results = Object.entries(batch.results);
+        const failed = results.filter(([, result]) => result.error).length;
+        const changed = results.filter(([jobId, result]) => result.verdict && result.verdict !== batch.jobs[jobId].from);
+        
+        const counts = [
+            `${changed.length} verdict${changed.length === 1 ? '' : 's'} changed`,
+            failed ? `${failed} failed` : '',
+            batch.skipped ? `${batch.skipped} skipped (no stored description or already being analyzed)` : '',
+            batch.cancelled ? `${batch.cancelled} cancelled` : ''
+        ].filter(Boolean).join(', ');
+        const stopped = batch.stopReason ? ` Stopped: ${batch.stopReason}` : '';
+        reanalysisStatus.textContent = batch.finishedAt
+            ? `Re-analyzed ${results.length} of ${total} jobs - ${counts}.${stopped}`
+            : `Re-analyzing ${results.length} of ${total} jobs - ${counts}`;
+        
+        reanalysisProgress.max = total;
+        reanalysisProgress.value = results.length + batch.cancelled;
+        reanalysisProgress.style.display = batch.finishedAt ? 'none' : '';
+        cancelReanalysisButton.style.display = batch.finishedAt ? 'none' : '';
+        cancelReanalysisButton.disabled = !!batch.stopReason;
+        dismissReanalysisButton.style.display = batch.finishedAt ? '' : 'none';
+        
+        // Each changed verdict links to the job's preview
+        reanalysisChanges.innerHTML = '';
+        changed.forEach(([jobId, result]) => {
+            const job = batch.jobs[jobId];
+            const item = document.createElement('li');
+            item.textContent = `${job.title} - ${job.company}: ${VERDICT_LABELS[job.from] || 'No verdict'} → ${VERDICT_LABELS[result.verdict]}`;
+            item.addEventListener('click', () => {
+                const current = allJobs.find(candidate => candidate.jobId === jobId);
+                if (!current) {
+                    return;
+                }
+                viewModeSelect.value = 'list';
+                updateUrl();
+                selectedJob = current;
+                renderJobs();
+                showJobPreview(current);
+                jobList.querySelector('.job-item.active')?.scrollIntoView({ block: 'nearest' });
+            });
+            reanalysisChanges.appendChild(item);
+        });
+        
+        reanalysisPanel.style.display = '';
+    }
+    
+    /**
+     * Renders the user's verdict of a job, with buttons to override the model's
+     * @param {Object} job - The job object
+     * @returns {string} - Preview section HTML
+     */
+    function renderOverride(job) {
+        const current = getEffectiveVerdict(job);
+        const overridden = current !== job.verdict;
+        
+        const status = overridden
+            ? `<p>You marked this job as <strong>${VERDICT_LABELS[current]}</strong> on ${formatDate(job.override.date)} - the model said ${VERDICT_LABELS[job.verdict]}.` +
+                `${job.override.reason ? ` Your reason: ${escapeHtml(job.override.reason)}` : ''}</p>`
+            : '<p>Disagree with the verdict? Mark the job yourself - your verdicts can be turned into criteria updates.</p>';
+        const buttons = Object.entries(VERDICT_LABELS)
+            .map(([verdict, label]) => `<button class="override-btn" data-verdict="${verdict}"${verdict === current ? ' disabled' : ''}>${label}</button>`)
+            .join('');
+        const reset = overridden ? '<button class="override-btn" data-verdict="">Use the Model\'s Verdict</button>' : '';
+        
+        return `
+                <div class="preview-section">
+                    <h4>Your Verdict</h4>
+                    ${status}
+                    <textarea class="override-reason" rows="2" placeholder="Why? (optional - used when suggesting criteria updates)"></textarea>
+                    <div class="override-buttons">${buttons}${reset}</div>
+                </div>
+        `;
+    }
+    
+    /**
+     * Records the user's own verdict of a job and shows the change
+     * @param {string} jobId - The ID of the job
+     * @param {string|null} verdict - YES, MAYBE or NO, or null to go back to the model's verdict
+     * @param {string} reason - Optional explanation of the disagreement
+     */
+    async function setOverride(jobId, verdict, reason) {
+        try {
+            const record = await jobRepository.setOverride(jobId, verdict, reason);
+            
+            allJobs = allJobs.map(job => job.jobId === jobId ? record : job);
+            updateCounts();
+            renderJobs();
+            if (selectedJob?.jobId === jobId) {
+                showJobPreview(record);
+            }
+        } catch (error) {
+            console.error('Error saving the verdict override:', error);
+            showErrorMessage('Failed to save your verdict. Please try again.');
+        }
+    }
+    
+    /**
+     * Asks the background for criteria of the active profile that fit the verdicts the user overrode,
+     * and opens them for review
+     */
+    function suggestCriteriaUpdate() {
+        suggestion = null;
+        suggestionReview.style.display = 'none';
+        saveSuggestionButton.style.display = 'none';
+        closeSuggestionButton.textContent = 'Cancel';
+        suggestionStatus.textContent = 'Asking the model for updated criteria...';
+        suggestionModal.style.display = '';
+        
+        chrome.runtime.sendMessage({ action: 'suggestCriteria' }, (response) => {
+            // The review was closed while the model was answering
+            if (suggestionModal.style.display === 'none') {
+                return;
+            }
+            if (chrome.runtime.lastError || !response?.success) {
+                suggestionStatus.textContent = `Could not suggest a criteria update: ${response?.error || chrome.runtime.lastError?.message}`;
+                closeSuggestionButton.textContent = 'Close';
+                return;
+            }
+            
+            suggestion = response;
+            const count = `${response.disagreements} verdict${response.disagreements === 1 ? '' : 's'}`;
+            suggestionStatus.textContent = `${response.summary} Based on ${count} you overrode with the "${response.profileName}" profile. ` +
+                'Edit the criteria below if needed - nothing is saved until you save them.';
+            suggestedCriteriaInput.value = response.suggestedCriteria;
+            renderCriteriaDiff();
+            suggestionReview.style.display = '';
+            saveSuggestionButton.style.display = '';
+            saveSuggestionButton.disabled = false;
+        });
+    }
+    
+    /**
+     * Shows the changes the edited suggestion makes to the current criteria
+     */
+    function renderCriteriaDiff() {
+        if (!suggestion) {
+            return;
+        }
+        
+        criteriaDiff.innerHTML = diffLines(suggestion.currentCriteria, suggestedCriteriaInput.value)
+            .map(line => `<div class="diff-${line.type}">${DIFF_MARKERS[line.type]} ${escapeHtml(line.text)}</div>`)
+            .join('');
+    }
+    
+    /**
+     * Saves the reviewed criteria into the profile the suggestion was made for
+     */
+    function saveSuggestedCriteria() {
+        const criteria = suggestedCriteriaInput.value.trim();
+        if (!suggestion || !criteria) {
+            return;
+        }
+        
+        saveSuggestionButton.disabled = true;
+        chrome.runtime.sendMessage({ action: 'saveCriteria', criteria, profileId: suggestion.profileId }, (response) => {
+            if (chrome.runtime.lastError || !response?.success) {
+                suggestionStatus.textContent = `Could not save the criteria: ${response?.error || chrome.runtime.lastError?.message}`;
+                saveSuggestionButton.disabled = false;
+                return;
+            }
+            
+            suggestionStatus.textContent = `Criteria of the "${suggestion.profileName}" profile saved. ` +
+                'Jobs analyzed with the old criteria are now out of date - use "Re-analyze All Shown" here or "Re-analyze Stale" in the popup to apply the new ones.';
+            suggestionReview.style.display = 'none';
+            saveSuggestionButton.style.display = 'none';
+            closeSuggestionButton.textContent = 'Close';
+            suggestion = null;
+        });
+    }
+    
+    /**
+     * Renders the application stage picker of a job with its dated stage changes, newest first
+     * @param {Object} job - The job object
+     * @returns {string} - Preview section HTML
+     */
+    function renderApplication(job) {
+        const current = getStage(job);
+        const options = [['', 'Not tracking'], ...PIPELINE_STAGES.map(stage => [stage.id, stage.label])]
+            .map(([value, label]) => `<option value="${value}"${value === (current || '') ? ' selected' : ''}>${label}</option>`)
+            .join('');
+        const transitions = [...(job.application?.transitions || [])].reverse()
+            .map(transition => `<li><strong>${getStageLabel(transition.stage)}</strong> - ${formatDate(transition.date)}</li>`)
+            .join('');
+        
+        return `
+                <div class="preview-section">
+                    <h4>Application</h4>
+                    <select class="stage-select">${options}</select>
+                    ${transitions ? `<ul class="verdict-history">${transitions}</ul>` : ''}
+                </div>
+        `;
+    }
+    
+    /**
+     * Renders the earlier verdicts of a job, newest first
+     * @param {Object} job - The job object
+     * @returns {string} - Preview section HTML, empty if the job was analyzed once
+     */
+    function renderVerdictHistory(job) {
+        if (!job.history || job.history.length === 0) {
+            return '';
+        }
+        
+        const entries = [...job.history].reverse().map(entry => {
+            const score = typeof entry.score === 'number' ? ` (${entry.score}/100)` : '';
+            const profile = entry.profileName ? ` with the "${escapeHtml(entry.profileName)}" profile` : '';
+            // The fingerprint tells whether the criteria, resume, prompts or model were different then
+            const settings = entry.fingerprint && entry.fingerprint !== job.fingerprint ? ', earlier criteria or settings' : '';
+            return `<li><strong>${entry.verdict}</strong>${score} - ${formatDate(entry.date)}${profile}${settings}</li>`;
+        }).join('');
+        
+        return `
+                <div class="preview-section">
+                    <h4>Earlier Verdicts</h4>
+                    <ul class="verdict-history">${entries}</ul>
+                </div>
+        `;
+    }
+    
+    /**
+     * Format a date string to a more readable format
+     * @param {string} dateString - ISO date string
+     * @returns {string} - Formatted date
+     */
+    function formatDate(dateString) {
+        if (!dateString) return 'Unknown date';
+        
+        try {
+            const date = new Date(dateString);
+            return new Intl.DateTimeFormat('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            }).format(date);
+        } catch (e) {
+            return 'Unknown date';
+        }
+    }
+    
+    /**
+     * Removes a job from the dashboard
+     * @param {string} jobId - The ID of the job to remove
+     */
+    async function removeJob(jobId) {
+        try {
+            // The job stays in the repository, so its badge and cached verdict survive
+            await jobRepository.upsert(jobId, { dismissed: true });
+            
+            // Refresh the job list
+            allJobs = allJobs.filter(job => job.jobId !== jobId);
+            if (allJobs.length === 0) {
+                showNoJobsMessage();
+            } else {
+                updateCounts();
+                clearPreview();
+                renderJobs();
+            }
+        } catch (error) {
+            console.error('Error removing job:', error);
+            showErrorMessage('Failed to remove job. Please try again.');
+        }
+    }
+    
+    /**
+     * Empties the preview panel
+     */
+    function clearPreview() {
+        selectedJob = null;
+        frameContainer.innerHTML = `
+            <div class="empty-state">
+                <h2>Select a job listing</h2>
+                <p>Click on a job from the list on the left to view it here.</p>
+            </div>
+        `;
+    }
+    
+    /**
+     * Shows a message when the repository has no jobs
+     */
+    function showNoJobsMessage() {
+        selectedJob = null;
+        showLayout('list');
+        jobList.innerHTML = '';
+        frameContainer.innerHTML = '';
+        
+        const noJobs = document.createElement('div');
+        noJobs.className = 'no-jobs';
+        noJobs.innerHTML = `
+            <h2>No Jobs Found</h2>
+            <p>You haven't analyzed any jobs yet.</p>
+            <p>Browse job listings on LinkedIn, Indeed, Greenhouse, Lever or Ashby and every analyzed job will be listed here, updating while the scan runs.</p>
+        `;
+        
+        frameContainer.appendChild(noJobs);
+    }
+    
+    /**
+     * Shows an error message
+     * @param {string} message - Error message to display
+     */
+    function showErrorMessage(message) {
+        showLayout('list');
+        jobList.innerHTML = '';
+        frameContainer.innerHTML = '';
+        
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'no-jobs';
+        errorDiv.innerHTML = `
+            <h2>Error</h2>
+            <p>${message}</p>
+        `;
+        
+        frameContainer.appendChild(errorDiv);
+    }
+});
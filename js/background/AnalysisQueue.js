@@ -0,0 +1,305 @@
+/**
+ * AnalysisQueue.js
+ * Persistent queue of analysis requests that survives service worker restarts
+ */
+
+const STORAGE_KEY = 'analysisQueue';
+
+// Task states
+export const TASK_STATES = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+// A task interrupted this many times is failed instead of being resumed again
+const MAX_ATTEMPTS = 3;
+
+// Finished results nobody picked up are dropped after a day
+const RESULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+class AnalysisQueue {
+    /**
+     * @param {Object} options - Queue options
+     * @param {Function} options.handler - Async function running a task, resolving to the response data sent to the tab
+     * @param {Number} options.concurrency - Maximum number of tasks running at once
+     */
+    constructor({ handler, concurrency = 2 }) {
+        this.handler = handler;
+        this.concurrency = concurrency;
+        this.tasks = {};
+        this.running = 0;
+        // Storage writes are chained so a slow write never overwrites a newer one
+        this.saveChain = Promise.resolve();
+        this.ready = this.load();
+    }
+
+    /**
+     * Load the persisted tasks and resume the ones the previous worker left behind
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const stored = await chrome.storage.local.get([STORAGE_KEY]);
+        this.tasks = stored[STORAGE_KEY] || {};
+
+        const now = Date.now();
+        let resumed = 0;
+
+        for (const task of Object.values(this.tasks)) {
+            // Tasks stored by earlier versions had a single requesting tab
+            if (!task.requesters) {
+                task.requesters = task.tabId !== null && task.tabId !== undefined
+                    ? [{ tabId: task.tabId, requestId: task.id }]
+                    : [];
+                delete task.tabId;
+            }
+
+            if (task.state === TASK_STATES.RUNNING) {
+                // The worker was stopped mid-request - run it again unless it keeps getting interrupted
+                if (task.attempts >= MAX_ATTEMPTS) {
+                    this.finish(task, TASK_STATES.FAILED, null, 'Analysis was interrupted too many times');
+                } else {
+                    task.state = TASK_STATES.QUEUED;
+                    resumed++;
+                }
+            } else if (task.state === TASK_STATES.QUEUED) {
+                resumed++;
+            } else if (now - task.finishedAt > RESULT_TTL_MS) {
+                delete this.tasks[task.id];
+            }
+        }
+
+        if (resumed > 0) {
+            console.log(`[JobListingAssistant] Resuming ${resumed} queued analyses`);
+        }
+
+        await this.save();
+
+        // Retry deliveries that failed before the restart, then start the queued work
+        for (const task of Object.values(this.tasks)) {
+            if (task.state === TASK_STATES.DONE || task.state === TASK_STATES.FAILED) {
+                this.deliver(task);
+            }
+        }
+        this.pump();
+    }
+
+    /**
+     * Add a request to the queue
+     * @param {Object} request - Task description
+     * @param {String} request.id - Request ID the content script is waiting on
+     * @param {Number} request.tabId - Tab that sent the request, null for batches
+     * @param {Object} request.content - Job content
+     * @param {String} request.profileId - Criteria profile the job is analyzed with
+     * @param {String} request.sessionId - Processing session the request belongs to
+     * @param {String} request.batchId - Re-analysis batch of stored jobs the request belongs to, if any
+     * @returns {Promise<Object>} The stored task
+     */
+    async enqueue({ id, tabId, content, profileId = null, sessionId = null, batchId = null }) {
+        await this.ready;
+
+        // A job that is still pending with the same profile is not analyzed twice: the new requester
+        // gets the same result. Under another profile it is a different analysis
+        const existing = this.findPending(content.jobId, profileId);
+        if (existing && batchId) {
+            // A batch leaves a job already pending to whoever asked for it first
+            return existing;
+        }
+        if (existing) {
+            if (tabId !== null && tabId !== undefined &&
+                !existing.requesters.some(requester => requester.requestId === id)) {
+                existing.requesters.push({ tabId, requestId: id });
+                await this.save();
+            }
+            return existing;
+        }
+
+        const task = {
+            id,
+            // Tabs waiting for the result, each under the request ID it sent
+            requesters: tabId !== null && tabId !== undefined ? [{ tabId, requestId: id }] : [],
+            jobId: content.jobId,
+            content,
+            profileId,
+            sessionId,
+            batchId,
+            state: TASK_STATES.QUEUED,
+            attempts: 0,
+            createdAt: Date.now(),
+            finishedAt: null,
+            result: null,
+            error: null
+        };
+
+        this.tasks[id] = task;
+        await this.save();
+        this.pump();
+        return task;
+    }
+
+    /**
+     * Find the queued or running analysis of a job with a criteria profile
+     * @param {String} jobId - Job ID
+     * @param {String|null} profileId - Criteria profile the job is analyzed with
+     * @returns {Object|undefined} The pending task, if any
+     */
+    findPending(jobId, profileId = null) {
+        return Object.values(this.tasks).find(task =>
+            task.jobId === jobId &&
+            (task.profileId ?? null) === (profileId ?? null) &&
+            (task.state === TASK_STATES.QUEUED || task.state === TASK_STATES.RUNNING));
+    }
+
+    /**
+     * Drop the tasks of a batch that have not started; running ones are left to finish
+     * @param {String} batchId - Batch ID
+     * @returns {Promise<Number>} Number of tasks dropped
+     */
+    async cancelBatch(batchId) {
+        await this.ready;
+
+        // Tasks a page asked for too are still awaited by that page
+        const queued = Object.values(this.tasks).filter(task =>
+            task.batchId === batchId && task.state === TASK_STATES.QUEUED && task.requesters.length === 0);
+        for (const task of queued) {
+            delete this.tasks[task.id];
+        }
+        if (queued.length > 0) {
+            await this.save();
+        }
+        return queued.length;
+    }
+
+    /**
+     * Change the number of tasks allowed to run at once
+     * @param {Number} concurrency - Maximum running tasks
+     */
+    setConcurrency(concurrency) {
+        this.concurrency = Math.max(1, Number(concurrency) || 1);
+        this.pump();
+    }
+
+    /**
+     * Start queued tasks, oldest first, up to the concurrency limit
+     */
+    pump() {
+        const queued = Object.values(this.tasks)
+            .filter(task => task.state === TASK_STATES.QUEUED)
+            .sort((a, b) => a.createdAt - b.createdAt);
+
+        while (this.running < this.concurrency && queued.length > 0) {
+            this.run(queued.shift());
+        }
+    }
+
+    /**
+     * Run a single task and store its outcome
+     * @param {Object} task - Task to run
+     */
+    async run(task) {
+        this.running++;
+        task.state = TASK_STATES.RUNNING;
+        task.attempts++;
+        await this.save();
+
+        try {
+            const data = await this.handler(task);
+            this.finish(task, data.success ? TASK_STATES.DONE : TASK_STATES.FAILED, data, data.error || null);
+        } catch (error) {
+            this.finish(task, TASK_STATES.FAILED, null, error.message || 'Unknown error during analysis');
+        } finally {
+            this.running--;
+        }
+
+        await this.save();
+        this.deliver(task);
+        this.pump();
+    }
+
+    /**
+     * Mark a task as finished
+     * @param {Object} task - Task
+     * @param {String} state - DONE or FAILED
+     * @param {Object} result - Response data
+     * @param {String} error - Error message for failed tasks
+     */
+    finish(task, state, result, error = null) {
+        task.state = state;
+        task.result = result;
+        task.error = error;
+        task.finishedAt = Date.now();
+    }
+
+    /**
+     * Send a finished task to every tab that asked for it; keep it for pickup if none received it
+     * @param {Object} task - Finished task
+     */
+    async deliver(task) {
+        const data = task.result || { success: false, error: task.error };
+
+        let delivered = false;
+        for (const { tabId, requestId } of task.requesters) {
+            try {
+                // The content script acknowledges responses it was still waiting for
+                const reply = await chrome.tabs.sendMessage(tabId, { responseToId: requestId, data });
+                delivered = delivered || !!reply?.received;
+            } catch (error) {
+                // Tab closed, navigated or reloaded
+            }
+        }
+
+        // Failures have nothing worth picking up later, and batch results are stored by the batch itself
+        if (delivered || task.state === TASK_STATES.FAILED || task.batchId) {
+            delete this.tasks[task.id];
+            await this.save();
+        } else {
+            console.log(`[JobListingAssistant] Result for job ${task.jobId} kept for pickup`);
+        }
+    }
+
+    /**
+     * Hand over finished results whose tab never received them
+     * @returns {Promise<Array>} Response data of the undelivered results
+     */
+    async collectResults() {
+        await this.ready;
+
+        const finished = Object.values(this.tasks).filter(task => task.state === TASK_STATES.DONE);
+        for (const task of finished) {
+            delete this.tasks[task.id];
+        }
+        if (finished.length > 0) {
+            await this.save();
+        }
+
+        return finished.map(task => ({ ...task.result, jobId: task.jobId }));
+    }
+
+    /**
+     * Count tasks per state
+     * @returns {Promise<Object>} Counts keyed by state
+     */
+    async getStatus() {
+        await this.ready;
+
+        const counts = { queued: 0, running: 0, done: 0, failed: 0 };
+        for (const task of Object.values(this.tasks)) {
+            counts[task.state]++;
+        }
+        return counts;
+    }
+
+    /**
+     * Persist the tasks
+     * @returns {Promise<void>}
+     */
+    save() {
+        this.saveChain = this.saveChain
+            .then(() => chrome.storage.local.set({ [STORAGE_KEY]: this.tasks }))
+            .catch(error => console.error('[JobListingAssistant] Error saving analysis queue:', error));
+        return this.saveChain;
+    }
+}
+
+export default AnalysisQueue;
@@ -0,0 +1,240 @@
+/**
+ * Reanalyzer.js
+ * Re-analysis of stored jobs from their saved descriptions, in batches run through the analysis queue
+ */
+
+import { ERROR_TYPES } from '../providers/ProviderError.js';
+
+/**
+ * chrome.storage.local key of the current batch. The dashboard watches it with chrome.storage.onChanged
+ * to show the progress, and it lets a batch survive service worker restarts along with its queued tasks
+ */
+export const REANALYSIS_KEY = 'reanalysisBatch';
+
+/**
+ * Check whether every job of a batch was analyzed or dropped
+ * @param {Object} batch - Batch
+ * @returns {Boolean} True if nothing of the batch is left to run
+ */
+function isComplete(batch) {
+    return Object.keys(batch.results).length + batch.cancelled >= Object.keys(batch.jobs).length;
+}
+
+class Reanalyzer {
+    /**
+     * @param {Object} options - Options
+     * @param {AnalysisQueue} options.analysisQueue - Queue the analyses run in, with the concurrency and rate
+     *                                               limits page scans use
+     * @param {JobRepository} options.jobRepository - Repository the jobs are read from
+     * @param {StorageManager} options.storageManager - Stores the new results under the retention rules
+     * @param {Function} options.analyze - Async function analyzing job content with a profile and session,
+     *                                     resolving to the same response data pages receive
+     */
+    constructor({ analysisQueue, jobRepository, storageManager, analyze }) {
+        this.analysisQueue = analysisQueue;
+        this.jobRepository = jobRepository;
+        this.storageManager = storageManager;
+        this.analyze = analyze;
+        this.batch = null;
+        // Progress updates of concurrent analyses are chained so none overwrites another
+        this.updateChain = Promise.resolve();
+        this.ready = this.load();
+    }
+
+    /**
+     * Load the batch the previous worker left behind
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const stored = await chrome.storage.local.get([REANALYSIS_KEY]);
+        this.batch = stored[REANALYSIS_KEY] || null;
+    }
+
+    /**
+     * Change the current batch and persist it
+     * @param {Function} change - Async function changing the batch in place, called with null if there is none
+     * @returns {Promise<Object|null>} The batch after the change
+     */
+    update(change) {
+        const task = this.updateChain.then(async () => {
+            await this.ready;
+            await change(this.batch);
+            if (this.batch) {
+                await chrome.storage.local.set({ [REANALYSIS_KEY]: this.batch });
+            } else {
+                await chrome.storage.local.remove(REANALYSIS_KEY);
+            }
+            return this.batch;
+        });
+        // A failed update must not block the ones after it
+        this.updateChain = task.catch(error => console.error('[JobListingAssistant] Error saving re-analysis progress:', error));
+        return task;
+    }
+
+    /**
+     * Get the current batch
+     * @returns {Promise<Object|null>} Batch with its jobs (title, company and verdict before the batch),
+     *                                 results (new verdict or error) and counts, or null if there is none
+     */
+    async getStatus() {
+        await this.updateChain;
+        return this.batch;
+    }
+
+    /**
+     * Queue stored jobs for analysis with their saved descriptions. Each job is analyzed with the
+     * profile it was last analyzed with, or the active profile if that one is gone
+     * @param {Array<String>} jobIds - Jobs to analyze again
+     * @returns {Promise<Object>} The new batch
+     * @throws {Error} If a batch is still running or none of the jobs has a description
+     */
+    async start(jobIds) {
+        await this.updateChain;
+        if (this.batch && !this.batch.finishedAt) {
+            throw new Error('A re-analysis is already running');
+        }
+
+        const records = Object.values(await this.jobRepository.getMany(jobIds));
+        // Descriptions dropped by the retention rules cannot be analyzed again without the job site
+        const analyzable = records.filter(record => (record.description || '').trim());
+        if (analyzable.length === 0) {
+            throw new Error('None of these jobs has a stored description to analyze');
+        }
+
+        const id = `reanalysis_${Date.now()}`;
+        const jobs = {};
+        for (const record of analyzable) {
+            jobs[record.jobId] = { title: record.title || '', company: record.company || '', from: record.verdict || null };
+        }
+
+        await this.update(() => {
+            this.batch = {
+                id,
+                startedAt: new Date().toISOString(),
+                finishedAt: null,
+                jobs,
+                results: {},
+                skipped: jobIds.length - analyzable.length,
+                cancelled: 0,
+                stopReason: null
+            };
+        });
+        console.log(`[JobListingAssistant] Re-analyzing ${analyzable.length} stored jobs (${jobIds.length - analyzable.length} without a description skipped)`);
+
+        await this.analysisQueue.ready;
+        const alreadyPending = [];
+        for (const record of analyzable) {
+            // The queue runs a job once per profile - a page already analyzing it with this profile gives the verdict
+            const profileId = record.profileId || null;
+            if (this.analysisQueue.findPending(record.jobId, profileId)) {
+                alreadyPending.push(record.jobId);
+                continue;
+            }
+            
+            await this.analysisQueue.enqueue({
+                id: `${id}_${record.jobId}`,
+                tabId: null,
+                content: {
+                    jobId: record.jobId,
+                    title: record.title || '',
+                    company: record.company || '',
+                    location: record.location || '',
+                    salary: record.salary || '',
+                    description: record.description,
+                    descriptionHtml: record.descriptionHtml || '',
+                    source: record.source || null,
+                    url: record.url || ''
+                },
+                profileId,
+                // Usage totals show the batch as a processing session of its own
+                sessionId: id,
+                batchId: id
+            });
+        }
+
+        // Jobs a page is already analyzing get their verdict from that page
+        return this.update(batch => {
+            if (!batch || batch.id !== id) {
+                return;
+            }
+            alreadyPending.forEach(jobId => delete batch.jobs[jobId]);
+            batch.skipped += alreadyPending.length;
+            if (!batch.finishedAt && isComplete(batch)) {
+                batch.finishedAt = new Date().toISOString();
+            }
+        });
+    }
+
+    /**
+     * Run a queued task of a batch: analyze the job, store the result and count it
+     * @param {Object} task - Queue task with the batchId
+     * @returns {Promise<Object>} Response data of the analysis
+     */
+    async run(task) {
+        let data = await this.analyze(task.content, task.profileId, task.sessionId);
+
+        if (data.success) {
+            // Stored like a result saved by a page; the repository sets the date
+            const { success, date, ...result } = data;
+            try {
+                await this.storageManager.saveResult(task.jobId, result);
+            } catch (error) {
+                data = { success: false, error: `Could not save the result: ${error.message}` };
+            }
+        }
+
+        await this.update(async batch => {
+            // The batch was dismissed, or replaced after a restart
+            if (!batch || batch.id !== task.batchId) {
+                return;
+            }
+
+            batch.results[task.jobId] = data.success
+                ? { verdict: data.verdict, score: data.score ?? null }
+                : { error: data.error || 'Unknown error during analysis' };
+
+            // Nothing else will get through once the budget is spent
+            if (data.errorType === ERROR_TYPES.SPEND_CAP && !batch.stopReason) {
+                batch.stopReason = data.error;
+                batch.cancelled += await this.analysisQueue.cancelBatch(batch.id);
+            }
+            if (!batch.finishedAt && isComplete(batch)) {
+                batch.finishedAt = new Date().toISOString();
+                console.log(`[JobListingAssistant] Re-analysis finished: ${Object.keys(batch.results).length} jobs analyzed`);
+            }
+        });
+
+        return data;
+    }
+
+    /**
+     * Stop the current batch: queued jobs are dropped, the ones already running finish
+     * @returns {Promise<Object|null>} The batch
+     */
+    cancel() {
+        return this.update(async batch => {
+            if (!batch || batch.finishedAt) {
+                return;
+            }
+            batch.cancelled += await this.analysisQueue.cancelBatch(batch.id);
+            batch.stopReason = batch.stopReason || 'Cancelled';
+            if (isComplete(batch)) {
+                batch.finishedAt = new Date().toISOString();
+            }
+        });
+    }
+
+    /**
+     * Forget a finished batch
+     * @returns {Promise<void>}
+     */
+    async dismiss() {
+        await this.update(() => {
+            if (this.batch?.finishedAt) {
+                this.batch = null;
+            }
+        });
+    }
+}
+
+export default Reanalyzer;
@@ -0,0 +1,236 @@
+/**
+ * StorageManager.js
+ * Storage usage per category, and the retention rules that keep the job repository from growing forever
+ */
+
+import { getEffectiveVerdict, getResultVerdict, VERDICTS } from '../utils/verdict.js';
+import { REANALYSIS_KEY } from './Reanalyzer.js';
+
+const STORAGE_KEY = 'retentionRules';
+
+// Alarm the background prunes the job repository on
+export const PRUNE_ALARM = 'pruneJobs';
+const PRUNE_INTERVAL_MINUTES = 24 * 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// chrome.storage.local keys reported as their own category; everything else counts as settings
+const QUEUE_KEYS = ['analysisQueue', REANALYSIS_KEY];
+const USAGE_KEYS = ['usageStats'];
+
+/**
+ * Which jobs keep their description: every job, matched jobs only, or none
+ */
+export const DESCRIPTION_POLICIES = {
+    ALL: 'all',
+    MATCHES: 'matches',
+    NONE: 'none'
+};
+
+// Defaults for the retentionRules setting - 0 days keeps jobs of that kind forever
+export const DEFAULT_RETENTION_RULES = {
+    rejectedDays: 60,
+    borderlineDays: 0,
+    matchedDays: 0,
+    dismissedDays: 30,
+    keepDescriptions: DESCRIPTION_POLICIES.ALL
+};
+
+/**
+ * Check retention rules before they are saved
+ * @param {Object} rules - Retention rules
+ * @returns {Array<String>} Error messages, empty if the rules are usable
+ */
+export function validateRetentionRules(rules) {
+    const errors = [];
+
+    for (const key of ['rejectedDays', 'borderlineDays', 'matchedDays', 'dismissedDays']) {
+        const days = rules?.[key];
+        if (!Number.isInteger(days) || days < 0) {
+            errors.push(`${key} must be a whole number of days, 0 or more`);
+        }
+    }
+
+    if (!Object.values(DESCRIPTION_POLICIES).includes(rules?.keepDescriptions)) {
+        errors.push('Unknown description policy');
+    }
+
+    return errors;
+}
+
+/**
+ * Whether a job with the given verdict keeps its description
+ * @param {String} verdict - YES, MAYBE or NO
+ * @param {String} policy - One of DESCRIPTION_POLICIES
+ * @returns {Boolean} True if the description is kept
+ */
+function keepsDescription(verdict, policy) {
+    return policy === DESCRIPTION_POLICIES.ALL || (policy === DESCRIPTION_POLICIES.MATCHES && verdict === VERDICTS.YES);
+}
+
+/**
+ * Copy of a result without the job description
+ * @param {Object} result - Result or job record
+ * @returns {Object} Result with empty description fields, so saving it also clears the stored ones
+ */
+function withoutDescription(result) {
+    return { ...result, description: '', descriptionHtml: '' };
+}
+
+/**
+ * Check whether an error is the browser refusing a write for lack of space
+ * @param {Error} error - Error from IndexedDB or chrome.storage
+ * @returns {Boolean} True for quota errors
+ */
+export function isQuotaError(error) {
+    return error?.name === 'QuotaExceededError' || /quota/i.test(error?.message || '');
+}
+
+/**
+ * Stricter rules used once a write has failed for lack of space: removed jobs go after a day, rejected
+ * ones after a week, and only matched jobs keep their description
+ * @param {Object} rules - The user's retention rules
+ * @returns {Object} Rules at least as strict
+ */
+function quotaExceededRules(rules) {
+    const tighten = (days, limit) => days > 0 ? Math.min(days, limit) : limit;
+    return {
+        ...rules,
+        rejectedDays: tighten(rules.rejectedDays, 7),
+        dismissedDays: tighten(rules.dismissedDays, 1),
+        keepDescriptions: rules.keepDescriptions === DESCRIPTION_POLICIES.NONE ? DESCRIPTION_POLICIES.NONE : DESCRIPTION_POLICIES.MATCHES
+    };
+}
+
+class StorageManager {
+    /**
+     * @param {JobRepository} jobRepository - Repository the retention rules apply to
+     */
+    constructor(jobRepository) {
+        this.jobRepository = jobRepository;
+    }
+
+    /**
+     * Read the retention rules
+     * @returns {Promise<Object>} Rules, with defaults for the missing fields
+     */
+    async getRules() {
+        const stored = await chrome.storage.local.get([STORAGE_KEY]);
+        return { ...DEFAULT_RETENTION_RULES, ...(stored[STORAGE_KEY] || {}) };
+    }
+
+    /**
+     * Make sure the pruning alarm is scheduled; an existing schedule is left as it is
+     * @returns {Promise<void>}
+     */
+    async schedulePruning() {
+        const alarm = await chrome.alarms.get(PRUNE_ALARM);
+        if (!alarm) {
+            await chrome.alarms.create(PRUNE_ALARM, { delayInMinutes: 1, periodInMinutes: PRUNE_INTERVAL_MINUTES });
+        }
+    }
+
+    /**
+     * Measure what the extension stores, by category
+     * @returns {Promise<Object>} Object with the categories (id, label, bytes and, for jobs, count), the
+     *                            chrome.storage.local quota, and the browser's estimate for the extension
+     */
+    async getUsage() {
+        const [jobs, totalBytes, queueBytes, usageBytes, estimate] = await Promise.all([
+            this.jobRepository.measure(),
+            chrome.storage.local.getBytesInUse(null),
+            chrome.storage.local.getBytesInUse(QUEUE_KEYS),
+            chrome.storage.local.getBytesInUse(USAGE_KEYS),
+            navigator.storage?.estimate ? navigator.storage.estimate() : null
+        ]);
+
+        return {
+            categories: [
+                { id: 'matched', label: 'Matched jobs', ...jobs[VERDICTS.YES] },
+                { id: 'borderline', label: 'Borderline jobs', ...jobs[VERDICTS.MAYBE] },
+                { id: 'rejected', label: 'Rejected jobs', ...jobs[VERDICTS.NO] },
+                { id: 'descriptions', label: 'Job descriptions', ...jobs.descriptions },
+                { id: 'queue', label: 'Analysis queue', bytes: queueBytes },
+                { id: 'usage', label: 'Usage statistics', bytes: usageBytes },
+                { id: 'settings', label: 'Settings and profiles', bytes: totalBytes - queueBytes - usageBytes }
+            ],
+            settingsQuota: chrome.storage.local.QUOTA_BYTES,
+            estimate: estimate ? { usage: estimate.usage, quota: estimate.quota } : null
+        };
+    }
+
+    /**
+     * Apply the retention rules to every job
+     * @param {Object} options - Options
+     * @param {Boolean} options.quotaExceeded - Storage ran out; apply stricter rules to make room
+     * @returns {Promise<Object>} Object with the number of jobs deleted and updated
+     */
+    async prune({ quotaExceeded = false } = {}) {
+        const stored = await this.getRules();
+        const rules = quotaExceeded ? quotaExceededRules(stored) : stored;
+        const now = Date.now();
+
+        const counts = await this.jobRepository.sweep(record => {
+            // Jobs in the application pipeline are the user's own records, not a cache
+            if (record.application) {
+                return record;
+            }
+
+            // A job the user marked as a match is kept like one, whatever the model said
+            const verdict = getEffectiveVerdict(record);
+            const age = now - new Date(record.date).getTime();
+            const maxDays = record.dismissed ? rules.dismissedDays : {
+                [VERDICTS.YES]: rules.matchedDays,
+                [VERDICTS.MAYBE]: rules.borderlineDays,
+                [VERDICTS.NO]: rules.rejectedDays
+            }[verdict];
+
+            if (maxDays > 0 && age > maxDays * DAY_MS) {
+                return null;
+            }
+            if ((record.description || record.descriptionHtml) && !keepsDescription(verdict, rules.keepDescriptions)) {
+                return withoutDescription(record);
+            }
+            return record;
+        });
+
+        console.log(`[JobListingAssistant] Pruned the job repository${quotaExceeded ? ' after running out of space' : ''}:`,
+            `${counts.deleted} jobs deleted, ${counts.updated} descriptions dropped`);
+        return counts;
+    }
+
+    /**
+     * Store a new analysis of a job, dropping its description if the rules say so. If storage is full,
+     * prune with stricter rules and try again, and as a last resort store the verdict without the description
+     * @param {String} jobId - Job ID
+     * @param {Object} result - Analysis result
+     * @returns {Promise<Object>} The stored record
+     */
+    async saveResult(jobId, result) {
+        const rules = await this.getRules();
+        const toStore = keepsDescription(getResultVerdict(result), rules.keepDescriptions) ? result : withoutDescription(result);
+
+        try {
+            return await this.jobRepository.saveResult(jobId, toStore);
+        } catch (error) {
+            if (!isQuotaError(error)) {
+                throw error;
+            }
+            console.warn('[JobListingAssistant] Storage is full - pruning the job repository before saving again');
+        }
+
+        await this.prune({ quotaExceeded: true });
+        try {
+            return await this.jobRepository.saveResult(jobId, toStore);
+        } catch (error) {
+            if (!isQuotaError(error)) {
+                throw error;
+            }
+            console.warn(`[JobListingAssistant] Storage is still full - saving job ${jobId} without its description`);
+        }
+
+        return this.jobRepository.saveResult(jobId, withoutDescription(toStore));
+    }
+}
+
+export default StorageManager;
@@ -0,0 +1,187 @@
+/**
+ * UsageTracker.js
+ * Token and cost accounting per day and per processing session, and the spend caps built on it
+ */
+
+import { calculateCost, getModelPrice } from '../providers/pricing.js';
+
+const STORAGE_KEY = 'usageStats';
+
+// Only the current and previous month are ever shown
+const DAYS_KEPT = 62;
+const SESSIONS_KEPT = 20;
+
+// Defaults for the spendLimits setting, in USD - 0 disables a cap
+export const DEFAULT_SPEND_LIMITS = {
+    dailyCap: 0,
+    monthlyCap: 0
+};
+
+/**
+ * Empty usage totals
+ * @returns {Object} Totals
+ */
+function emptyTotals() {
+    return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedRequests: 0 };
+}
+
+/**
+ * Local calendar date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {String} Day key
+ */
+function dayKey(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+class UsageTracker {
+    constructor() {
+        this.stats = null;
+        // Updates are chained so concurrent analyses never lose each other's usage
+        this.chain = Promise.resolve();
+    }
+
+    /**
+     * Load the stored totals once per worker lifetime
+     * @returns {Promise<Object>} Stats
+     */
+    async load() {
+        if (!this.stats) {
+            const stored = await chrome.storage.local.get([STORAGE_KEY]);
+            this.stats = { days: {}, sessions: {}, lastSessionId: null, ...(stored[STORAGE_KEY] || {}) };
+        }
+        return this.stats;
+    }
+
+    /**
+     * Record the usage of one request
+     * @param {Object} entry - Request details
+     * @param {String} entry.providerId - Provider ID
+     * @param {String} entry.model - Model name
+     * @param {String} entry.baseUrl - Base URL of the API
+     * @param {Object|null} entry.usage - Object with inputTokens and outputTokens, null if not reported
+     * @param {String} entry.sessionId - Processing session the request belongs to, if any
+     * @returns {Promise<Object>} Usage of the request with its cost (null if the model has no known price)
+     */
+    record({ providerId, model, baseUrl = '', usage, sessionId = null }) {
+        const task = this.chain.then(async () => {
+            const stats = await this.load();
+            const { modelPrices } = await chrome.storage.local.get(['modelPrices']);
+
+            const tokens = {
+                inputTokens: usage?.inputTokens || 0,
+                outputTokens: usage?.outputTokens || 0
+            };
+            const cost = calculateCost(tokens, getModelPrice(providerId, model, modelPrices, baseUrl));
+            const request = { ...tokens, cost };
+
+            const today = dayKey();
+            stats.days[today] = this.addTo(stats.days[today], request);
+
+            if (sessionId) {
+                const session = stats.sessions[sessionId] || { ...emptyTotals(), startedAt: new Date().toISOString() };
+                stats.sessions[sessionId] = this.addTo(session, request);
+                stats.lastSessionId = sessionId;
+            }
+
+            this.prune(stats);
+            await chrome.storage.local.set({ [STORAGE_KEY]: stats });
+            return request;
+        });
+
+        this.chain = task.catch(error => console.error('[JobListingAssistant] Error recording usage:', error));
+        return task;
+    }
+
+    /**
+     * Add a request to a totals object
+     * @param {Object} totals - Existing totals, if any
+     * @param {Object} request - Request usage and cost
+     * @returns {Object} Updated totals
+     */
+    addTo(totals, request) {
+        const updated = { ...emptyTotals(), ...(totals || {}) };
+        updated.requests++;
+        updated.inputTokens += request.inputTokens;
+        updated.outputTokens += request.outputTokens;
+        if (request.cost === null) {
+            updated.unpricedRequests++;
+        } else {
+            updated.cost += request.cost;
+        }
+        return updated;
+    }
+
+    /**
+     * Drop days and sessions that are no longer shown
+     * @param {Object} stats - Stats to prune in place
+     */
+    prune(stats) {
+        const cutoff = dayKey(new Date(Date.now() - DAYS_KEPT * 24 * 60 * 60 * 1000));
+        for (const day of Object.keys(stats.days)) {
+            if (day < cutoff) {
+                delete stats.days[day];
+            }
+        }
+
+        const sessions = Object.entries(stats.sessions)
+            .sort(([, a], [, b]) => b.startedAt.localeCompare(a.startedAt));
+        for (const [id] of sessions.slice(SESSIONS_KEPT)) {
+            delete stats.sessions[id];
+        }
+    }
+
+    /**
+     * Totals for today, this month and the latest session, and whether a spend cap is reached
+     * @param {Object} next - Provider settings (providerId, model, baseUrl) of a request about to be sent, if any.
+     *                        A model without a price cannot be kept under a cap, so it counts as reaching it
+     * @returns {Promise<Object>} Summary
+     */
+    async getSummary(next = null) {
+        await this.chain;
+        const stats = await this.load();
+        const { spendLimits, modelPrices } = await chrome.storage.local.get(['spendLimits', 'modelPrices']);
+        const limits = { ...DEFAULT_SPEND_LIMITS, ...(spendLimits || {}) };
+
+        const today = dayKey();
+        const month = today.slice(0, 7);
+        const monthTotals = Object.entries(stats.days)
+            .filter(([day]) => day.startsWith(month))
+            .reduce((totals, [, day]) => ({
+                requests: totals.requests + day.requests,
+                inputTokens: totals.inputTokens + day.inputTokens,
+                outputTokens: totals.outputTokens + day.outputTokens,
+                cost: totals.cost + day.cost,
+                unpricedRequests: totals.unpricedRequests + day.unpricedRequests
+            }), emptyTotals());
+
+        const summary = {
+            today: { ...emptyTotals(), ...(stats.days[today] || {}) },
+            month: monthTotals,
+            session: stats.lastSessionId ? stats.sessions[stats.lastSessionId] || null : null,
+            limits,
+            capReached: false,
+            capMessage: null,
+            // What the user can do about a reached cap
+            capAdvice: 'Raise the cap in the settings to continue'
+        };
+
+        if (limits.dailyCap > 0 && summary.today.cost >= limits.dailyCap) {
+            summary.capReached = true;
+            summary.capMessage = `Daily spend cap of $${limits.dailyCap.toFixed(2)} reached`;
+        } else if (limits.monthlyCap > 0 && summary.month.cost >= limits.monthlyCap) {
+            summary.capReached = true;
+            summary.capMessage = `Monthly spend cap of $${limits.monthlyCap.toFixed(2)} reached`;
+        } else if (next && (limits.dailyCap > 0 || limits.monthlyCap > 0) &&
+            !getModelPrice(next.providerId, next.model, modelPrices, next.baseUrl)) {
+            summary.capReached = true;
+            summary.capMessage = `The cost of ${next.model} is unknown, so the spend cap cannot be enforced`;
+            summary.capAdvice = 'Enter its price in the settings, or turn off the caps, to continue';
+        }
+
+        return summary;
+    }
+}
+
+export default UsageTracker;
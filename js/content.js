@@ -1,56 +1,169 @@
 /**
  * content.js
- * Main entry point for the content script
+ * Main entry point for the content script. Registered by the background for the pages of the adapter
+ * registry, or injected by the popup on career sites, it imports the adapter of the page from the registry.
+ * If that fails, it answers the popup itself, so a run never waits on an adapter that is not there
  */
 
-// Import AdapterFactory instead of individual adapters
-import AdapterFactory from './core/AdapterFactory.js';
-import { logger } from './utils/helpers.js';
+console.log('[JobAssistant] Content script loaded - attempting dynamic imports');
 
-// Set logger level to debug during troubleshooting
-logger.level = logger.LEVELS.DEBUG;
+/**
+ * Load the adapter registry and initialize the adapter of the page
+ * @param {Object} loader - Loading state shared with the fallback message handler
+ */
+async function initializeExtension(loader) {
+    try {
+        const { logger } = await import(chrome.runtime.getURL('js/utils/helpers.js'));
+        const { default: AdapterRegistry } = await import(chrome.runtime.getURL('js/core/AdapterRegistry.js'));
 
-// Log when the script loads to help with troubleshooting
-logger.info('Content script module loaded successfully');
+        // Set logger level to debug during troubleshooting
+        logger.level = logger.LEVELS.DEBUG;
 
-// Prevent multiple initializations
-if (window.jobAssistant) {
-    logger.debug('Content script already initialized, skipping');
-} else {
-    /**
-     * Main class to handle site detection and adapter initialization
-     */
-    class JobAssistant {
-        constructor() {
-            this.currentAdapter = null;
-            this.initialize();
-        }
+        // Log when the script loads to help with troubleshooting
+        logger.info('Content script loaded successfully with all dependencies ✓');
 
         /**
-         * Initialize the appropriate adapter based on current site
+         * Main class to handle site detection and adapter initialization
          */
-        initialize() {
-            try {
-                logger.info('Initializing Job Assistant');
-                
-                // Use the factory to get the appropriate adapter
-                this.currentAdapter = AdapterFactory.getAdapter();
-                
-                if (this.currentAdapter) {
-                    logger.info(`Adapter created for site: ${window.location.hostname}`);
-                    this.currentAdapter.init()
-                        .then(() => logger.info('Adapter initialized successfully'))
-                        .catch(error => logger.error('Error initializing adapter:', error));
-                } else {
+        class JobAssistant {
+            constructor() {
+                this.site = null;
+                this.currentAdapter = null;
+            }
+
+            /**
+             * Initialize the adapter the registry has for the current page
+             */
+            async initialize() {
+                const url = window.location.href;
+                logger.debug(`Current URL: ${url}`);
+
+                this.site = AdapterRegistry.find(url);
+                loader.site = this.site;
+                if (!this.site) {
                     logger.info('No adapter available for this site');
+                    loader.status = 'unsupported';
+                    return;
                 }
-            } catch (error) {
-                logger.error('Error during initialization:', error);
+
+                logger.info(`Detected site: ${this.site.id}, creating its adapter`);
+                this.currentAdapter = await AdapterRegistry.createAdapter(this.site);
+                loader.status = 'ready';
+
+                this.currentAdapter.init()
+                    .then(() => logger.debug('Adapter init complete'))
+                    .catch(error => logger.error(`Error initializing ${this.site.id} adapter:`, error));
             }
         }
+
+        // Create and store instance in window object
+        window.jobAssistant = new JobAssistant();
+        await window.jobAssistant.initialize();
+        logger.info('Job Assistant initialized successfully');
+    } catch (error) {
+        console.error('[JobAssistant] Failed to load the adapter:', error);
+        loader.status = 'failed';
+        loader.error = error;
+    }
+}
+
+/**
+ * Show a notice with the steps to recover from an adapter that did not load
+ * @param {Object} loader - Loading state
+ */
+function showFallbackNotice(loader) {
+    if (document.getElementById('job-assistant-bridge-notice')) {
+        return;
+    }
+
+    const notice = document.createElement('div');
+    notice.id = 'job-assistant-bridge-notice';
+    notice.style.position = 'fixed';
+    notice.style.top = '10px';
+    notice.style.left = '10px';
+    notice.style.backgroundColor = '#ffebee';
+    notice.style.border = '1px solid #f44336';
+    notice.style.padding = '15px';
+    notice.style.zIndex = '10000';
+    notice.style.borderRadius = '5px';
+    notice.style.fontFamily = 'Arial, sans-serif';
+    notice.style.fontSize = '14px';
+    notice.style.boxShadow = '0 2px 4px rgba(0,0,0,0.2)';
+    notice.style.maxWidth = '400px';
+
+    notice.innerHTML = `
+        <div style="font-weight:bold;margin-bottom:8px;">Job Listing Assistant - Module Error</div>
+        <div class="job-assistant-notice-summary"></div>
+        <ol style="margin-top:8px;margin-bottom:12px;padding-left:24px;">
+            <li>Refresh this page</li>
+            <li>Go to chrome://extensions/</li>
+            <li>Find Job Listing Assistant</li>
+            <li>Toggle it off and back on</li>
+            <li>Reload this page in a new tab</li>
+        </ol>
+        <div class="job-assistant-notice-details" style="margin-top:8px;font-style:italic;font-size:12px;"></div>
+        <div style="text-align:right;margin-top:12px;">
+            <button id="job-assistant-close-notice" style="padding:6px 12px;background:#f8f8f8;border:1px solid #ddd;border-radius:4px;cursor:pointer;">Close</button>
+        </div>
+    `;
+    // The site name comes from the registry, unless loading failed before the registry was there
+    notice.querySelector('.job-assistant-notice-summary').textContent = loader.site
+        ? `The extension's ${loader.site.name} adapter didn't load correctly. Try these steps:`
+        : 'The extension\'s modules didn\'t load correctly. Try these steps:';
+    notice.querySelector('.job-assistant-notice-details').textContent =
+        `Error details: ${loader.error?.message || 'Module script failed to load'}`;
+
+    // Add to document when ready
+    const addNotice = () => {
+        if (document.body && !document.getElementById('job-assistant-bridge-notice')) {
+            document.body.appendChild(notice);
+            document.getElementById('job-assistant-close-notice')?.addEventListener('click', () => notice.remove());
+        }
+    };
+
+    if (document.body) {
+        addNotice();
+    } else {
+        window.addEventListener('DOMContentLoaded', addNotice);
     }
+}
 
-    // Create and store instance in window object
-    window.jobAssistant = new JobAssistant();
-    logger.info('Job Assistant initialized successfully');
-} 
\ No newline at end of file
+/**
+ * Answer the popup for an adapter that is not there. Once the adapter is ready, its own listener answers
+ * @param {Object} loader - Loading state
+ * @param {Object} request - Message
+ * @param {Function} sendResponse - Response callback
+ * @returns {Boolean} Always false - the response, if any, is sent right away
+ */
+function handleFallbackMessage(loader, request, sendResponse) {
+    if (request.action !== 'startProcessing') {
+        return false;
+    }
+
+    if (loader.status === 'unsupported') {
+        sendResponse({ success: false, error: 'The extension has no adapter for this page' });
+    } else if (loader.status === 'failed') {
+        console.error('[JobAssistant] Adapter not loaded - please check extension setup');
+        sendResponse({
+            success: false,
+            error: 'Extension module not loaded correctly. Please try refreshing the page.'
+        });
+        showFallbackNotice(loader);
+    }
+
+    return false;
+}
+
+// The popup injects this script into career sites, possibly more than once
+if (!window.jobAssistantLoader) {
+    const loader = { status: 'loading', site: null, error: null };
+    window.jobAssistantLoader = loader;
+
+    // Listen before anything is imported, so a failed import is still answered
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) =>
+        handleFallbackMessage(loader, request, sendResponse));
+
+    initializeExtension(loader);
+} else {
+    console.log('[JobAssistant] Content script already loaded, skipping');
+}
@@ -0,0 +1,187 @@
+/**
+ * AdapterRegistry.js
+ * Site adapters by the pages they handle. The background registers the content script for these pages,
+ * the content script picks the adapter of a page here, and the popup checks here what it can do on the
+ * active tab, so adding a site means registering its adapter
+ */
+
+/**
+ * @typedef {Object} AdapterRegistration
+ * @property {String} id - Adapter ID, used in logs
+ * @property {String} name - Name shown to the user
+ * @property {Array<String>} matches - Pages the adapter handles, as Chrome match patterns
+ *                                     (e.g. https://*.linkedin.com/jobs/*)
+ * @property {Number} priority - The adapter with the highest priority wins when several match a page
+ * @property {Object} capabilities - What the adapter needs or offers:
+ *                                   onDemand - loaded by the popup once the user asks for it, instead of
+ *                                   by the content script registered for the pages of every other adapter
+ * @property {Function} load - Imports the adapter module; only the adapter of the page is loaded
+ */
+
+// ID of the content script registered with chrome.scripting
+const CONTENT_SCRIPT_ID = 'job-assistant';
+
+const registrations = [];
+
+/**
+ * Escape the regular expression characters of a string
+ * @param {String} text - Text
+ * @returns {String} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Turn a Chrome match pattern into a regular expression for page URLs without their fragment.
+ * As in Chrome, *.example.com also matches example.com itself
+ * @param {String} pattern - Match pattern
+ * @returns {RegExp} Regular expression
+ */
+function matchPatternToRegExp(pattern) {
+    const parts = pattern.match(/^(\*|https?):\/\/(\*|(?:\*\.)?[^/*]+)(\/.*)$/);
+    if (!parts) {
+        throw new Error(`Invalid match pattern: ${pattern}`);
+    }
+
+    const [, scheme, host, path] = parts;
+    const schemePart = scheme === '*' ? 'https?' : scheme;
+    const hostPart = host === '*'
+        ? '[^/]+'
+        : host.startsWith('*.') ? `([^/]*\\.)?${escapeRegExp(host.slice(2))}` : escapeRegExp(host);
+    const pathPart = path.split('*').map(escapeRegExp).join('.*');
+    return new RegExp(`^${schemePart}:\\/\\/${hostPart}${pathPart}$`);
+}
+
+/**
+ * Host permission a match pattern needs
+ * @param {String} pattern - Match pattern
+ * @returns {String} Origin pattern, e.g. https://*.linkedin.com/*
+ */
+function originPattern(pattern) {
+    return pattern.replace(/^([^:]+:\/\/[^/]+)\/.*$/, '$1/*');
+}
+
+class AdapterRegistry {
+    /**
+     * Register a site adapter
+     * @param {AdapterRegistration} registration - Adapter registration
+     */
+    static register(registration) {
+        const { id, name, matches, priority = 0, capabilities = {}, load } = registration;
+        if (!id || !Array.isArray(matches) || matches.length === 0 || typeof load !== 'function') {
+            throw new Error(`Invalid adapter registration: ${id || 'missing id'}`);
+        }
+        if (registrations.some(existing => existing.id === id)) {
+            throw new Error(`Adapter already registered: ${id}`);
+        }
+
+        registrations.push({
+            id,
+            name: name || id,
+            matches,
+            patterns: matches.map(matchPatternToRegExp),
+            priority,
+            capabilities: { onDemand: false, ...capabilities },
+            load
+        });
+    }
+
+    /**
+     * Find the adapter of a page
+     * @param {String} url - Page URL
+     * @returns {AdapterRegistration|null} Matching registration with the highest priority, or null
+     */
+    static find(url) {
+        const page = (url || '').split('#')[0];
+        return registrations
+            .filter(registration => registration.patterns.some(pattern => pattern.test(page)))
+            .reduce((best, registration) => (!best || registration.priority > best.priority ? registration : best), null);
+    }
+
+    /**
+     * Load and create the adapter of a registration
+     * @param {AdapterRegistration} registration - Adapter registration
+     * @returns {Promise<Object>} Adapter instance, not yet initialized
+     */
+    static async createAdapter(registration) {
+        const { default: Adapter } = await registration.load();
+        return new Adapter();
+    }
+
+    /**
+     * Pages the content script is registered for: those of every adapter not loaded on demand
+     * @returns {Array<String>} Match patterns
+     */
+    static getContentScriptMatches() {
+        return [...new Set(registrations
+            .filter(registration => !registration.capabilities.onDemand)
+            .flatMap(registration => registration.matches))];
+    }
+
+    /**
+     * Register the content script for the registered adapters' pages, or bring its registration up to
+     * date. Registrations outlive the service worker, so this only changes something after an update
+     * @returns {Promise<void>}
+     */
+    static async syncContentScripts() {
+        const matches = AdapterRegistry.getContentScriptMatches();
+        const script = { id: CONTENT_SCRIPT_ID, js: ['js/content.js'], matches, runAt: 'document_idle' };
+
+        const [registered] = await chrome.scripting.getRegisteredContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+        if (registered) {
+            await chrome.scripting.updateContentScripts([script]);
+        } else {
+            await chrome.scripting.registerContentScripts([script]);
+        }
+
+        // The content script only runs where the manifest's host_permissions allow it
+        const origins = [...new Set(matches.map(originPattern))];
+        for (const origin of origins) {
+            if (!await chrome.permissions.contains({ origins: [origin] })) {
+                console.warn(`[JobListingAssistant] No host permission for ${origin} - add it to the manifest's host_permissions`);
+            }
+        }
+    }
+}
+
+AdapterRegistry.register({
+    id: 'linkedin',
+    name: 'LinkedIn',
+    matches: ['https://*.linkedin.com/jobs/*'],
+    priority: 10,
+    load: () => import('../sites/LinkedInAdapter.js')
+});
+
+AdapterRegistry.register({
+    id: 'indeed',
+    name: 'Indeed',
+    matches: ['https://*.indeed.com/jobs*', 'https://*.indeed.com/q-*'],
+    priority: 10,
+    load: () => import('../sites/IndeedAdapter.js')
+});
+
+AdapterRegistry.register({
+    id: 'ats',
+    name: 'Greenhouse, Lever and Ashby',
+    matches: [
+        'https://boards.greenhouse.io/*',
+        'https://job-boards.greenhouse.io/*',
+        'https://jobs.lever.co/*',
+        'https://jobs.ashbyhq.com/*'
+    ],
+    priority: 10,
+    load: () => import('../sites/AtsAdapter.js')
+});
+
+// Any other page, read through the schema.org JobPosting data it embeds
+AdapterRegistry.register({
+    id: 'jobposting',
+    name: 'Career site',
+    matches: ['*://*/*'],
+    priority: 0,
+    capabilities: { onDemand: true },
+    load: () => import('../sites/JobPostingAdapter.js')
+});
+
+export default AdapterRegistry;
@@ -3,6 +3,18 @@
  * Base class for all job site-specific adapters
  */
 
+import { getEffectiveVerdict, getResultVerdict, VERDICTS } from '../utils/verdict.js';
+
+// Verdicts the user can give a job in the analysis overlay, with their button labels
+const OVERRIDE_CHOICES = [
+    [VERDICTS.YES, 'Match'],
+    [VERDICTS.MAYBE, 'Borderline'],
+    [VERDICTS.NO, 'Not a match']
+];
+
+// Pause after an analysis still failed with a retryable error and the server gave no Retry-After
+const RETRY_PAUSE_MS = 30000;
+
 class BaseJobSiteAdapter {
     constructor() {
         // Dependencies will be loaded dynamically in init
@@ -13,11 +25,17 @@ class BaseJobSiteAdapter {
         this.urlObserver = null;
         this.logger = null; // Will be set during init
         
+        // Site the jobs come from, stored with each job - one of the JOB_SOURCES IDs in utils/sources.js
+        this.source = null;
+        
         // Keep track of found job IDs to prevent duplicates
         this.processedIds = new Set();
         
         // Add a counter for total jobs processed in this session
         this.totalJobsProcessedThisSession = 0;
+        
+        // Set when the background refuses analyses because a spend cap is reached
+        this.spendCapReached = false;
     }
 
     /**
@@ -49,6 +67,9 @@ class BaseJobSiteAdapter {
             
             // Initialize processor
             await this.processor.init();
+            this.processor.onAnalysisProgress = (jobId, text, job) => this.showAnalysisProgress(jobId, text, job);
+            // Re-flag the badges when settings edited elsewhere make cached results stale (or fresh again)
+            this.processor.onFingerprintChange = () => this.displayCachedResultsForVisibleListings();
             
             // Set up event handlers
             this.setupMessageListener();
@@ -138,6 +159,8 @@ class BaseJobSiteAdapter {
                 
                 // Allow explicitly setting resetProcessed flag in the request
                 const resetProcessed = request.resetProcessed === true;
+                // Only re-analyze jobs whose cached result was made with other criteria, resume, templates or model
+                const staleOnly = request.staleOnly === true;
                 
                 // We need to ensure sendResponse is called within a reasonable timeframe
                 // Create a timeout to ensure we respond even if the process takes too long
@@ -157,7 +180,7 @@ class BaseJobSiteAdapter {
                 }, 1000); // Respond within 1 second to be safe
                 
                 // Start processing and handle the response when possible
-                this.startProcessing(resetProcessed)
+                this.startProcessing(resetProcessed, { staleOnly })
                     .then(() => {
                         clearTimeout(safetyTimeout);
                         try {
@@ -184,18 +207,6 @@ class BaseJobSiteAdapter {
                 
                 // Return true to indicate we'll respond asynchronously
                 return true;
-            } else if (request.action === 'updateCriteria') {
-                // For synchronous operations, respond immediately
-                try {
-                    this.processor.currentCriteria = request.criteria;
-                    sendResponse({ success: true });
-                } catch (error) {
-                    this.logger?.error('Error updating criteria:', error);
-                    sendResponse({ success: false, error: error.message });
-                }
-                
-                // No need to return true for synchronous responses
-                return false;
             }
             
             // Default response for unhandled messages
@@ -207,8 +218,10 @@ class BaseJobSiteAdapter {
     /**
      * Start processing job listings
      * @param {Boolean} resetProcessed - Whether to reset the list of processed jobs
+     * @param {Object} options - Options
+     * @param {Boolean} options.staleOnly - Only re-analyze listings with a stale cached result
      */
-    async startProcessing(resetProcessed = false) {
+    async startProcessing(resetProcessed = false, { staleOnly = false } = {}) {
         if (this.isProcessing) {
             this.logger?.debug(`${this.constructor.name}: Already processing, skipping`);
             return;
@@ -217,6 +230,17 @@ class BaseJobSiteAdapter {
         this.isProcessing = true;
         
         try {
+            // Don't start a run the spend cap would stop anyway
+            const spending = await this.getUsageSummary();
+            if (spending?.capReached) {
+                this.logger?.warn(`${this.constructor.name}: ${spending.capMessage}, not processing`);
+                throw new Error(`${spending.capMessage}. ${spending.capAdvice}.`);
+            }
+            this.spendCapReached = false;
+            
+            // Count this run's analyses as one session in the usage totals
+            this.processor.sessionId = `session_${Date.now()}`;
+            
             // Only reset processed listings if explicitly requested (should rarely be needed)
             if (resetProcessed) {
                 this.logger?.debug(`${this.constructor.name}: Resetting processed listings`);
@@ -249,7 +273,7 @@ class BaseJobSiteAdapter {
             this.totalJobsProcessedThisSession = 0;
             
             // Process current page with the specified max jobs limit
-            const totalProcessed = await this.processCurrentPage(maxJobsToProcess);
+            const totalProcessed = await this.processCurrentPage(maxJobsToProcess, { staleOnly });
             
             this.logger?.debug(`${this.constructor.name}: Finished processing. Total new jobs processed across all pages: ${totalProcessed}`);
             
@@ -261,6 +285,23 @@ class BaseJobSiteAdapter {
         }
     }
 
+    /**
+     * Ask the background for the usage totals and spend cap state
+     * @returns {Promise<Object|null>} Usage summary or null if it could not be retrieved
+     */
+    async getUsageSummary() {
+        return new Promise(resolve => {
+            chrome.runtime.sendMessage({ action: 'getUsageSummary' }, (response) => {
+                if (chrome.runtime.lastError || !response?.success) {
+                    this.logger?.warn(`${this.constructor.name}: Could not get usage summary:`, chrome.runtime.lastError?.message || response?.error);
+                    resolve(null);
+                    return;
+                }
+                resolve(response);
+            });
+        });
+    }
+
     /**
      * Wait for job listings to appear
      * @param {Number} maxAttempts - Maximum number of attempts
@@ -281,9 +322,11 @@ class BaseJobSiteAdapter {
     /**
      * Process job listings on the current page
      * @param {Number} maxJobsOnPage - Maximum new jobs to process on page
+     * @param {Object} options - Options
+     * @param {Boolean} options.staleOnly - Only re-analyze listings with a stale cached result
      * @returns {Number} Total number of new jobs processed on this page
      */
-    async processCurrentPage(maxJobsOnPage = Infinity) {
+    async processCurrentPage(maxJobsOnPage = Infinity, { staleOnly = false } = {}) {
         const listings = this.findJobListings();
         if (!listings || listings.length === 0) {
             this.logger?.warn(`${this.constructor.name}: No job listings found on current page`);
@@ -307,12 +350,21 @@ class BaseJobSiteAdapter {
         this.logger?.debug(`${this.constructor.name}: Checking for cached results before processing`);
         await this.displayCachedResultsForVisibleListings();
         
+        // Fast first pass: cards whose title, company or salary already break a filter rule are never opened.
+        // A stale-only run leaves new cards alone
+        const triagedCount = staleOnly ? 0 : await this.triageListings(listings);
+        
         let processedCount = 0;
         let skippedCount = 0;
         let alreadyProcessedCount = 0;
         let failedCount = 0;
         
         for (let i = 0; i < listings.length; i++) {
+            // Stop the run once the background reports the spend cap
+            if (this.spendCapReached) {
+                break;
+            }
+            
             // Check if we've reached the SESSION limit
             if (this.totalJobsProcessedThisSession >= maxJobsOnPage) {
                 this.logger?.debug(`${this.constructor.name}: Reached overall max limit of ${maxJobsOnPage} jobs, stopping`);
@@ -334,8 +386,14 @@ class BaseJobSiteAdapter {
                 continue;
             }
             
-            // Skip listings we've already processed
-            if (this.processor.processedListings.has(listingId)) {
+            if (staleOnly) {
+                // Skip listings that are new or whose result is still current
+                if (!this.processor.getCachedResult(`job_${listingId}`)?.stale) {
+                    alreadyProcessedCount++;
+                    continue;
+                }
+            } else if (this.processor.processedListings.has(listingId)) {
+                // Skip listings we've already processed
                 this.logger?.debug(`${this.constructor.name}: Skipping already processed listing ${listingId}`);
                 alreadyProcessedCount++;
                 continue;
@@ -348,13 +406,23 @@ class BaseJobSiteAdapter {
                 this.logger?.debug(`${this.constructor.name}: Processing new listing ${listingId} (${i+1} of ${listings.length})`);
                 
                 // Process the listing and wait for completion
-                const result = await this.processListing(listing);
+                const result = await this.processListing(listing, { refresh: staleOnly });
                 
                 if (result) {
                     this.processor.processedListings.add(listingId);
                     processedCount++;
                     this.totalJobsProcessedThisSession++; // Update the session-wide counter
                     this.logger?.debug(`${this.constructor.name}: Successfully processed job ${i+1}/${listings.length}, total this page: ${processedCount}/${remainingJobsAllowed}, total session: ${this.totalJobsProcessedThisSession}/${maxJobsOnPage}`);
+                } else if (this.processor.lastError?.type === 'spend_cap') {
+                    this.logger?.warn(`${this.constructor.name}: ${this.processor.lastError.message}, stopping`);
+                    this.spendCapReached = true;
+                } else if (this.processor.lastError?.retryable) {
+                    // The background already retried with backoff - the provider is still overloaded,
+                    // so give it a rest before the next listing instead of failing the rest of the page
+                    failedCount++;
+                    const pauseMs = this.processor.lastError.retryAfterMs || RETRY_PAUSE_MS;
+                    this.logger?.warn(`${this.constructor.name}: Analysis failed for ${listingId} (${this.processor.lastError.message}), pausing ${Math.ceil(pauseMs / 1000)}s`);
+                    await new Promise(resolve => setTimeout(resolve, pauseMs));
                 }
                 
                 // If this isn't the last job to process and we haven't hit our limit,
@@ -368,21 +436,16 @@ class BaseJobSiteAdapter {
             } catch (error) {
                 this.logger?.error(`${this.constructor.name}: Error processing listing ${listingId}:`, error);
                 failedCount++;
-                
-                // If we encounter too many failures in a row, slow down to avoid hitting rate limits
-                if (failedCount > 3) {
-                    this.logger?.warn(`${this.constructor.name}: Multiple failures detected, adding extra delay`);
-                    await new Promise(resolve => setTimeout(resolve, 5000));
-                    failedCount = 0; // Reset counter after waiting
-                }
             }
         }
         
-        this.logger?.debug(`${this.constructor.name}: Finished processing page. New jobs processed: ${processedCount}, Already processed: ${alreadyProcessedCount}, Skipped due to errors: ${skippedCount}`);
+        this.logger?.debug(`${this.constructor.name}: Finished processing page. New jobs processed: ${processedCount}, Skipped from their card: ${triagedCount}, Already processed: ${alreadyProcessedCount}, Skipped due to errors: ${skippedCount}, Failed: ${failedCount}`);
         
         // If we haven't reached the max jobs limit yet and there are more pages, go to the next page
         const remainingAfterThisPage = maxJobsOnPage - this.totalJobsProcessedThisSession;
-        if (remainingAfterThisPage > 0) {
+        if (this.spendCapReached) {
+            this.logger?.info(`${this.constructor.name}: Spend cap reached, not checking for more pages`);
+        } else if (remainingAfterThisPage > 0) {
             const nextButton = this.findNextPageButton();
             if (nextButton) {
                 this.logger?.debug(`${this.constructor.name}: Found next page button, navigating to next page (${remainingAfterThisPage} jobs remaining in limit)`);
@@ -402,7 +465,7 @@ class BaseJobSiteAdapter {
                 
                 // Find new listings and process them - pass the OVERALL limit, not just what's left
                 this.logger?.debug(`${this.constructor.name}: Processing next page`);
-                const additionalProcessed = await this.processCurrentPage(maxJobsOnPage);
+                const additionalProcessed = await this.processCurrentPage(maxJobsOnPage, { staleOnly });
                 
                 // Add the additional processed count to our total for this page's return value
                 processedCount += additionalProcessed;
@@ -416,12 +479,60 @@ class BaseJobSiteAdapter {
         return processedCount;
     }
 
+    /**
+     * Reject cards that break a filter rule using only the fields shown on the card, before
+     * any of them is clicked. Skipped cards are cached as rejected and do not count towards the job limit
+     * @param {Array<Element>} listings - Job cards on the page
+     * @returns {Promise<Number>} Number of cards skipped
+     */
+    async triageListings(listings) {
+        let filterRules;
+        try {
+            filterRules = await this.processor.loadFilterRules();
+        } catch (error) {
+            this.logger?.error(`${this.constructor.name}: Could not load filter rules for triage:`, error);
+            return 0;
+        }
+        if (!filterRules || filterRules.engine.isEmpty) {
+            return 0;
+        }
+        
+        let skippedCount = 0;
+        for (const listing of listings) {
+            const listingId = this.getListingId(listing);
+            if (!listingId || this.processor.processedListings.has(listingId) ||
+                this.processor.getCachedResult(`job_${listingId}`)) {
+                continue;
+            }
+            
+            const card = this.extractCardContent(listing);
+            if (!card) {
+                continue;
+            }
+            
+            const result = await this.processor.applyFilterRules(this.withSource(card), { cardOnly: true, filterRules });
+            if (result) {
+                this.processor.processedListings.add(listingId);
+                this.processor.saveToCache(`job_${listingId}`, result);
+                this.updateListingUI(listing, result);
+                skippedCount++;
+            }
+        }
+        
+        if (skippedCount > 0) {
+            this.logger?.info(`${this.constructor.name}: Skipped ${skippedCount} cards without opening them`);
+        }
+        return skippedCount;
+    }
+
     /**
      * Process a single job listing
      * @param {Element} listing - Job listing element
+     * @param {Object} options - Options
+     * @param {Boolean} options.refresh - Analyze again even if a result is cached
      * @returns {Promise<boolean>} True if successfully processed
      */
-    async processListing(listing) {
+    async processListing(listing, { refresh = false } = {}) {
         try {
             // Get the listing ID for logging
             const listingId = this.getListingId(listing);
@@ -442,12 +553,8 @@ class BaseJobSiteAdapter {
             this.logger?.debug(`${this.constructor.name}: Scrolling job listing ${listingId} into view`);
             listing.scrollIntoView({ behavior: 'smooth', block: 'center' });
             
-            // 2. Click the listing to ensure the job description panel is loaded
-            // (if the listing isn't already selected/active)
-            if (!listing.classList.contains('active') && !listing.classList.contains('selected') && !listing.hasAttribute('aria-selected')) {
-                this.logger?.debug(`${this.constructor.name}: Clicking job listing ${listingId} to load description`);
-                listing.click();
-            }
+            // 2. Open the listing to ensure the job description panel is loaded
+            this.openListing(listing, listingId);
             
             // 3. Give the page time to respond to the scroll and click
             await new Promise(resolve => setTimeout(resolve, 1000));
@@ -506,26 +613,10 @@ class BaseJobSiteAdapter {
             this.logger?.debug(`${this.constructor.name}: Successfully extracted content for job ${listingId}:`, 
                               { title: content.title, company: content.company });
 
-            // Retrieve the user's resume from storage
-            let resume = null;
-            try {
-                const storageData = await new Promise(resolve => {
-                    chrome.storage.local.get(['userResume'], resolve);
-                });
-                resume = storageData.userResume || null;
-                
-                if (resume) {
-                    this.logger?.info('Retrieved resume from storage, length:', resume.length);
-                } else {
-                    this.logger?.info('No resume found in storage');
-                }
-            } catch (error) {
-                this.logger?.error('Error retrieving resume from storage:', error);
-            }
-
+            content = this.withSource(content);
             const cacheKey = `job_${content.jobId}`;
-            // Pass resume as an additional parameter to processListing
-            const result = await this.processor.processListing(content, cacheKey, resume);
+            // The background analyzes with the active criteria profile, including its resume
+            const result = await this.processor.processListing(content, cacheKey, { refresh });
             
             if (result) {
                 // Check if listing is still in DOM before updating UI
@@ -545,6 +636,41 @@ class BaseJobSiteAdapter {
         }
     }
 
+    /**
+     * Click a listing so the page shows its description, unless it is already selected - override for
+     * sites where clicking a listing leaves the page
+     * @param {Element} listing - Job listing element
+     * @param {String} listingId - Listing ID, for logging
+     */
+    openListing(listing, listingId) {
+        if (!listing.classList.contains('active') && !listing.classList.contains('selected') && !listing.hasAttribute('aria-selected')) {
+            this.logger?.debug(`${this.constructor.name}: Clicking job listing ${listingId} to load description`);
+            listing.click();
+        }
+    }
+
+    /**
+     * Tag extracted job content with the site it came from
+     * @param {Object} content - Job content
+     * @returns {Object} Content with the source, unless the adapter already set one
+     */
+    withSource(content) {
+        return { source: this.source, ...content };
+    }
+
+    /**
+     * Show an analysis that is still streaming on its listing
+     * @param {String} jobId - Job ID
+     * @param {String} text - Response text received so far
+     * @param {Object} job - Job details (title, company, location)
+     */
+    showAnalysisProgress(jobId, text, job) {
+        const listing = this.findJobListings().find(item => this.getListingId(item) === jobId);
+        if (listing) {
+            this.updateListingUI(listing, this.uiManager.buildPendingResult(text, job));
+        }
+    }
+
     /**
      * Add result badges to all listings
      * @param {Number} maxRetries - Maximum number of retries
@@ -558,6 +684,7 @@ class BaseJobSiteAdapter {
                 const listings = this.findJobListings();
                 if (listings && listings.length > 0) {
                     this.logger?.debug(`${this.constructor.name}: Adding result badges to ${listings.length} listings`);
+                    await this.loadCachedResults(listings);
                     
                     for (const listing of listings) {
                         const listingId = this.getListingId(listing);
@@ -597,6 +724,7 @@ class BaseJobSiteAdapter {
             }
             
             this.logger?.debug(`${this.constructor.name}: Checking cached results for ${listings.length} listings`);
+            await this.loadCachedResults(listings);
             
             for (const listing of listings) {
                 try {
@@ -618,6 +746,14 @@ class BaseJobSiteAdapter {
         }
     }
 
+    /**
+     * Fetch the cached results of listings from the job store, so getCachedResult can find them
+     * @param {Array<Element>} listings - Job listing elements
+     */
+    async loadCachedResults(listings) {
+        await this.processor.loadCachedResults(listings.map(listing => this.getListingId(listing)).filter(Boolean));
+    }
+
     /**
      * Helper method: Debounce function to limit how often a function is called
      * @param {Function} func - Function to debounce
@@ -661,6 +797,15 @@ class BaseJobSiteAdapter {
         throw new Error('extractListingContent must be implemented by subclass');
     }
     
+    /**
+     * Read the fields shown on a job card without opening it - override to enable card triage
+     * @param {Element} listingElement - Job listing element
+     * @returns {Object|null} Card content (jobId, title, company, location, salary), or null if not supported
+     */
+    extractCardContent(listingElement) {
+        return null;
+    }
+    
     /**
      * Find the "Next" button for pagination
      * @returns {Element|null} The next page button element or null if not found
@@ -677,6 +822,351 @@ class BaseJobSiteAdapter {
     updateListingUI(listing, result) {
         throw new Error('updateListingUI must be implemented by subclass');
     }
+
+    // Result display shared by the adapters - the badge and overlay look the same on every site
+    
+    /**
+     * Extract reason from HTML analysis for badge tooltips
+     * @param {String} analysisHtml - HTML analysis content
+     * @returns {String} Extracted reason text
+     */
+    extractReason(analysisHtml) {
+        if (!analysisHtml) return null;
+        
+        try {
+            // Create a temporary div to parse the HTML
+            const tempDiv = document.createElement('div');
+            tempDiv.innerHTML = analysisHtml;
+            
+            // Find the first reason in the list
+            const firstListItem = tempDiv.querySelector('li');
+            if (firstListItem) {
+                return firstListItem.textContent.trim();
+            }
+            
+            // If no list item found, just get the text after the YES/NO
+            const strongTag = tempDiv.querySelector('strong');
+            if (strongTag && strongTag.nextSibling) {
+                return strongTag.nextSibling.textContent.trim();
+            }
+            
+            // If still nothing, get the first paragraph
+            const firstParagraph = tempDiv.querySelector('p');
+            if (firstParagraph) {
+                return firstParagraph.textContent.trim();
+            }
+        } catch (e) {
+            this.logger?.error('Error extracting reason from analysis:', e);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Create the verdict badge of a listing; the adapter places it on the card
+     * @param {String} listingId - Job ID
+     * @param {Object} result - Analysis result
+     * @returns {Element} Badge element, opening the analysis overlay when clicked
+     */
+    createResultBadge(listingId, result) {
+        // Create the badge element
+        const badge = document.createElement('div');
+        badge.className = 'search-assist-badge';
+        badge.setAttribute('data-job-id', listingId);
+        
+        // Set badge content based on result
+        const state = this.uiManager.getBadgeState(result, this.extractReason(result.analysis));
+        badge.textContent = state.symbol;
+        badge.style.backgroundColor = state.color;
+        badge.classList.toggle('search-assist-pending', !!result.pending);
+        badge.classList.toggle('search-assist-stale', state.stale);
+        // The badge is updated in place, so the click handler reads the latest result from it
+        badge.searchAssistResult = result;
+        
+        // Add tooltip functionality
+        badge.title = state.tooltip;
+        
+        // Add click handler to show analysis
+        badge.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.showAnalysisOverlay(listingId, badge.searchAssistResult);
+        });
+        
+        // Add hover effect for better user experience
+        badge.style.cursor = 'pointer';
+        badge.style.transition = 'transform 0.2s';
+        badge.addEventListener('mouseenter', () => {
+            badge.style.transform = 'scale(1.2)';
+        });
+        badge.addEventListener('mouseleave', () => {
+            badge.style.transform = 'scale(1)';
+        });
+        
+        return badge;
+    }
+    
+    /**
+     * Update badge appearance for existing badge
+     * @param {Element} listing - Job listing element
+     * @param {Object} result - Analysis result
+     */
+    updateBadgeAppearance(listing, result) {
+        try {
+            const badge = listing.querySelector('.search-assist-badge');
+            if (!badge) return;
+            
+            const state = this.uiManager.getBadgeState(result, this.extractReason(result.analysis));
+            badge.textContent = state.symbol;
+            badge.style.backgroundColor = state.color;
+            badge.classList.toggle('search-assist-pending', !!result.pending);
+            badge.classList.toggle('search-assist-stale', state.stale);
+            badge.searchAssistResult = result;
+            
+            // Update tooltip
+            badge.title = state.tooltip;
+        } catch (error) {
+            this.logger?.error('Error updating badge appearance:', error);
+        }
+    }
+    
+    /**
+     * Show analysis overlay with detailed information
+     * @param {String} jobId - Job ID
+     * @param {Object} result - Analysis result
+     */
+    showAnalysisOverlay(jobId, result) {
+        try {
+            // Create overlay container
+            const overlay = document.createElement('div');
+            overlay.className = 'search-assist-overlay';
+            overlay.dataset.jobId = jobId;
+            
+            // Create modal content
+            const modal = document.createElement('div');
+            modal.className = 'search-assist-modal';
+            
+            // Set up content
+            const title = document.createElement('h2');
+            title.textContent = result.title || 'Job Analysis';
+            
+            const company = document.createElement('h3');
+            company.textContent = result.company || '';
+            
+            const location = document.createElement('p');
+            location.textContent = result.location || '';
+            
+            // Add salary if available
+            const salary = document.createElement('p');
+            salary.style.fontStyle = 'italic';
+            if (result.salary) {
+                salary.textContent = `Salary: ${result.salary}`;
+            }
+            
+            const analysis = document.createElement('div');
+            analysis.className = 'search-assist-analysis';
+            
+            // Add header with result
+            const resultHeader = document.createElement('div');
+            resultHeader.className = 'search-assist-result-header';
+            
+            resultHeader.innerHTML = this.renderResultHeader(result);
+            
+            // Add analysis content
+            if (result.analysis) {
+                analysis.innerHTML = result.analysis;
+            } else {
+                analysis.innerHTML = '<p>No detailed analysis available.</p>';
+            }
+            
+            // The user's own verdict, for when the model got it wrong
+            const overrideSection = this.createOverrideSection(jobId);
+            this.renderOverrideSection(overrideSection, result);
+            
+            // Close button
+            const closeButton = document.createElement('button');
+            closeButton.textContent = 'Close';
+            closeButton.style.marginTop = '20px';
+            closeButton.style.padding = '8px 16px';
+            closeButton.style.backgroundColor = '#f0f0f0';
+            closeButton.style.border = 'none';
+            closeButton.style.borderRadius = '4px';
+            closeButton.style.cursor = 'pointer';
+            closeButton.addEventListener('click', () => {
+                document.body.removeChild(overlay);
+            });
+            
+            // Assemble modal
+            modal.appendChild(title);
+            modal.appendChild(company);
+            modal.appendChild(location);
+            if (result.salary) modal.appendChild(salary);
+            if (result.profileName) {
+                const profile = document.createElement('p');
+                profile.style.color = '#888';
+                profile.style.fontSize = '0.9em';
+                profile.textContent = `Profile: ${result.profileName}`;
+                modal.appendChild(profile);
+            }
+            modal.appendChild(resultHeader);
+            modal.appendChild(analysis);
+            modal.appendChild(overrideSection);
+            modal.appendChild(closeButton);
+            
+            // Add modal to overlay
+            overlay.appendChild(modal);
+            
+            // Add overlay to body
+            document.body.appendChild(overlay);
+            
+            // Add click outside to close
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) {
+                    document.body.removeChild(overlay);
+                }
+            });
+        } catch (error) {
+            this.logger?.error('Error showing analysis overlay:', error);
+        }
+    }
+    
+    /**
+     * Render the verdict line at the top of the analysis overlay
+     * @param {Object} result - Analysis result
+     * @returns {String} Header HTML
+     */
+    renderResultHeader(result) {
+        const state = this.uiManager.getBadgeState(result);
+        const scoreText = typeof result.score === 'number' ? ` (${result.score}/100)` : '';
+        const staleText = state.stale
+            ? '<p style="color: #757575; font-style: italic;">Out of date - your criteria, resume, prompts or model changed since this analysis. Use "Re-analyze Stale" in the popup to refresh it.</p>'
+            : '';
+        return `<h3 style="color: ${state.color};">${state.symbol} ${state.label}${scoreText}</h3>${staleText}`;
+    }
+    
+    /**
+     * Refresh the overlay of a job if it is open
+     * @param {String} jobId - Job ID
+     * @param {Object} result - Latest (possibly still pending) analysis result
+     */
+    updateAnalysisOverlay(jobId, result) {
+        const overlay = Array.from(document.querySelectorAll('.search-assist-overlay'))
+            .find(element => element.dataset.jobId === String(jobId));
+        if (!overlay) return;
+        
+        const header = overlay.querySelector('.search-assist-result-header');
+        const analysis = overlay.querySelector('.search-assist-analysis');
+        if (header) {
+            header.innerHTML = this.renderResultHeader(result);
+        }
+        if (analysis && result.analysis) {
+            analysis.innerHTML = result.analysis;
+        }
+        
+        const overrideSection = overlay.querySelector('.search-assist-override');
+        if (overrideSection) {
+            this.renderOverrideSection(overrideSection, result);
+        }
+    }
+    
+    /**
+     * Build the controls of the analysis overlay that override the model's verdict
+     * @param {String} jobId - Job ID
+     * @returns {Element} Section, filled in by renderOverrideSection
+     */
+    createOverrideSection(jobId) {
+        const section = document.createElement('div');
+        section.className = 'search-assist-override';
+        
+        const status = document.createElement('p');
+        status.className = 'search-assist-override-status';
+        
+        const reason = document.createElement('textarea');
+        reason.className = 'search-assist-override-reason';
+        reason.rows = 2;
+        reason.placeholder = 'Why? (optional - used when suggesting criteria updates from the dashboard)';
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'search-assist-override-buttons';
+        
+        for (const [verdict, label] of OVERRIDE_CHOICES) {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.dataset.verdict = verdict;
+            button.addEventListener('click', () => this.applyOverride(jobId, verdict, section));
+            buttons.appendChild(button);
+        }
+        
+        // Going back to the model's verdict removes the override
+        const resetButton = document.createElement('button');
+        resetButton.className = 'search-assist-override-reset';
+        resetButton.textContent = "Use the model's verdict";
+        resetButton.addEventListener('click', () => this.applyOverride(jobId, null, section));
+        buttons.appendChild(resetButton);
+        
+        section.appendChild(status);
+        section.appendChild(reason);
+        section.appendChild(buttons);
+        return section;
+    }
+    
+    /**
+     * Show the current override of a job in its overlay controls
+     * @param {Element} section - Section built by createOverrideSection
+     * @param {Object} result - Latest analysis result
+     */
+    renderOverrideSection(section, result) {
+        // Only finished verdicts can be overridden
+        const modelVerdict = getResultVerdict(result);
+        section.style.display = result.pending || !modelVerdict ? 'none' : '';
+        
+        const state = this.uiManager.getBadgeState(result);
+        const overridden = !!state.modelVerdict;
+        const status = section.querySelector('.search-assist-override-status');
+        if (overridden) {
+            const reason = result.override.reason ? ` ("${result.override.reason}")` : '';
+            status.textContent = `You marked this job as ${state.label}${reason} - the model said ${state.modelVerdict}.`;
+        } else {
+            status.textContent = 'Disagree with the verdict? Mark the job yourself:';
+        }
+        
+        const current = getEffectiveVerdict(result);
+        section.querySelectorAll('button[data-verdict]').forEach(button => {
+            button.disabled = button.dataset.verdict === current;
+        });
+        const resetButton = section.querySelector('.search-assist-override-reset');
+        resetButton.disabled = false;
+        resetButton.style.display = overridden ? '' : 'none';
+    }
+    
+    /**
+     * Store the user's verdict of a job and show it on the badge and in the overlay
+     * @param {String} jobId - Job ID
+     * @param {String|null} verdict - YES, MAYBE or NO, or null to go back to the model's verdict
+     * @param {Element} section - Override section of the overlay
+     */
+    async applyOverride(jobId, verdict, section) {
+        const reason = section.querySelector('.search-assist-override-reason');
+        const buttons = section.querySelectorAll('button');
+        buttons.forEach(button => { button.disabled = true; });
+        
+        try {
+            const result = await this.processor.overrideVerdict(jobId, verdict, reason.value);
+            reason.value = '';
+            
+            // Updating the listing also refreshes the open overlay
+            const listing = this.findJobListings().find(item => this.getListingId(item) === jobId);
+            if (listing) {
+                this.updateListingUI(listing, result);
+            } else {
+                this.updateAnalysisOverlay(jobId, result);
+            }
+        } catch (error) {
+            this.logger?.error('Error saving your verdict:', error);
+            section.querySelector('.search-assist-override-status').textContent = `Could not save your verdict: ${error.message}`;
+            buttons.forEach(button => { button.disabled = false; });
+        }
+    }
 }
 
 export default BaseJobSiteAdapter; 
\ No newline at end of file
@@ -3,15 +3,55 @@
  * Core functionality for processing job listings regardless of source
  */
 
+// The background retries rate limits and server errors with backoff, so analyses can take minutes
+const BACKGROUND_TIMEOUT_MS = 180000;
+
+// Set in chrome.storage.local once results cached in the page's localStorage were moved to the job repository
+const CACHE_MIGRATED_KEY = 'resultCacheMigrated';
+
+/**
+ * Check whether a localStorage entry is a result older versions cached there: they only ran on LinkedIn,
+ * keyed results by the numeric job ID and always stored the verdict and the analysis text
+ * @param {String} key - localStorage key
+ * @param {*} value - Parsed value
+ * @returns {Boolean} True for results of this extension
+ */
+function isLegacyCachedResult(key, value) {
+    return /^job_\d+$/.test(key) &&
+        !!value && typeof value === 'object' && !Array.isArray(value) &&
+        typeof value.analysis === 'string' &&
+        (typeof value.isGoodFit === 'boolean' || typeof value.verdict === 'string');
+}
+
+// Settings the analysis fingerprint depends on: the criteria profiles and the provider settings
+const FINGERPRINT_INPUT_KEYS = ['criteriaProfiles', 'activeProfileId', 'llmProvider', 'providerSettings', 'apiKey'];
+
 class JobProcessor {
     constructor() {
+        // Results read from (or saved to) the background job repository, keyed by cache key
         this.responseCache = {};
-        this.currentCriteria = '';
+        // Job IDs already looked up in the job repository, found or not
+        this.cacheLookups = new Set();
         this.processedListings = new Set();
-        this.matchingJobs = [];
-        this.rejectedJobs = [];
+        // Details of the last failed analysis, so the page loop can back off after rate limits
+        this.lastError = null;
+        // Processing session the analyses are counted under in the usage totals
+        this.sessionId = null;
+        // Rule engine class and profile helpers, loaded in init
+        this.RuleEngine = null;
+        this.profiles = null;
+        // Fingerprint of the current criteria, resume, templates and model; cached results with
+        // another fingerprint are stale. Null until loaded, and then nothing counts as stale
+        this.fingerprint = null;
+        this.isStaleResult = null;
+        // Called when the fingerprint changes, so the page can re-flag its badges
+        this.onFingerprintChange = null;
+        // Called with (jobId, text, job) while an analysis streams in
+        this.onAnalysisProgress = null;
+        // Port the background streams analysis progress over, and the jobs still waiting for a verdict
+        this.streamPort = null;
+        this.streamingJobs = new Set();
         this.logger = null;
-        this.useLocalStorage = true; // Flag to enable/disable localStorage caching
     }
 
     /**
@@ -21,25 +61,27 @@ class JobProcessor {
         try {
             // Dynamically import helpers
             const helpersModule = await import(chrome.runtime.getURL('js/utils/helpers.js'));
+            const RuleEngineModule = await import(chrome.runtime.getURL('js/core/RuleEngine.js'));
+            const profilesModule = await import(chrome.runtime.getURL('js/utils/profiles.js'));
+            const fingerprintModule = await import(chrome.runtime.getURL('js/utils/fingerprint.js'));
             this.logger = helpersModule.logger;
+            this.RuleEngine = RuleEngineModule.default;
+            this.profiles = profilesModule;
+            this.isStaleResult = fingerprintModule.isStaleResult;
             
-            // Load data from storage
-            await Promise.all([
-                this.loadCurrentCriteria(),
-                this.loadMatchingJobs(),
-                this.loadRejectedJobs()
-            ]);
+            // Move results older versions cached in the page's localStorage into the job repository
+            await this.migrateLocalStorageCache();
             
-            // Load from localStorage if available
-            this.loadCacheFromLocalStorage();
+            // Pick up analyses that completed after a previous page stopped waiting
+            await this.collectPendingResults();
+            
+            // Learn which cached results were made with other criteria, resume, templates or model
+            await this.loadFingerprint();
+            this.watchFingerprintInputs();
             
             this.logger?.info('JobProcessor initialized successfully');
         } catch (error) {
             console.error('Error initializing JobProcessor:', error);
-            // Set default values in case loading fails
-            this.currentCriteria = '';
-            this.matchingJobs = [];
-            this.rejectedJobs = [];
         }
     }
 
@@ -47,10 +89,12 @@ class JobProcessor {
      * Process a job listing
      * @param {Object} content - The content extracted from the listing
      * @param {String} cacheKey - Key to use for caching
-     * @param {String} resume - Optional user resume for better matching
+     * @param {Object} options - Options
+     * @param {Boolean} options.refresh - Analyze again even if a result is cached (used for stale results)
      * @returns {Object|null} The processing result or null
      */
-    async processListing(content, cacheKey, resume = null) {
+    async processListing(content, cacheKey, { refresh = false } = {}) {
+        this.lastError = null;
         try {
             // Validate job content first
             if (!content || !content.jobId) {
@@ -61,22 +105,32 @@ class JobProcessor {
             this.logger?.debug('Processing job:', {
                 jobId: content.jobId,
                 title: content.title,
-                company: content.company,
-                hasResume: !!resume
+                company: content.company
             });
             
             // Check cache first
-            const cachedResult = this.getCachedResult(cacheKey);
+            if (!refresh) {
+                await this.loadCachedResults([content.jobId]);
+            }
+            const cachedResult = refresh ? null : this.getCachedResult(cacheKey);
             if (cachedResult) {
                 this.logger?.debug('Using cached result for job', content.jobId);
                 return cachedResult;
             }
 
-            // Send to background for processing
-            const result = await this.sendToBackground(content, cacheKey, resume);
+            // Reject obviously unsuitable listings locally, without paying for a model call
+            const ruleResult = await this.applyFilterRules(content);
+            if (ruleResult) {
+                this.processedListings.add(content.jobId);
+                this.saveToCache(cacheKey, ruleResult);
+                return ruleResult;
+            }
+
+            // Send to background for processing - sendToBackground saves the result, as saving it
+            // again would add the verdict to its own history
+            const result = await this.sendToBackground(content, cacheKey);
             if (result) {
                 this.processedListings.add(content.jobId);
-                this.saveToCache(cacheKey, result);
                 return result;
             }
             
@@ -87,26 +141,95 @@ class JobProcessor {
         }
     }
 
+    /**
+     * Load the active profile's filter rules
+     * @returns {Promise<Object|null>} Object with the rule engine and the profile, or null if rules are unavailable
+     */
+    async loadFilterRules() {
+        if (!this.RuleEngine || !this.profiles) {
+            return null;
+        }
+        
+        const stored = await new Promise(resolve => {
+            chrome.storage.local.get(this.profiles.PROFILE_STORAGE_KEYS, resolve);
+        });
+        const profile = this.profiles.getProfile(stored);
+        return { engine: new this.RuleEngine(profile.rules), profile };
+    }
+
+    /**
+     * Run the active profile's filter rules against a listing
+     * @param {Object} content - Job content
+     * @param {Object} options - Options
+     * @param {Boolean} options.cardOnly - Only the card fields were read (triage before opening the job)
+     * @param {Object} options.filterRules - Output of loadFilterRules, to avoid reloading it per card
+     * @returns {Promise<Object|null>} Rejected result naming the rule that fired, or null if the job goes to the model
+     */
+    async applyFilterRules(content, { cardOnly = false, filterRules = null } = {}) {
+        try {
+            const rules = filterRules || await this.loadFilterRules();
+            if (!rules || rules.engine.isEmpty) {
+                return null;
+            }
+            
+            const match = rules.engine.evaluate(content, { cardOnly });
+            if (!match) {
+                return null;
+            }
+            
+            this.logger?.info(`Job ${content.jobId} rejected by filter rule ${match.rule}${cardOnly ? ' from its card' : ''}: ${match.reason}`);
+            
+            return {
+                isGoodFit: false,
+                verdict: 'NO',
+                score: null,
+                dimensions: null,
+                reasons: [match.reason],
+                analysis: this.RuleEngine.renderRejectionHtml(match),
+                rule: match,
+                // Skipped from the card alone - the job was never opened
+                skipped: cardOnly,
+                usage: null,
+                profileId: rules.profile.id,
+                profileName: rules.profile.name,
+                fingerprint: this.fingerprint,
+                title: content.title,
+                company: content.company,
+                location: content.location,
+                description: content.description || '',
+                descriptionHtml: content.descriptionHtml || '',
+                salary: content.salary,
+                source: content.source,
+                url: content.url
+            };
+        } catch (error) {
+            // A broken rule set must not stop the analysis
+            this.logger?.error('Error applying filter rules:', error);
+            return null;
+        }
+    }
+
     /**
      * Send job to background for analysis
      * @param {Object} content - Content to process
      * @param {String} cacheKey - Cache key for storage
-     * @param {String} resume - Optional user resume for better matching
      * @returns {Object|null} Processing result or null
      */
-    async sendToBackground(content, cacheKey, resume = null) {
+    async sendToBackground(content, cacheKey) {
         try {
             this.logger?.debug('Sending job to background for analysis:', {
                 jobId: content.jobId,
-                title: content.title,
-                hasResume: !!resume
+                title: content.title
             });
             
+            this.connectStreamPort();
+            this.streamingJobs.add(content.jobId);
+            
             const response = await this.sendMessageToBackground({
                 action: 'analyzeListing',
                 content: content,
-                resume: resume
-            });
+                sessionId: this.sessionId
+            }).finally(() => this.streamingJobs.delete(content.jobId));
 
             this.logger?.debug('Raw response from background:', response);
 
@@ -115,18 +238,9 @@ class JobProcessor {
                 this.logger?.debug('Received successful analysis for job', content.jobId, 'with analysis:', response.analysis);
                 
                 // Make sure we save analysis content to the cache
-                const resultToSave = {
-                    isGoodFit: response.isGoodFit,
-                    analysis: response.analysis,
-                    title: response.title || content.title,
-                    company: response.company || content.company,
-                    location: response.location || content.location,
-                    description: response.description || content.description,
-                    descriptionHtml: response.descriptionHtml || content.descriptionHtml,
-                    salary: response.salary || content.salary
-                };
+                const resultToSave = this.toCachedResult(response, content);
                 
-                this.logger?.debug('Saving result to cache with analysis present:', !!resultToSave.analysis, 'isGoodFit:', resultToSave.isGoodFit);
+                this.logger?.debug('Saving result to cache with analysis present:', !!resultToSave.analysis, 'isGoodFit:', resultToSave.isGoodFit, 'score:', resultToSave.score);
                 
                 this.saveToCache(cacheKey, resultToSave);
                 return resultToSave;
@@ -134,6 +248,12 @@ class JobProcessor {
             
             if (!response || !response.success) {
                 this.logger?.error('Background processing failed:', response?.error || 'No valid response');
+                this.lastError = {
+                    message: response?.error || 'No valid response',
+                    type: response?.errorType || null,
+                    retryable: !!response?.retryable,
+                    retryAfterMs: response?.retryAfterMs ?? null
+                };
             }
             
             return null;
@@ -143,6 +263,165 @@ class JobProcessor {
         }
     }
 
+    /**
+     * Open the port the background streams analysis progress over, if not already open
+     */
+    connectStreamPort() {
+        if (this.streamPort) {
+            return;
+        }
+        
+        try {
+            this.streamPort = chrome.runtime.connect({ name: 'analysisStream' });
+        } catch (error) {
+            // Extension context invalidated - results still arrive through the queue
+            this.logger?.warn('Could not open analysis stream:', error);
+            return;
+        }
+        
+        this.streamPort.onMessage.addListener((message) => {
+            // Progress that arrives after the verdict must not overwrite it
+            if (message?.type !== 'analysisProgress' || !this.streamingJobs.has(message.jobId)) {
+                return;
+            }
+            
+            try {
+                this.onAnalysisProgress?.(message.jobId, message.text, message.job || {});
+            } catch (error) {
+                this.logger?.error('Error showing analysis progress:', error);
+            }
+        });
+        
+        // The service worker was stopped - reconnect with the next request
+        this.streamPort.onDisconnect.addListener(() => {
+            this.streamPort = null;
+        });
+    }
+
+    /**
+     * Build the cached result from a background analysis response
+     * @param {Object} response - Successful response data from the background
+     * @param {Object} content - Job content the request was made with, if still known
+     * @returns {Object} Result to cache
+     */
+    toCachedResult(response, content = {}) {
+        return {
+            isGoodFit: response.isGoodFit,
+            verdict: response.verdict,
+            score: response.score ?? null,
+            dimensions: response.dimensions || null,
+            reasons: response.reasons || [],
+            analysis: response.analysis,
+            usage: response.usage || null,
+            profileId: response.profileId || null,
+            profileName: response.profileName || '',
+            fingerprint: response.fingerprint || null,
+            title: response.title || content.title,
+            company: response.company || content.company,
+            location: response.location || content.location,
+            description: response.description || content.description,
+            descriptionHtml: response.descriptionHtml || content.descriptionHtml,
+            salary: response.salary || content.salary,
+            source: response.source || content.source,
+            url: response.url || content.url
+        };
+    }
+
+    /**
+     * Save analyses that finished in the background after an earlier page stopped waiting for them
+     * (timed out, reloaded or closed)
+     */
+    async collectPendingResults() {
+        try {
+            const response = await new Promise(resolve => {
+                chrome.runtime.sendMessage({ action: 'collectAnalysisResults' }, (reply) => {
+                    if (chrome.runtime.lastError) {
+                        resolve({ success: false, error: chrome.runtime.lastError.message });
+                        return;
+                    }
+                    resolve(reply);
+                });
+            });
+            
+            if (!response?.success) {
+                this.logger?.warn('Could not collect pending results:', response?.error);
+                return;
+            }
+            
+            for (const result of response.results) {
+                this.processedListings.add(result.jobId);
+                this.saveToCache(`job_${result.jobId}`, this.toCachedResult(result));
+            }
+            
+            if (response.results.length > 0) {
+                this.logger?.info(`Collected ${response.results.length} results finished while the page was away`);
+            }
+        } catch (error) {
+            this.logger?.error('Error collecting pending results:', error);
+        }
+    }
+
+    /**
+     * Send a request to the background and wait for its direct reply
+     * @param {Object} message - Message with the action
+     * @returns {Promise<Object>} Reply, or an object with success false and the error if the background is unreachable
+     */
+    callBackground(message) {
+        return new Promise(resolve => {
+            chrome.runtime.sendMessage(message, (reply) => {
+                if (chrome.runtime.lastError) {
+                    resolve({ success: false, error: chrome.runtime.lastError.message });
+                    return;
+                }
+                resolve(reply);
+            });
+        });
+    }
+
+    /**
+     * Ask the background for the fingerprint of the current analysis inputs
+     */
+    async loadFingerprint() {
+        try {
+            const response = await this.callBackground({ action: 'getAnalysisFingerprint' });
+            if (!response?.success) {
+                this.logger?.warn('Could not load the analysis fingerprint:', response?.error);
+                return;
+            }
+            
+            if (response.fingerprint !== this.fingerprint) {
+                const changed = this.fingerprint !== null;
+                this.fingerprint = response.fingerprint;
+                if (changed) {
+                    this.logger?.info('Criteria, resume, templates or model changed - earlier results are now stale');
+                    this.onFingerprintChange?.();
+                }
+            }
+        } catch (error) {
+            this.logger?.error('Error loading the analysis fingerprint:', error);
+        }
+    }
+
+    /**
+     * Reload the fingerprint when the profiles or provider settings are edited while the page is open
+     */
+    watchFingerprintInputs() {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && FINGERPRINT_INPUT_KEYS.some(key => key in changes)) {
+                this.loadFingerprint();
+            }
+        });
+    }
+
+    /**
+     * Check whether a cached result was made with other inputs than the current ones
+     * @param {Object} result - Cached result
+     * @returns {Boolean} True if the result is stale
+     */
+    isStale(result) {
+        return !!this.isStaleResult?.(result, this.fingerprint);
+    }
+
     /**
      * Send a message to the background script
      * @param {Object} message - Message to send
@@ -160,8 +439,9 @@ class JobProcessor {
             });
             
             // Set a timeout in case we never get a response
+            const timeoutSeconds = BACKGROUND_TIMEOUT_MS / 1000;
             const timeoutId = setTimeout(() => {
-                this.logger?.error(`Background message timed out after 15 seconds for job ${message.content.jobId}`);
+                this.logger?.error(`Background message timed out after ${timeoutSeconds} seconds for job ${message.content.jobId}`);
                 
                 // Clean up the listener if it's still active
                 try {
@@ -172,19 +452,22 @@ class JobProcessor {
                 
                 resolve({ 
                     success: false, 
-                    error: 'Request timed out after 15 seconds. The background script did not respond in time.',
+                    error: `Request timed out after ${timeoutSeconds} seconds. The background script did not respond in time.`,
                     timeoutOccurred: true
                 });
-            }, 15000); // 15 seconds timeout instead of 30
+            }, BACKGROUND_TIMEOUT_MS);
             
             // Define the message listener
-            const messageListener = (response) => {
+            const messageListener = (response, sender, sendResponse) => {
                 /// this.logger?.debug('Received message in listener:', response);
                 
                 // Check if this is a response to our request
                 if (response && response.responseToId === requestId) {
                     this.logger?.debug('Match found for requestId:', requestId);
                     
+                    // Tell the background queue the result arrived, so it is not kept for pickup
+                    sendResponse({ received: true });
+                    
                     // Clean up
                     clearTimeout(timeoutId);
                     
@@ -225,8 +508,9 @@ class JobProcessor {
                         return;
                     }
                     
-                    // If we got a direct response (synchronous), use it
-                    if (directResponse) {
+                    // If we got a direct response (synchronous), use it - a queued
+                    // acknowledgement means the result will follow under the request ID
+                    if (directResponse && !directResponse.queued) {
                         this.logger?.debug('Received direct (synchronous) response:', directResponse);
                         clearTimeout(timeoutId);
                         chrome.runtime.onMessage.removeListener(messageListener);
@@ -252,7 +536,7 @@ class JobProcessor {
     /**
      * Get result from cache
      * @param {String} cacheKey - Cache key
-     * @returns {Object|null} Cached result or null
+     * @returns {Object|null} Cached result, flagged stale if made with other inputs, or null
      */
     getCachedResult(cacheKey) {
         // Validate cache key
@@ -260,7 +544,13 @@ class JobProcessor {
             this.logger?.warn('Invalid cache key:', cacheKey);
             return null;
         }
-        return this.responseCache[cacheKey];
+        
+        const cachedResult = this.responseCache[cacheKey];
+        if (!cachedResult) {
+            return null;
+        }
+        // Staleness is worked out on read, as it changes whenever the settings do
+        return { ...cachedResult, stale: this.isStale(cachedResult) };
     }
 
     /**
@@ -282,242 +572,128 @@ class JobProcessor {
         
         this.logger?.debug('SAVING TO CACHE - Key:', cacheKey, 'Result has analysis:', !!result.analysis, 'isGoodFit:', result.isGoodFit);
         
-        // Save to memory cache
-        this.responseCache[cacheKey] = result;
+        // Staleness is not stored - it depends on the settings at the time of reading
+        const { stale, ...resultToStore } = result;
+        result = resultToStore;
         
-        // Save to localStorage
-        try {
-            if (this.useLocalStorage && window.localStorage) {
-                localStorage.setItem(cacheKey, JSON.stringify(result));
-                this.logger?.debug('Saved to localStorage:', cacheKey);
-            }
-        } catch (err) {
-            this.logger?.error('Error saving to localStorage:', err);
+        // A new analysis keeps the user's verdict, as the job repository does
+        const previousOverride = this.responseCache[cacheKey]?.override;
+        if (previousOverride && !result.override) {
+            result = { ...result, override: previousOverride };
         }
         
-        // Save to extension storage
-        try {
-            // Make sure matchingJobs and rejectedJobs are initialized
-            if (!this.matchingJobs) this.matchingJobs = [];
-            if (!this.rejectedJobs) this.rejectedJobs = [];
-            
-            // Store some basic info about processed jobs
-            if (result.isGoodFit === true) {
-                this.logger?.debug('Adding to matching jobs list - has analysis:', !!result.analysis);
-                this.addToMatchingJobs(cacheKey, result);
-            } else if (result.isGoodFit === false) {
-                this.logger?.debug('Adding to rejected jobs list - has analysis:', !!result.analysis);
-                this.addToRejectedJobs(cacheKey, result);
+        // Save to memory cache
+        this.responseCache[cacheKey] = result;
+        
+        // Save to the job repository, where the dashboard lists it - the page does not wait for the write
+        const jobId = cacheKey.startsWith('job_') ? cacheKey.substring(4) : cacheKey;
+        this.cacheLookups.add(jobId);
+        this.callBackground({ action: 'saveCachedResult', jobId, result }).then(response => {
+            if (response?.quotaExceeded) {
+                // The background already pruned what it could - the result stays in memory for this page
+                this.logger?.warn(`Storage is full - the result of job ${jobId} is only kept until the page is closed`);
+            } else if (!response?.success) {
+                this.logger?.error('Error saving to the job repository:', response?.error);
             }
-        } catch (err) {
-            this.logger?.error('Error adding job to persistent storage:', err);
-        }
+        });
     }
-    
+
     /**
-     * Add a job to the matching jobs list
-     * @param {String} key - Cache key
-     * @param {Object} result - Analysis result
+     * Record the user's own verdict of a job in the job repository and the memory cache
+     * @param {String} jobId - Job ID
+     * @param {String|null} verdict - YES, MAYBE or NO, or null to go back to the model's verdict
+     * @param {String} reason - Optional explanation of the disagreement
+     * @returns {Promise<Object>} The cached result with the override
+     * @throws {Error} If the background could not store it
      */
-    addToMatchingJobs(key, result) {
-        try {
-            if (!this.matchingJobs) this.matchingJobs = [];
-            
-            // Extract job ID from the key (format is typically job_JOBID)
-            const jobId = key.startsWith('job_') ? key.substring(4) : key;
-            
-            const basicInfo = {
-                key,
-                id: jobId, // Add the job ID
-                title: result.title || 'Unknown Title',
-                company: result.company || 'Unknown Company',
-                timestamp: new Date().toISOString(),
-                description: result.description || '',
-                descriptionHtml: result.descriptionHtml || '',
-                location: result.location || '',
-                salary: result.salary || '',
-                analysis: result.analysis || '', // Use the full HTML analysis
-                isGoodFit: result.isGoodFit
-            };
-            
-            // Check if job already exists to avoid duplicates
-            const exists = this.matchingJobs.some(job => job.key === key || job.id === jobId);
-            if (!exists) {
-                this.matchingJobs.push(basicInfo);
-                this.saveMatchingJobs();
-                this.logger?.debug('Added job to matching jobs list:', basicInfo.id);
-            } else {
-                // Update the existing job with new data
-                const index = this.matchingJobs.findIndex(job => job.key === key || job.id === jobId);
-                if (index !== -1) {
-                    this.matchingJobs[index] = basicInfo;
-                    this.saveMatchingJobs();
-                    this.logger?.debug('Updated existing job in matching jobs list:', basicInfo.id);
-                } else {
-                    this.logger?.debug('Job already in matching jobs list, not adding again:', key);
-                }
-            }
-        } catch (err) {
-            this.logger?.error('Error in addToMatchingJobs:', err);
+    async overrideVerdict(jobId, verdict, reason = '') {
+        const response = await this.callBackground({ action: 'overrideVerdict', jobId, verdict, reason });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Could not save your verdict');
         }
+        
+        const cacheKey = `job_${jobId}`;
+        this.responseCache[cacheKey] = { ...this.responseCache[cacheKey], override: response.override };
+        return this.getCachedResult(cacheKey);
     }
-    
+
     /**
-     * Add a job to the rejected jobs list
-     * @param {String} key - Cache key
-     * @param {Object} result - Analysis result
+     * Read the cached results of jobs from the background job repository into memory
+     * @param {Array<String>} jobIds - Job IDs; jobs already looked up are not requested again
      */
-    addToRejectedJobs(key, result) {
+    async loadCachedResults(jobIds) {
+        const missing = [...new Set(jobIds)].filter(jobId => jobId && !this.cacheLookups.has(jobId));
+        if (missing.length === 0) {
+            return;
+        }
+        
         try {
-            if (!this.rejectedJobs) this.rejectedJobs = [];
-            
-            // Extract job ID from the key (format is typically job_JOBID)
-            const jobId = key.startsWith('job_') ? key.substring(4) : key;
-            
-            const basicInfo = {
-                key,
-                id: jobId, // Add the job ID
-                title: result.title || 'Unknown Title',
-                company: result.company || 'Unknown Company',
-                timestamp: new Date().toISOString(),
-                description: result.description || '',
-                descriptionHtml: result.descriptionHtml || '',
-                location: result.location || '',
-                salary: result.salary || '',
-                analysis: result.analysis || '', // Use the full HTML analysis
-                isGoodFit: result.isGoodFit
-            };
+            const response = await this.callBackground({ action: 'getCachedResults', jobIds: missing });
+            if (!response?.success) {
+                this.logger?.warn('Could not read cached results:', response?.error);
+                return;
+            }
             
-            // Check if job already exists to avoid duplicates
-            const exists = this.rejectedJobs.some(job => job.key === key || job.id === jobId);
-            if (!exists) {
-                this.rejectedJobs.push(basicInfo);
-                this.saveRejectedJobs();
-                this.logger?.debug('Added job to rejected jobs list:', basicInfo.id);
-            } else {
-                // Update the existing job with new data
-                const index = this.rejectedJobs.findIndex(job => job.key === key || job.id === jobId);
-                if (index !== -1) {
-                    this.rejectedJobs[index] = basicInfo;
-                    this.saveRejectedJobs();
-                    this.logger?.debug('Updated existing job in rejected jobs list:', basicInfo.id);
-                } else {
-                    this.logger?.debug('Job already in rejected jobs list, not adding again:', key);
+            missing.forEach(jobId => this.cacheLookups.add(jobId));
+            for (const [jobId, result] of Object.entries(response.results)) {
+                // A result saved while the lookup was in flight is newer
+                if (!this.responseCache[`job_${jobId}`]) {
+                    this.responseCache[`job_${jobId}`] = result;
                 }
             }
+            this.logger?.debug(`Loaded ${Object.keys(response.results).length} of ${missing.length} jobs from the job repository`);
         } catch (err) {
-            this.logger?.error('Error in addToRejectedJobs:', err);
-        }
-    }
-
-    /**
-     * Load current criteria from storage
-     */
-    async loadCurrentCriteria() {
-        try {
-            const result = await new Promise(resolve => {
-                chrome.storage.local.get(['currentCriteria'], resolve);
-            });
-            
-            if (result.currentCriteria) {
-                this.currentCriteria = result.currentCriteria;
-            }
-        } catch (error) {
-            console.error('[JobProcessor] Error loading criteria:', error);
+            this.logger?.error('Error loading cached results:', err);
         }
     }
 
     /**
-     * Load matching jobs from storage
+     * Move results cached by older versions in the page's localStorage to the job repository, once.
+     * Only LinkedIn pages have such a cache; other sites' own job_ keys are left alone
      */
-    async loadMatchingJobs() {
+    async migrateLocalStorageCache() {
         try {
-            const result = await new Promise(resolve => {
-                chrome.storage.local.get(['matchingJobs'], resolve);
-            });
-            
-            if (result.matchingJobs) {
-                this.matchingJobs = JSON.parse(result.matchingJobs);
+            if (!/(^|\.)linkedin\.com$/.test(window.location.hostname)) {
+                return;
             }
-        } catch (error) {
-            console.error('[JobProcessor] Error loading matching jobs:', error);
-        }
-    }
-
-    /**
-     * Save matching jobs to storage
-     */
-    async saveMatchingJobs() {
-        try {
-            await new Promise(resolve => {
-                chrome.storage.local.set({
-                    matchingJobs: JSON.stringify(this.matchingJobs)
-                }, resolve);
-            });
-        } catch (error) {
-            console.error('[JobProcessor] Error saving matching jobs:', error);
-        }
-    }
-
-    /**
-     * Load rejected jobs from storage
-     */
-    async loadRejectedJobs() {
-        try {
-            const result = await new Promise(resolve => {
-                chrome.storage.local.get(['rejectedJobs'], resolve);
-            });
             
-            if (result.rejectedJobs) {
-                this.rejectedJobs = JSON.parse(result.rejectedJobs);
-            }
-        } catch (error) {
-            console.error('[JobProcessor] Error loading rejected jobs:', error);
-        }
-    }
-
-    /**
-     * Save rejected jobs to storage
-     */
-    async saveRejectedJobs() {
-        try {
-            await new Promise(resolve => {
-                chrome.storage.local.set({
-                    rejectedJobs: JSON.stringify(this.rejectedJobs)
-                }, resolve);
+            const stored = await new Promise(resolve => {
+                chrome.storage.local.get([CACHE_MIGRATED_KEY], resolve);
             });
-        } catch (error) {
-            console.error('[JobProcessor] Error saving rejected jobs:', error);
-        }
-    }
-
-    /**
-     * Load cached results from localStorage
-     */
-    loadCacheFromLocalStorage() {
-        try {
-            if (!this.useLocalStorage || !window.localStorage) {
+            if (stored[CACHE_MIGRATED_KEY] || !window.localStorage) {
                 return;
             }
             
-            // Look for keys that start with job_
-            Object.keys(localStorage).forEach(key => {
-                if (key.startsWith('job_')) {
-                    try {
-                        const data = JSON.parse(localStorage.getItem(key));
-                        if (data) {
-                            this.responseCache[key] = data;
-                            this.logger?.debug('Loaded from localStorage:', key);
-                        }
-                    } catch (e) {
-                        this.logger?.error(`Error parsing localStorage item ${key}:`, e);
+            const keys = [];
+            const entries = [];
+            for (const key of Object.keys(localStorage).filter(key => key.startsWith('job_'))) {
+                try {
+                    const result = JSON.parse(localStorage.getItem(key));
+                    if (isLegacyCachedResult(key, result)) {
+                        keys.push(key);
+                        entries.push({ jobId: key.substring(4), result });
                     }
+                } catch (e) {
+                    // Not JSON, so not one of ours
                 }
-            });
+            }
+            
+            if (entries.length > 0) {
+                const response = await this.callBackground({ action: 'importCachedResults', entries });
+                if (!response?.success) {
+                    // Leave the entries in place and try again on the next page load
+                    this.logger?.warn('Could not move cached results to the job repository:', response?.error);
+                    return;
+                }
+                this.logger?.info(`Moved ${response.added} cached results from localStorage to the job repository`);
+            }
             
-            this.logger?.debug('Loaded cache from localStorage with', Object.keys(this.responseCache).length, 'items');
+            keys.forEach(key => localStorage.removeItem(key));
+            await new Promise(resolve => {
+                chrome.storage.local.set({ [CACHE_MIGRATED_KEY]: true }, resolve);
+            });
         } catch (err) {
-            this.logger?.error('Error loading from localStorage:', err);
+            this.logger?.error('Error migrating the localStorage cache:', err);
         }
     }
 }
@@ -0,0 +1,470 @@
+/**
+ * JobRepository.js
+ * Extension-owned IndexedDB repository of analyzed jobs, one record per job with its verdict as a field.
+ * The background and the extension pages open it directly; content scripts go through background messages
+ */
+
+import { buildOverride, getResultVerdict } from '../utils/verdict.js';
+import { moveToStage } from '../utils/pipeline.js';
+
+const DB_NAME = 'jobSearchAssist';
+const STORE_NAME = 'jobs';
+
+// chrome.storage.local keys of the per-verdict job lists kept by older versions
+const LEGACY_LIST_KEYS = ['matchingJobs', 'rejectedJobs', 'maybeJobs'];
+
+// Earlier analyses kept per job
+const HISTORY_LIMIT = 20;
+
+/**
+ * chrome.storage.local key set to the time of the last write. IndexedDB has no change events, so pages
+ * showing jobs listen for this key with chrome.storage.onChanged to reload while a scan runs elsewhere
+ */
+export const JOBS_CHANGED_KEY = 'jobsChangedAt';
+
+/**
+ * Schema migrations, run in order inside the upgrade transaction when the database is older than
+ * SCHEMA_VERSION. Each takes the database and the upgrade transaction, and must not wait on anything
+ * outside that transaction
+ */
+const MIGRATIONS = [
+    // 1: result cache keyed by job ID, indexed for the dashboards
+    (db) => {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'jobId' });
+        store.createIndex('company', 'company');
+        store.createIndex('verdict', 'verdict');
+        store.createIndex('date', 'date');
+    },
+    // 2: jobs keep the date they were first analyzed and can be removed from the dashboards
+    (db, transaction) => {
+        const store = transaction.objectStore(STORE_NAME);
+        store.createIndex('timestamp', 'timestamp');
+        store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                cursor.update({ timestamp: cursor.value.date, dismissed: false, ...cursor.value });
+                cursor.continue();
+            }
+        };
+    },
+    // 3: jobs keep the verdicts of their earlier analyses
+    (db, transaction) => {
+        transaction.objectStore(STORE_NAME).openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                cursor.update({ history: [], ...cursor.value });
+                cursor.continue();
+            }
+        };
+    }
+];
+
+/**
+ * Version of the record layout - the IndexedDB version the database is upgraded to
+ */
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction
+ * @returns {Promise<void>}
+ */
+function completion(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+class JobRepository {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the database once per context, migrating it to SCHEMA_VERSION if needed
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+                request.onupgradeneeded = (event) => {
+                    for (let version = event.oldVersion; version < SCHEMA_VERSION; version++) {
+                        MIGRATIONS[version](request.result, request.transaction);
+                    }
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // A newer version of the extension is upgrading the schema - let it, and reopen next time
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                // Let the next call try again
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Merge changes into a job record
+     * @param {String} jobId - Job ID
+     * @param {Object|undefined} existing - Stored record, if any
+     * @param {Object} changes - Fields to set
+     * @returns {Object} Record to store
+     */
+    merge(jobId, existing, changes) {
+        const now = new Date().toISOString();
+        const record = {
+            timestamp: now,
+            date: now,
+            dismissed: false,
+            history: [],
+            ...existing,
+            ...changes,
+            jobId: String(jobId)
+        };
+        // Derived fields stay consistent with the result they describe; the verdict is always the
+        // model's, the user's disagreement is kept apart in the override
+        record.company = record.company || '';
+        record.verdict = getResultVerdict(record);
+        return record;
+    }
+
+    /**
+     * Tell pages listening with chrome.storage.onChanged that jobs were written; the write does not wait for it
+     */
+    notifyChange() {
+        chrome.storage.local.set({ [JOBS_CHANGED_KEY]: Date.now() })
+            .catch(error => console.warn('[JobRepository] Could not signal a change:', error));
+    }
+
+    /**
+     * Read one job
+     * @param {String} jobId - Job ID
+     * @returns {Promise<Object|null>} Record or null
+     */
+    async get(jobId) {
+        const db = await this.open();
+        const record = await promisify(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(String(jobId)));
+        return record || null;
+    }
+
+    /**
+     * Read several jobs
+     * @param {Array<String>} jobIds - Job IDs
+     * @returns {Promise<Object>} Records keyed by job ID; unknown jobs are left out
+     */
+    async getMany(jobIds) {
+        const db = await this.open();
+        const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+        const records = await Promise.all(jobIds.map(jobId => promisify(store.get(String(jobId)))));
+
+        const results = {};
+        for (const record of records) {
+            if (record) {
+                results[record.jobId] = record;
+            }
+        }
+        return results;
+    }
+
+    /**
+     * List jobs
+     * @param {Object} filter - Filter
+     * @param {String} filter.verdict - Only jobs with this verdict (YES, MAYBE or NO)
+     * @param {Boolean} filter.includeDismissed - Include jobs removed from the dashboard
+     * @returns {Promise<Array<Object>>} Records
+     */
+    async list({ verdict = null, includeDismissed = false } = {}) {
+        const db = await this.open();
+        const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+        const records = await promisify(verdict ? store.index('verdict').getAll(verdict) : store.getAll());
+        return includeDismissed ? records : records.filter(record => !record.dismissed);
+    }
+
+    /**
+     * Create or update a job, changing only the given fields
+     * @param {String} jobId - Job ID
+     * @param {Object|Function} changes - Fields to set, or a function building them from the stored record
+     *                                    (undefined for a new job)
+     * @returns {Promise<Object>} The stored record
+     */
+    async upsert(jobId, changes) {
+        const db = await this.open();
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        let record = null;
+
+        // Read and write in one transaction so concurrent upserts of a job never lose fields
+        const request = store.get(String(jobId));
+        request.onsuccess = () => {
+            const fields = typeof changes === 'function' ? changes(request.result) : changes;
+            record = this.merge(jobId, request.result, fields);
+            store.put(record);
+        };
+
+        await completion(transaction);
+        this.notifyChange();
+        return record;
+    }
+
+    /**
+     * Store a new analysis of a job
+     * @param {String} jobId - Job ID
+     * @param {Object} result - Analysis result
+     * @returns {Promise<Object>} The stored record
+     */
+    saveResult(jobId, result) {
+        // Staleness depends on the settings when read, so it is never stored; the history, the first
+        // analysis date, the application and the user's override belong to the record, not to the result
+        const { stale, history, timestamp, application, override, ...fields } = result;
+
+        return this.upsert(jobId, existing => ({
+            ...fields,
+            // Results cached before sources were recorded keep the source and link of the record
+            source: fields.source || existing?.source || null,
+            url: fields.url || existing?.url || '',
+            history: this.appendHistory(existing),
+            date: new Date().toISOString(),
+            // A job analyzed again shows up again even if it was removed from its dashboard
+            dismissed: false
+        }));
+    }
+
+    /**
+     * Move a job to an application stage, recording when it moved
+     * @param {String} jobId - Job ID
+     * @param {String|null} stageId - Stage from PIPELINE_STAGES, or null to stop tracking the job
+     * @returns {Promise<Object>} The stored record
+     */
+    setApplicationStage(jobId, stageId) {
+        return this.upsert(jobId, existing => ({
+            application: moveToStage(existing?.application || null, stageId)
+        }));
+    }
+
+    /**
+     * Record the user's own verdict of a job, for when they disagree with the model
+     * @param {String} jobId - Job ID
+     * @param {String|null} verdict - YES, MAYBE or NO, or null to go back to the model's verdict
+     * @param {String} reason - Optional explanation of the disagreement
+     * @returns {Promise<Object>} The stored record
+     */
+    setOverride(jobId, verdict, reason = '') {
+        return this.upsert(jobId, existing => ({
+            override: verdict ? buildOverride(existing, verdict, reason) : null
+        }));
+    }
+
+    /**
+     * Add the analysis a new one replaces to the verdict history of a job
+     * @param {Object|undefined} existing - Stored record, if any
+     * @returns {Array<Object>} History, oldest first
+     */
+    appendHistory(existing) {
+        const history = existing?.history || [];
+        if (!existing?.verdict) {
+            return history;
+        }
+
+        return [...history, {
+            verdict: existing.verdict,
+            score: existing.score ?? null,
+            date: existing.date,
+            // Which criteria, resume, templates and model the verdict was made with
+            fingerprint: existing.fingerprint || null,
+            profileId: existing.profileId || null,
+            profileName: existing.profileName || '',
+            rule: existing.rule?.rule || null
+        }].slice(-HISTORY_LIMIT);
+    }
+
+    /**
+     * Add jobs the repository does not have yet, keeping the ones it has
+     * @param {Array<Object>} entries - Objects with jobId and result
+     * @returns {Promise<Number>} Number of jobs added
+     */
+    async addMissing(entries) {
+        const db = await this.open();
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        let added = 0;
+
+        for (const { jobId, result } of entries) {
+            const request = store.add(this.merge(jobId, undefined, result));
+            request.onsuccess = () => added++;
+            // The job already has a record, which is at least as recent - keep it and carry on
+            request.onerror = (event) => event.preventDefault();
+        }
+
+        await completion(transaction);
+        if (added > 0) {
+            this.notifyChange();
+        }
+        return added;
+    }
+
+    /**
+     * Read the jobs with a given value of an index
+     * @param {String} indexName - Index: company, verdict, date or timestamp
+     * @param {*} query - Value or IDBKeyRange to match
+     * @returns {Promise<Array<Object>>} Matching records
+     */
+    async findBy(indexName, query) {
+        const db = await this.open();
+        const index = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index(indexName);
+        return promisify(index.getAll(query));
+    }
+
+    /**
+     * Count the stored jobs
+     * @returns {Promise<Number>} Number of jobs
+     */
+    async count() {
+        const db = await this.open();
+        return promisify(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).count());
+    }
+
+    /**
+     * Measure the stored jobs by verdict, with their descriptions counted apart
+     * @returns {Promise<Object>} Object with count and bytes for each verdict (YES, MAYBE, NO) and
+     *                            for descriptions (jobs that keep one and the size of their text)
+     */
+    async measure() {
+        const db = await this.open();
+        const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+        const encoder = new TextEncoder();
+        const usage = {
+            YES: { count: 0, bytes: 0 },
+            MAYBE: { count: 0, bytes: 0 },
+            NO: { count: 0, bytes: 0 },
+            descriptions: { count: 0, bytes: 0 }
+        };
+
+        await new Promise((resolve, reject) => {
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+
+                // Sizes are those of the records as JSON, close to what IndexedDB keeps on disk
+                const { description, descriptionHtml, ...record } = cursor.value;
+                const descriptionBytes = encoder.encode(description || '').length + encoder.encode(descriptionHtml || '').length;
+                const totals = usage[record.verdict];
+                if (totals) {
+                    totals.count++;
+                    totals.bytes += encoder.encode(JSON.stringify(record)).length;
+                }
+                if (descriptionBytes > 0) {
+                    usage.descriptions.count++;
+                    usage.descriptions.bytes += descriptionBytes;
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        return usage;
+    }
+
+    /**
+     * Walk every job once, deleting or rewriting records as a policy decides
+     * @param {Function} policy - Takes a record and returns null to delete it, a changed copy to store
+     *                            instead, or the record itself to keep it as it is
+     * @returns {Promise<Object>} Object with the number of jobs deleted and updated
+     */
+    async sweep(policy) {
+        const db = await this.open();
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const counts = { deleted: 0, updated: 0 };
+
+        transaction.objectStore(STORE_NAME).openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                return;
+            }
+
+            const kept = policy(cursor.value);
+            if (kept === null) {
+                cursor.delete();
+                counts.deleted++;
+            } else if (kept !== cursor.value) {
+                cursor.update(this.merge(cursor.value.jobId, undefined, kept));
+                counts.updated++;
+            }
+            cursor.continue();
+        };
+
+        await completion(transaction);
+        if (counts.deleted > 0 || counts.updated > 0) {
+            this.notifyChange();
+        }
+        return counts;
+    }
+
+    /**
+     * Move the per-verdict job lists older versions kept in chrome.storage.local into the repository.
+     * Safe to run on every start - the lists are removed once imported
+     * @returns {Promise<Number>} Number of list entries imported
+     */
+    async migrateLegacyLists() {
+        const stored = await chrome.storage.local.get(LEGACY_LIST_KEYS);
+        const keys = LEGACY_LIST_KEYS.filter(key => stored[key]);
+        if (keys.length === 0) {
+            return 0;
+        }
+
+        let imported = 0;
+        for (const key of keys) {
+            // Lists were saved as JSON strings, and as plain arrays by some versions
+            let jobs = stored[key];
+            try {
+                jobs = typeof jobs === 'string' ? JSON.parse(jobs) : jobs;
+            } catch (error) {
+                console.warn(`[JobRepository] Dropping unreadable ${key}:`, error);
+                jobs = [];
+            }
+
+            for (const job of Array.isArray(jobs) ? jobs : []) {
+                if (!job?.id) {
+                    continue;
+                }
+                // The list ID and cache key are replaced by the record's jobId
+                const { id, key, ...fields } = job;
+                // The cached result is the full one; the list entry only adds when the job was listed
+                const existing = await this.get(id);
+                await this.upsert(id, existing ? { timestamp: fields.timestamp || existing.timestamp } : fields);
+                imported++;
+            }
+        }
+
+        await chrome.storage.local.remove(keys);
+        return imported;
+    }
+}
+
+export default JobRepository;
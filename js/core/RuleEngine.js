@@ -0,0 +1,188 @@
+/**
+ * RuleEngine.js
+ * Deterministic rules that reject obviously unsuitable listings before they are sent to the model
+ */
+
+import { escapeHtml } from '../utils/verdict.js';
+
+/**
+ * Rules of a profile that has none configured - nothing is filtered
+ */
+export const DEFAULT_FILTER_RULES = {
+    titleInclude: [],
+    titleExclude: [],
+    companyBlocklist: [],
+    requiredPhrases: [],
+    forbiddenPhrases: [],
+    minSalary: 0
+};
+
+// Hours in a working year, to compare hourly rates with the annual floor
+const HOURS_PER_YEAR = 2080;
+
+// Amounts with a currency symbol or a k suffix; bare numbers are too often something else
+const SALARY_AMOUNT_PATTERN = /([$£€]\s*)?(\d[\d,]*(?:\.\d+)?)(\s*[kK]\b)?/g;
+
+/**
+ * Read the highest annual amount from a salary text such as "$120K/yr - $150K/yr" or "$55/hr"
+ * @param {String} text - Salary text from the listing
+ * @returns {Number|null} Annual amount, or null if the text holds no recognizable amount
+ */
+export function parseSalary(text) {
+    if (!text) {
+        return null;
+    }
+
+    let multiplier = 1;
+    if (/\/\s*h(ou)?r\b|per hour|an hour|hourly/i.test(text)) {
+        multiplier = HOURS_PER_YEAR;
+    } else if (/\/\s*mo(nth)?\b|per month|a month|monthly/i.test(text)) {
+        multiplier = 12;
+    }
+
+    let highest = null;
+    for (const [, currency, digits, thousands] of text.matchAll(SALARY_AMOUNT_PATTERN)) {
+        if (!currency && !thousands) {
+            continue;
+        }
+        const amount = parseFloat(digits.replace(/,/g, '')) * (thousands ? 1000 : 1) * multiplier;
+        if (!isNaN(amount) && (highest === null || amount > highest)) {
+            highest = amount;
+        }
+    }
+
+    return highest;
+}
+
+/**
+ * Check rules before they are saved
+ * @param {Object} rules - Filter rules
+ * @returns {Array<String>} Error messages, empty if the rules are usable
+ */
+export function validateFilterRules(rules) {
+    const errors = [];
+
+    for (const key of ['titleInclude', 'titleExclude', 'companyBlocklist', 'requiredPhrases', 'forbiddenPhrases']) {
+        if (!Array.isArray(rules?.[key]) || rules[key].some(entry => typeof entry !== 'string')) {
+            errors.push(`${key} must be a list of words or phrases`);
+        }
+    }
+
+    if (typeof rules?.minSalary !== 'number' || isNaN(rules.minSalary) || rules.minSalary < 0) {
+        errors.push('The salary floor must be a number of 0 or more');
+    }
+
+    const included = new Set((rules?.titleInclude || []).map(keyword => keyword.toLowerCase()));
+    const conflicting = (rules?.titleExclude || []).filter(keyword => included.has(keyword.toLowerCase()));
+    if (conflicting.length > 0) {
+        errors.push(`Title keywords both included and excluded: ${conflicting.join(', ')}`);
+    }
+
+    return errors;
+}
+
+class RuleEngine {
+    /**
+     * @param {Object} rules - Filter rules (missing fields use DEFAULT_FILTER_RULES)
+     */
+    constructor(rules = {}) {
+        this.rules = { ...DEFAULT_FILTER_RULES, ...(rules || {}) };
+    }
+
+    /**
+     * Whether any rule is configured
+     * @returns {Boolean} False if every listing would pass
+     */
+    get isEmpty() {
+        const { minSalary, ...lists } = this.rules;
+        return !minSalary && Object.values(lists).every(list => list.length === 0);
+    }
+
+    /**
+     * Run the rules against a listing
+     * @param {Object} job - Job content (title, company, description, salary)
+     * @param {Object} options - Evaluation options
+     * @param {Boolean} options.cardOnly - Only the card fields are known: skip the description
+     *                                     rules, and the title rules if the title could not be read
+     * @returns {Object|null} The rule that rejected the job (rule, value and reason), or null if it passes
+     */
+    evaluate(job, { cardOnly = false } = {}) {
+        const title = job.title || '';
+        const company = job.company || '';
+        const description = (job.description || '').toLowerCase();
+        const rules = cardOnly
+            ? {
+                ...this.rules,
+                titleInclude: title ? this.rules.titleInclude : [],
+                requiredPhrases: [],
+                forbiddenPhrases: []
+            }
+            : this.rules;
+
+        const blockedCompany = rules.companyBlocklist.find(name => this.containsWord(company, name));
+        if (blockedCompany) {
+            return this.reject('companyBlocklist', blockedCompany, `Company "${company}" is on the blocklist`);
+        }
+
+        const excludedKeyword = rules.titleExclude.find(keyword => this.containsWord(title, keyword));
+        if (excludedKeyword) {
+            return this.reject('titleExclude', excludedKeyword, `Title contains excluded keyword "${excludedKeyword}"`);
+        }
+
+        if (rules.titleInclude.length > 0 && !rules.titleInclude.some(keyword => this.containsWord(title, keyword))) {
+            return this.reject('titleInclude', rules.titleInclude.join(', '), `Title contains none of: ${rules.titleInclude.join(', ')}`);
+        }
+
+        const forbiddenPhrase = rules.forbiddenPhrases.find(phrase => description.includes(phrase.toLowerCase()));
+        if (forbiddenPhrase) {
+            return this.reject('forbiddenPhrases', forbiddenPhrase, `Description contains "${forbiddenPhrase}"`);
+        }
+
+        const missingPhrase = rules.requiredPhrases.find(phrase => !description.includes(phrase.toLowerCase()));
+        if (missingPhrase) {
+            return this.reject('requiredPhrases', missingPhrase, `Description does not mention "${missingPhrase}"`);
+        }
+
+        // Listings without a readable salary are left to the model
+        const salary = parseSalary(job.salary);
+        if (rules.minSalary > 0 && salary !== null && salary < rules.minSalary) {
+            return this.reject('minSalary', rules.minSalary,
+                `Salary (${job.salary}) is below the floor of ${rules.minSalary.toLocaleString()}`);
+        }
+
+        return null;
+    }
+
+    /**
+     * Render a rejection as the analysis HTML shown in badges, overlays and the dashboard
+     * @param {Object} match - Output of evaluate
+     * @returns {String} Analysis HTML
+     */
+    static renderRejectionHtml(match) {
+        return `<h2>Analysis</h2>\n<strong>NO</strong> - skipped by a filter rule, no model call was made\n<ul>\n<li>${escapeHtml(match.reason)}</li>\n</ul>`;
+    }
+
+    /**
+     * Check whether a text contains a keyword as a whole word or phrase, ignoring case
+     * @param {String} text - Text to search
+     * @param {String} keyword - Word or phrase
+     * @returns {Boolean} True if found
+     */
+    containsWord(text, keyword) {
+        const escaped = keyword.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return !!escaped && new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu').test(text);
+    }
+
+    /**
+     * Describe a rejection
+     * @param {String} rule - Rule key
+     * @param {String|Number} value - Keyword, phrase or amount that triggered it
+     * @param {String} reason - Human readable explanation
+     * @returns {Object} Rule match
+     */
+    reject(rule, value, reason) {
+        return { rule, value, reason };
+    }
+}
+
+export default RuleEngine;
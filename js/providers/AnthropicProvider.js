@@ -0,0 +1,128 @@
+/**
+ * AnthropicProvider.js
+ * Anthropic Messages API implementation
+ */
+
+import BaseProvider from './BaseProvider.js';
+import ProviderError, { ERROR_TYPES } from './ProviderError.js';
+
+class AnthropicProvider extends BaseProvider {
+    static id = 'anthropic';
+    static label = 'Anthropic';
+    static defaultModel = 'claude-sonnet-4-5';
+    static defaultBaseUrl = 'https://api.anthropic.com/v1';
+    static requiresApiKey = true;
+    static supportsStreaming = true;
+    static apiVersion = '2023-06-01';
+    static maxTokens = 1024;
+
+    /**
+     * Build the HTTP request for a completion
+     * @param {Object} request - Completion request
+     * @returns {Object} Object with url, headers and body
+     */
+    buildRequest({ systemPrompt, userPrompt, temperature = 0.3, stream = false }) {
+        const request = {
+            url: `${this.baseUrl}/messages`,
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': this.apiKey,
+                'anthropic-version': AnthropicProvider.apiVersion,
+                // Required for requests coming from a browser context such as the service worker
+                'anthropic-dangerous-direct-browser-access': 'true'
+            },
+            body: {
+                model: this.model,
+                max_tokens: AnthropicProvider.maxTokens,
+                system: systemPrompt,
+                messages: [
+                    {
+                        role: 'user',
+                        content: userPrompt
+                    }
+                ],
+                temperature
+            }
+        };
+
+        if (stream) {
+            request.body.stream = true;
+        }
+
+        return request;
+    }
+
+    /**
+     * Extract the completion from the provider's response body
+     * @param {Object} data - Parsed JSON response
+     * @returns {Object} Object with the response text
+     */
+    parseResponse(data) {
+        if (!Array.isArray(data?.content)) {
+            throw new Error(`${this.constructor.label} response did not contain a message`);
+        }
+
+        // The response is a list of content blocks - join all text blocks
+        const text = data.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+
+        return { text };
+    }
+
+    /**
+     * Interpret one server-sent event of a streamed response
+     * @param {Object} event - Event with the event name and data
+     * @returns {Object|null} Object with any of text, usage, done and error, or null to ignore the event
+     */
+    parseStreamEvent(event) {
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch (e) {
+            return null;
+        }
+
+        switch (data.type) {
+            case 'message_start':
+                return { usage: { inputTokens: data.message?.usage?.input_tokens || 0 } };
+            case 'content_block_delta':
+                return data.delta?.type === 'text_delta' ? { text: data.delta.text } : null;
+            case 'message_delta':
+                return { usage: { outputTokens: data.usage?.output_tokens || 0 } };
+            case 'message_stop':
+                return { done: true };
+            case 'error': {
+                // Overload and rate limit errors can arrive after the stream has started
+                const errorType = data.error?.type;
+                const type = errorType === 'rate_limit_error' ? ERROR_TYPES.RATE_LIMIT
+                    : errorType === 'overloaded_error' || errorType === 'api_error' ? ERROR_TYPES.SERVER
+                    : ERROR_TYPES.CLIENT;
+                return {
+                    error: new ProviderError(`${this.constructor.label} stream failed: ${data.error?.message || errorType}`, { type })
+                };
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Extract token usage from the provider's response body
+     * @param {Object} data - Parsed JSON response
+     * @returns {Object|null} Object with inputTokens and outputTokens, or null if not reported
+     */
+    parseUsage(data) {
+        if (!data?.usage) {
+            return null;
+        }
+
+        return {
+            inputTokens: data.usage.input_tokens || 0,
+            outputTokens: data.usage.output_tokens || 0
+        };
+    }
+}
+
+export default AnthropicProvider;
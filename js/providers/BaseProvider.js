@@ -0,0 +1,174 @@
+/**
+ * BaseProvider.js
+ * Base class for all LLM provider adapters
+ */
+
+import ProviderError, { ERROR_TYPES } from './ProviderError.js';
+import { readServerSentEvents } from './sse.js';
+
+class BaseProvider {
+    // Metadata used by the factory and the options page - override in subclasses
+    static id = 'base';
+    static label = 'Base Provider';
+    static defaultModel = '';
+    static defaultBaseUrl = '';
+    static requiresApiKey = true;
+    // Whether requests count against the shared rate limit budget
+    static rateLimited = true;
+    // Whether stream() reads the response as server-sent events (otherwise it falls back to complete())
+    static supportsStreaming = false;
+
+    /**
+     * @param {Object} config - Provider configuration
+     * @param {String} config.apiKey - API key (optional for some providers)
+     * @param {String} config.model - Model name, falls back to the provider default
+     * @param {String} config.baseUrl - Base URL, falls back to the provider default
+     */
+    constructor(config = {}) {
+        this.apiKey = config.apiKey || '';
+        this.model = config.model || this.constructor.defaultModel;
+        // Strip trailing slashes so endpoint paths can be appended safely
+        this.baseUrl = (config.baseUrl || this.constructor.defaultBaseUrl).replace(/\/+$/, '');
+    }
+
+    /**
+     * Run a single chat completion
+     * @param {Object} request - Completion request
+     * @param {String} request.systemPrompt - System prompt
+     * @param {String} request.userPrompt - User prompt
+     * @param {Number} request.temperature - Sampling temperature
+     * @returns {Promise<Object>} Object with the response text, token usage and the raw response data
+     * @throws {ProviderError} Classified error for failed requests
+     */
+    async complete(request) {
+        const response = await this.send(this.buildRequest(request));
+
+        const data = await response.json();
+        return {
+            ...this.parseResponse(data),
+            usage: this.parseUsage(data),
+            raw: data
+        };
+    }
+
+    /**
+     * Run a chat completion, reporting the text as it is generated
+     * @param {Object} request - Completion request (see complete)
+     * @param {Function} onProgress - Called with the text received so far
+     * @returns {Promise<Object>} Object with the full response text and token usage
+     * @throws {ProviderError} Classified error for failed requests, including errors sent mid-stream
+     */
+    async stream(request, onProgress) {
+        if (!this.constructor.supportsStreaming) {
+            const response = await this.complete(request);
+            onProgress?.(response.text);
+            return response;
+        }
+
+        const response = await this.send(this.buildRequest({ ...request, stream: true }));
+
+        let text = '';
+        let usage = null;
+        try {
+            for await (const event of readServerSentEvents(response)) {
+                const chunk = this.parseStreamEvent(event);
+                if (!chunk) continue;
+
+                if (chunk.error) {
+                    throw chunk.error;
+                }
+                if (chunk.text) {
+                    text += chunk.text;
+                    onProgress?.(text);
+                }
+                if (chunk.usage) {
+                    // Some providers report input and output tokens in separate events
+                    usage = { inputTokens: 0, outputTokens: 0, ...usage, ...chunk.usage };
+                }
+                if (chunk.done) break;
+            }
+        } catch (error) {
+            if (error instanceof ProviderError) {
+                throw error;
+            }
+            // The connection dropped part way through the response
+            throw new ProviderError(`${this.constructor.label} stream was interrupted: ${error.message}`, {
+                type: ERROR_TYPES.NETWORK
+            });
+        }
+
+        return { text, usage, raw: null };
+    }
+
+    /**
+     * POST a built request and check the response status
+     * @param {Object} httpRequest - Object with url, headers and body from buildRequest
+     * @returns {Promise<Response>} Successful fetch response
+     * @throws {ProviderError} Classified error for failed requests
+     */
+    async send({ url, headers, body }) {
+        if (this.constructor.requiresApiKey && !this.apiKey) {
+            throw new ProviderError('API key not configured', { type: ERROR_TYPES.AUTH });
+        }
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            // fetch only rejects when the server could not be reached
+            throw new ProviderError(`${this.constructor.label} could not be reached: ${error.message}`, {
+                type: ERROR_TYPES.NETWORK
+            });
+        }
+
+        if (!response.ok) {
+            throw await ProviderError.fromResponse(response, this.constructor.label);
+        }
+
+        return response;
+    }
+
+    /**
+     * Extract token usage from the provider's response body
+     * @param {Object} data - Parsed JSON response
+     * @returns {Object|null} Object with inputTokens and outputTokens, or null if not reported
+     */
+    parseUsage(data) {
+        return null;
+    }
+
+    // Abstract methods that must be implemented by subclasses
+
+    /**
+     * Build the HTTP request for a completion
+     * @param {Object} request - Completion request (see complete)
+     * @returns {Object} Object with url, headers and body
+     */
+    buildRequest(request) {
+        throw new Error('buildRequest must be implemented by subclass');
+    }
+
+    /**
+     * Extract the completion from the provider's response body
+     * @param {Object} data - Parsed JSON response
+     * @returns {Object} Object with the response text
+     */
+    parseResponse(data) {
+        throw new Error('parseResponse must be implemented by subclass');
+    }
+
+    /**
+     * Interpret one server-sent event of a streamed response - required when supportsStreaming is set
+     * @param {Object} event - Event with the event name and data
+     * @returns {Object|null} Object with any of text, usage, done and error, or null to ignore the event
+     */
+    parseStreamEvent(event) {
+        throw new Error('parseStreamEvent must be implemented by subclass');
+    }
+}
+
+export default BaseProvider;
@@ -0,0 +1,83 @@
+/**
+ * MockProvider.js
+ * Offline provider returning scenario-driven verdicts and criteria updates from mockResponses.js
+ */
+
+import BaseProvider from './BaseProvider.js';
+import { getMockCriteriaSuggestion, getMockResponse, loadMockScenarios } from '../../mockResponses.js';
+
+// Number of pieces a streamed mock response is split into
+const STREAM_CHUNKS = 12;
+
+class MockProvider extends BaseProvider {
+    static id = 'mock';
+    static label = 'Mock (offline)';
+    static defaultModel = 'mock';
+    static defaultBaseUrl = '';
+    static requiresApiKey = false;
+    static rateLimited = false;
+
+    /**
+     * Return the scenario verdict for the job instead of calling a model
+     * @param {Object} request - Completion request
+     * @param {Object} request.job - Job content used to pick the scenario
+     * @param {Object} request.criteriaUpdate - Criteria and disagreements, when asked for a criteria update
+     * @returns {Promise<Object>} Object with the response text and the matched scenario
+     */
+    async complete({ job, criteriaUpdate }) {
+        if (criteriaUpdate) {
+            const response = getMockCriteriaSuggestion(criteriaUpdate);
+            return { text: response.text, usage: null, raw: response };
+        }
+        
+        const { response, delayMs } = await this.respond(job);
+
+        // Simulate model latency so the page flow behaves like a real run
+        if (delayMs) {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+
+        return {
+            text: response.text,
+            usage: null,
+            raw: response
+        };
+    }
+
+    /**
+     * Return the scenario verdict in pieces spread over the simulated latency
+     * @param {Object} request - Completion request (see complete)
+     * @param {Function} onProgress - Called with the text received so far
+     * @returns {Promise<Object>} Object with the response text and the matched scenario
+     */
+    async stream({ job }, onProgress) {
+        const { response, delayMs } = await this.respond(job);
+        const chunkSize = Math.ceil(response.text.length / STREAM_CHUNKS);
+
+        for (let end = chunkSize; end < response.text.length + chunkSize; end += chunkSize) {
+            await new Promise(resolve => setTimeout(resolve, (delayMs || 0) / STREAM_CHUNKS));
+            onProgress?.(response.text.slice(0, end));
+        }
+
+        return {
+            text: response.text,
+            usage: null,
+            raw: response
+        };
+    }
+
+    /**
+     * Pick the scenario response for a job
+     * @param {Object} job - Job content
+     * @returns {Promise<Object>} Object with the mock response and the configured delay
+     */
+    async respond(job) {
+        const scenarioSet = await loadMockScenarios();
+        return {
+            response: getMockResponse(job || {}, scenarioSet),
+            delayMs: scenarioSet.delayMs
+        };
+    }
+}
+
+export default MockProvider;
@@ -0,0 +1,20 @@
+/**
+ * OpenAICompatibleProvider.js
+ * Self-hosted servers exposing the OpenAI chat completions API (llama.cpp, Ollama, vLLM...)
+ */
+
+import OpenAIProvider from './OpenAIProvider.js';
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+    static id = 'openai-compatible';
+    static label = 'OpenAI-compatible (local server)';
+    static defaultModel = 'llama3.1';
+    // Ollama's OpenAI-compatible endpoint; llama.cpp's server defaults to http://localhost:8080/v1
+    static defaultBaseUrl = 'http://localhost:11434/v1';
+    // Local servers usually run without authentication
+    static requiresApiKey = false;
+    // Older llama.cpp and Ollama builds reject stream_options
+    static streamUsage = false;
+}
+
+export default OpenAICompatibleProvider;
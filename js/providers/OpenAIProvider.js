@@ -0,0 +1,130 @@
+/**
+ * OpenAIProvider.js
+ * OpenAI chat completions implementation
+ */
+
+import BaseProvider from './BaseProvider.js';
+import ProviderError, { ERROR_TYPES } from './ProviderError.js';
+
+class OpenAIProvider extends BaseProvider {
+    static id = 'openai';
+    static label = 'OpenAI';
+    static defaultModel = 'gpt-4o';
+    static defaultBaseUrl = 'https://api.openai.com/v1';
+    static requiresApiKey = true;
+    static supportsStreaming = true;
+    // Ask for a final usage chunk when streaming - not every compatible server accepts the option
+    static streamUsage = true;
+
+    /**
+     * Build the HTTP request for a completion
+     * @param {Object} request - Completion request
+     * @returns {Object} Object with url, headers and body
+     */
+    buildRequest({ systemPrompt, userPrompt, temperature = 0.3, jsonMode = false, stream = false }) {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const body = {
+            model: this.model,
+            messages: [
+                {
+                    role: 'system',
+                    content: systemPrompt
+                },
+                {
+                    role: 'user',
+                    content: userPrompt
+                }
+            ],
+            temperature
+        };
+
+        // Constrain the output to a JSON object when a structured answer is expected
+        if (jsonMode) {
+            body.response_format = { type: 'json_object' };
+        }
+
+        if (stream) {
+            body.stream = true;
+            if (this.constructor.streamUsage) {
+                body.stream_options = { include_usage: true };
+            }
+        }
+
+        return {
+            url: `${this.baseUrl}/chat/completions`,
+            headers,
+            body
+        };
+    }
+
+    /**
+     * Extract the completion from the provider's response body
+     * @param {Object} data - Parsed JSON response
+     * @returns {Object} Object with the response text
+     */
+    parseResponse(data) {
+        const text = data?.choices?.[0]?.message?.content;
+        if (typeof text !== 'string') {
+            throw new Error(`${this.constructor.label} response did not contain a message`);
+        }
+
+        return { text };
+    }
+
+    /**
+     * Interpret one server-sent event of a streamed response
+     * @param {Object} event - Event with the event name and data
+     * @returns {Object|null} Object with any of text, usage, done and error, or null to ignore the event
+     */
+    parseStreamEvent(event) {
+        if (event.data === '[DONE]') {
+            return { done: true };
+        }
+
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch (e) {
+            return null;
+        }
+
+        if (data.error) {
+            return {
+                error: new ProviderError(`${this.constructor.label} stream failed: ${data.error.message || 'unknown error'}`, {
+                    type: ERROR_TYPES.SERVER
+                })
+            };
+        }
+
+        return {
+            text: data.choices?.[0]?.delta?.content || '',
+            // Only the last chunk carries usage
+            usage: this.parseUsage(data)
+        };
+    }
+
+    /**
+     * Extract token usage from the provider's response body
+     * @param {Object} data - Parsed JSON response
+     * @returns {Object|null} Object with inputTokens and outputTokens, or null if not reported
+     */
+    parseUsage(data) {
+        if (!data?.usage) {
+            return null;
+        }
+
+        return {
+            inputTokens: data.usage.prompt_tokens || 0,
+            outputTokens: data.usage.completion_tokens || 0
+        };
+    }
+}
+
+export default OpenAIProvider;
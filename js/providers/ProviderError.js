@@ -0,0 +1,105 @@
+/**
+ * ProviderError.js
+ * Classified error thrown by providers so callers can decide whether to retry
+ */
+
+// Error categories
+export const ERROR_TYPES = {
+    RATE_LIMIT: 'rate_limit',
+    SERVER: 'server',
+    NETWORK: 'network',
+    AUTH: 'auth',
+    CLIENT: 'client',
+    // Raised before a request when the user's spend cap is reached
+    SPEND_CAP: 'spend_cap'
+};
+
+class ProviderError extends Error {
+    /**
+     * @param {String} message - Error message
+     * @param {Object} details - Error details
+     * @param {String} details.type - One of ERROR_TYPES
+     * @param {Number} details.status - HTTP status, if the request got a response
+     * @param {Number} details.retryAfterMs - Delay requested by the server, if any
+     */
+    constructor(message, { type, status = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.type = type;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    /**
+     * Rate limits, server errors and network failures are worth retrying
+     * @returns {Boolean} True if the request may succeed when repeated
+     */
+    get retryable() {
+        return this.type === ERROR_TYPES.RATE_LIMIT ||
+            this.type === ERROR_TYPES.SERVER ||
+            this.type === ERROR_TYPES.NETWORK;
+    }
+
+    /**
+     * Build an error from a non-OK fetch response
+     * @param {Response} response - Fetch response
+     * @param {String} label - Provider label used in the message
+     * @returns {Promise<ProviderError>} Classified error
+     */
+    static async fromResponse(response, label) {
+        const { status } = response;
+
+        let type = ERROR_TYPES.CLIENT;
+        if (status === 429) {
+            type = ERROR_TYPES.RATE_LIMIT;
+        } else if (status >= 500 || status === 408) {
+            type = ERROR_TYPES.SERVER;
+        } else if (status === 401 || status === 403) {
+            type = ERROR_TYPES.AUTH;
+        }
+
+        // Providers put the useful explanation in the body, statusText is often empty
+        let detail = response.statusText;
+        try {
+            const body = await response.json();
+            detail = body?.error?.message || body?.message || detail;
+        } catch (e) {
+            // Not JSON - keep the status text
+        }
+
+        return new ProviderError(`${label} request failed: ${status} ${detail}`.trim(), {
+            type,
+            status,
+            retryAfterMs: parseRetryAfter(response.headers)
+        });
+    }
+}
+
+/**
+ * Read the delay requested by the server from the response headers
+ * @param {Headers} headers - Response headers
+ * @returns {Number|null} Delay in milliseconds or null if none was given
+ */
+export function parseRetryAfter(headers) {
+    // OpenAI-style millisecond header takes precedence over the standard one
+    const retryAfterMs = parseFloat(headers?.get('retry-after-ms'));
+    if (isFinite(retryAfterMs)) {
+        return Math.max(0, retryAfterMs);
+    }
+
+    const retryAfter = headers?.get('retry-after');
+    if (!retryAfter) {
+        return null;
+    }
+
+    // Either a number of seconds or an HTTP date
+    const seconds = parseFloat(retryAfter);
+    if (isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(retryAfter);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export default ProviderError;
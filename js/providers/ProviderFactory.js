@@ -0,0 +1,101 @@
+/**
+ * ProviderFactory.js
+ * Factory for creating LLM provider adapters from stored settings
+ */
+
+import OpenAIProvider from './OpenAIProvider.js';
+import AnthropicProvider from './AnthropicProvider.js';
+import OpenAICompatibleProvider from './OpenAICompatibleProvider.js';
+import MockProvider from './MockProvider.js';
+
+const PROVIDERS = [
+    OpenAIProvider,
+    AnthropicProvider,
+    OpenAICompatibleProvider,
+    MockProvider
+];
+
+const DEFAULT_PROVIDER_ID = OpenAIProvider.id;
+
+class ProviderFactory {
+    /**
+     * chrome.storage.local keys holding the provider settings
+     */
+    static STORAGE_KEYS = ['llmProvider', 'providerSettings', 'apiKey'];
+
+    /**
+     * List the available providers for selection in the UI
+     * @returns {Array} Provider descriptions
+     */
+    static listProviders() {
+        return PROVIDERS.map(Provider => ({
+            id: Provider.id,
+            label: Provider.label,
+            defaultModel: Provider.defaultModel,
+            defaultBaseUrl: Provider.defaultBaseUrl,
+            requiresApiKey: Provider.requiresApiKey
+        }));
+    }
+
+    /**
+     * Get the provider class for an ID
+     * @param {String} providerId - Provider ID
+     * @returns {Function} Provider class (defaults to OpenAI for unknown IDs)
+     */
+    static getProviderClass(providerId) {
+        return PROVIDERS.find(Provider => Provider.id === providerId) ||
+            PROVIDERS.find(Provider => Provider.id === DEFAULT_PROVIDER_ID);
+    }
+
+    /**
+     * Resolve the active provider configuration from stored settings
+     * @param {Object} stored - Values read for STORAGE_KEYS
+     * @returns {Object} Object with providerId, apiKey, model and baseUrl
+     */
+    static resolveSettings(stored = {}) {
+        const Provider = this.getProviderClass(stored.llmProvider);
+        const providerSettings = stored.providerSettings?.[Provider.id] || {};
+
+        // Older versions stored a single OpenAI key under 'apiKey'
+        const legacyApiKey = Provider.id === OpenAIProvider.id ? stored.apiKey : '';
+        const apiKey = providerSettings.apiKey || legacyApiKey || '';
+
+        // An API key of '0' has always meant "use mock responses"
+        if (apiKey === '0' && Provider.id !== MockProvider.id) {
+            return this.resolveSettings({ ...stored, llmProvider: MockProvider.id });
+        }
+
+        return {
+            providerId: Provider.id,
+            apiKey,
+            model: providerSettings.model || Provider.defaultModel,
+            baseUrl: providerSettings.baseUrl || Provider.defaultBaseUrl
+        };
+    }
+
+    /**
+     * Check whether the resolved settings are usable
+     * @param {Object} settings - Output of resolveSettings
+     * @returns {Boolean} True if the provider can be called
+     */
+    static isConfigured(settings) {
+        const Provider = this.getProviderClass(settings.providerId);
+        return !Provider.requiresApiKey || !!settings.apiKey;
+    }
+
+    /**
+     * Create a provider instance
+     * @param {Object} settings - Output of resolveSettings
+     * @returns {Object} The provider instance
+     */
+    static createProvider(settings) {
+        const Provider = this.getProviderClass(settings.providerId);
+        return new Provider({
+            apiKey: settings.apiKey,
+            model: settings.model,
+            baseUrl: settings.baseUrl
+        });
+    }
+}
+
+export default ProviderFactory;
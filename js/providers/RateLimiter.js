@@ -0,0 +1,134 @@
+/**
+ * RateLimiter.js
+ * Sliding-window requests-per-minute and tokens-per-minute budget shared by all analyses
+ */
+
+const WINDOW_MS = 60000;
+
+// Defaults for the rateLimits setting - conservative enough for entry-level API tiers
+export const DEFAULT_RATE_LIMITS = {
+    requestsPerMinute: 20,
+    tokensPerMinute: 40000,
+    maxRetries: 4,
+    // Analyses allowed to run at the same time
+    concurrency: 2
+};
+
+class RateLimiter {
+    /**
+     * @param {Object} limits - Budget per minute, 0 disables a limit
+     * @param {Number} limits.requestsPerMinute - Maximum requests per minute
+     * @param {Number} limits.tokensPerMinute - Maximum tokens per minute
+     */
+    constructor(limits = {}) {
+        this.entries = [];
+        // Requests waiting for budget are served in order
+        this.queue = Promise.resolve();
+        // Earliest time the next request may start, set when the server asks us to back off
+        this.pausedUntil = 0;
+        this.configure(limits);
+    }
+
+    /**
+     * Update the budget without dropping the requests already counted
+     * @param {Object} limits - See constructor
+     */
+    configure({ requestsPerMinute = 0, tokensPerMinute = 0 } = {}) {
+        this.requestsPerMinute = Math.max(0, Number(requestsPerMinute) || 0);
+        this.tokensPerMinute = Math.max(0, Number(tokensPerMinute) || 0);
+    }
+
+    /**
+     * Wait until a request of the given size fits in the budget, then count it
+     * @param {Number} tokens - Estimated tokens for the request
+     * @returns {Promise<Object>} Entry that can be corrected with record() once the real usage is known
+     */
+    acquire(tokens = 0) {
+        const entry = { time: 0, tokens };
+        const turn = this.queue.then(() => this.waitForBudget(entry));
+        // Keep the chain alive even if a waiter fails
+        this.queue = turn.catch(() => {});
+        return turn;
+    }
+
+    /**
+     * Replace the estimated token count of an entry with the actual usage
+     * @param {Object} entry - Entry returned by acquire()
+     * @param {Number} tokens - Actual tokens used
+     */
+    record(entry, tokens) {
+        if (entry && typeof tokens === 'number' && isFinite(tokens)) {
+            entry.tokens = tokens;
+        }
+    }
+
+    /**
+     * Hold back every request until the given delay has passed
+     * @param {Number} delayMs - Delay in milliseconds
+     */
+    pause(delayMs) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs);
+    }
+
+    /**
+     * Sleep until the entry fits in the window
+     * @param {Object} entry - Entry to add
+     * @returns {Promise<Object>} The entry, once counted
+     */
+    async waitForBudget(entry) {
+        for (;;) {
+            const waitMs = this.getWaitTime(entry.tokens);
+            if (waitMs <= 0) {
+                entry.time = Date.now();
+                this.entries.push(entry);
+                return entry;
+            }
+
+            console.log(`[JobListingAssistant] Rate limit reached, waiting ${Math.ceil(waitMs / 1000)}s`);
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+    }
+
+    /**
+     * Time until a request of the given size fits in the budget
+     * @param {Number} tokens - Estimated tokens for the request
+     * @returns {Number} Milliseconds to wait, 0 if it can start now
+     */
+    getWaitTime(tokens) {
+        const now = Date.now();
+        this.entries = this.entries.filter(entry => now - entry.time < WINDOW_MS);
+
+        let waitMs = Math.max(0, this.pausedUntil - now);
+
+        if (this.requestsPerMinute > 0 && this.entries.length >= this.requestsPerMinute) {
+            // Wait for enough of the oldest requests to leave the window
+            const oldest = this.entries[this.entries.length - this.requestsPerMinute];
+            waitMs = Math.max(waitMs, oldest.time + WINDOW_MS - now);
+        }
+
+        if (this.tokensPerMinute > 0) {
+            // A single request larger than the whole budget only waits for an empty window
+            let excess = this.entries.reduce((sum, entry) => sum + entry.tokens, 0) +
+                Math.min(tokens, this.tokensPerMinute) - this.tokensPerMinute;
+            for (const entry of this.entries) {
+                if (excess <= 0) break;
+                excess -= entry.tokens;
+                waitMs = Math.max(waitMs, entry.time + WINDOW_MS - now);
+            }
+        }
+
+        return waitMs;
+    }
+}
+
+/**
+ * Rough token estimate for budgeting before the provider reports real usage
+ * @param {...String} texts - Prompt texts
+ * @returns {Number} Estimated token count
+ */
+export function estimateTokens(...texts) {
+    // About four characters per token for English text
+    return Math.ceil(texts.reduce((sum, text) => sum + (text ? text.length : 0), 0) / 4);
+}
+
+export default RateLimiter;
@@ -0,0 +1,92 @@
+/**
+ * pricing.js
+ * Per-model token prices used to estimate what each analysis costs
+ */
+
+/**
+ * USD per million tokens. Dated model snapshots (e.g. gpt-4o-2024-08-06) use the price of their base name.
+ * Prices change - they can be overridden per model in the options page.
+ */
+export const MODEL_PRICES = {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'o4-mini': { input: 1.1, output: 4.4 },
+    'claude-opus-4-1': { input: 15, output: 75 },
+    'claude-sonnet-4-5': { input: 3, output: 15 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-haiku-4-5': { input: 1, output: 5 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 }
+};
+
+// Providers that run offline and never cost anything
+const FREE_PROVIDERS = ['mock'];
+
+// Providers that are free on the user's own machine; hosted services speaking the same API are paid
+const LOCAL_PROVIDERS = ['openai-compatible'];
+
+/**
+ * Check whether a base URL points at the user's own machine
+ * @param {String} baseUrl - Base URL of the API
+ * @returns {Boolean} True for localhost and loopback addresses
+ */
+export function isLocalEndpoint(baseUrl) {
+    let hostname;
+    try {
+        hostname = new URL(baseUrl).hostname;
+    } catch (error) {
+        return false;
+    }
+
+    return hostname === 'localhost' || hostname.endsWith('.localhost') ||
+        /^127(\.\d{1,3}){3}$/.test(hostname) || hostname === '[::1]';
+}
+
+/**
+ * Check whether requests to a provider cost nothing
+ * @param {String} providerId - Provider ID
+ * @param {String} baseUrl - Base URL of the API
+ * @returns {Boolean} True for the mock and for local servers
+ */
+export function isFreeEndpoint(providerId, baseUrl) {
+    return FREE_PROVIDERS.includes(providerId) || (LOCAL_PROVIDERS.includes(providerId) && isLocalEndpoint(baseUrl));
+}
+
+/**
+ * Look up the price of a model
+ * @param {String} providerId - Provider ID
+ * @param {String} model - Model name
+ * @param {Object} overrides - User prices keyed by model name
+ * @param {String} baseUrl - Base URL of the API, which tells local servers from hosted ones
+ * @returns {Object|null} Object with input and output USD per million tokens, or null if unknown
+ */
+export function getModelPrice(providerId, model, overrides = {}, baseUrl = '') {
+    if (overrides?.[model]) {
+        return overrides[model];
+    }
+    if (isFreeEndpoint(providerId, baseUrl)) {
+        return { input: 0, output: 0 };
+    }
+
+    // Longest matching prefix, so gpt-4o-mini is not priced as gpt-4o
+    const name = Object.keys(MODEL_PRICES)
+        .filter(key => model === key || model?.startsWith(`${key}-`))
+        .sort((a, b) => b.length - a.length)[0];
+
+    return name ? MODEL_PRICES[name] : null;
+}
+
+/**
+ * Cost of a request
+ * @param {Object} usage - Object with inputTokens and outputTokens
+ * @param {Object|null} price - Output of getModelPrice
+ * @returns {Number|null} Cost in USD, or null if the model has no known price
+ */
+export function calculateCost(usage, price) {
+    if (!price) {
+        return null;
+    }
+    return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1000000;
+}
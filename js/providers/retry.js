@@ -0,0 +1,50 @@
+/**
+ * retry.js
+ * Exponential backoff with jitter for provider requests
+ */
+
+export const DEFAULT_RETRY_OPTIONS = {
+    maxRetries: 4,
+    baseDelayMs: 1000,
+    maxDelayMs: 60000
+};
+
+/**
+ * Delay before a retry: exponential backoff with full jitter, or the server's Retry-After if longer
+ * @param {Number} attempt - Retry number, starting at 1
+ * @param {Object} options - Retry options
+ * @param {Number} retryAfterMs - Delay requested by the server, if any
+ * @returns {Number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempt, options = DEFAULT_RETRY_OPTIONS, retryAfterMs = null) {
+    const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1));
+    // Full jitter spreads out requests that failed together so they don't retry in lockstep
+    const backoff = Math.round(Math.random() * ceiling);
+    return retryAfterMs !== null ? Math.max(retryAfterMs, backoff) : backoff;
+}
+
+/**
+ * Run a request, retrying errors marked as retryable
+ * @param {Function} fn - Async function receiving the attempt number (0 for the first try)
+ * @param {Object} options - Retry options (see DEFAULT_RETRY_OPTIONS)
+ * @param {Function} options.onRetry - Called with (error, attempt, delayMs) before each wait
+ * @returns {Promise<*>} Result of fn
+ * @throws {Error} The last error once retries are exhausted, or the first non-retryable one
+ */
+export async function withRetry(fn, options = {}) {
+    const settings = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (!error.retryable || attempt >= settings.maxRetries) {
+                throw error;
+            }
+
+            const delayMs = getBackoffDelay(attempt + 1, settings, error.retryAfterMs ?? null);
+            settings.onRetry?.(error, attempt + 1, delayMs);
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * sse.js
+ * Server-sent events parsing for streamed completions
+ */
+
+/**
+ * Read the events of a text/event-stream response
+ * @param {Response} response - Fetch response with a streaming body
+ * @yields {Object} Events with the event name and the joined data lines
+ */
+export async function* readServerSentEvents(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let eventName = '';
+    let dataLines = [];
+
+    // An event ends at a blank line
+    const dispatch = () => {
+        const event = dataLines.length > 0 ? { event: eventName || 'message', data: dataLines.join('\n') } : null;
+        eventName = '';
+        dataLines = [];
+        return event;
+    };
+
+    const parseLine = line => {
+        // Lines starting with a colon are comments (often used as keep-alives)
+        if (line.startsWith(':')) {
+            return;
+        }
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) {
+            value = value.slice(1);
+        }
+
+        if (field === 'event') {
+            eventName = value;
+        } else if (field === 'data') {
+            dataLines.push(value);
+        }
+    };
+
+    try {
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) {
+                break;
+            }
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split(/\r\n|\r|\n/);
+            // The last piece may be an incomplete line - keep it for the next chunk
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                if (line === '') {
+                    const event = dispatch();
+                    if (event) {
+                        yield event;
+                    }
+                } else {
+                    parseLine(line);
+                }
+            }
+        }
+
+        // Flush an event the server did not terminate with a blank line
+        buffer += decoder.decode();
+        if (buffer) {
+            parseLine(buffer);
+        }
+        const event = dispatch();
+        if (event) {
+            yield event;
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
@@ -0,0 +1,444 @@
+/**
+ * AtsAdapter.js
+ * Job pages hosted by applicant tracking systems - Greenhouse, Lever and Ashby. Handles both a company's
+ * board, listing its openings, and the page of a single posting
+ */
+
+import BaseJobSiteAdapter from '../core/BaseJobSiteAdapter.js';
+
+/**
+ * Name of a company from the slug of its board URL, e.g. "acme-robotics" -> "Acme Robotics"
+ * @param {URL} url - Board or posting URL
+ * @returns {String} Company name
+ */
+function companyFromSlug(url) {
+    const slug = url.pathname.split('/').filter(Boolean)[0] || '';
+    return slug.split(/[-_]+/).filter(Boolean)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+/**
+ * Text of the first element matching one of the selectors
+ * @param {Document|Element} root - Document or element to search in
+ * @param {Array<String>} selectors - Selectors, most specific first
+ * @returns {String} Trimmed text, empty if nothing matched
+ */
+function readText(root, selectors) {
+    for (const selector of selectors) {
+        const text = root.querySelector(selector)?.textContent.trim();
+        if (text) {
+            return text;
+        }
+    }
+    return '';
+}
+
+/**
+ * ATSs by source ID. For each one: the hosts of its job pages, the posting ID in a posting URL, the rows
+ * of a board, and the selectors of the posting fields on board rows and posting pages
+ */
+const ATS_SITES = {
+    greenhouse: {
+        hosts: ['boards.greenhouse.io', 'job-boards.greenhouse.io'],
+        // e.g. /acme/jobs/4012345
+        postingPath: /^\/[^/]+\/jobs\/(\d+)/,
+        boardRows: ['tr.job-post', 'div.opening'],
+        row: {
+            title: ['a p.body--medium', 'a'],
+            location: ['p.body__secondary', '.location']
+        },
+        posting: {
+            header: ['.job__header', '#header'],
+            title: ['.job__title h1', 'h1.app-title', 'h1'],
+            location: ['.job__location', '#header .location', '.location'],
+            salary: ['.pay-range', '.job__pay-ranges'],
+            description: ['.job__description', '#content']
+        },
+        company: (doc, url) => {
+            // Shown as "at Acme" under the title of older postings; page titles end with "at Acme"
+            const name = readText(doc, ['.company-name']).replace(/^at\s+/i, '');
+            return name || doc.title.match(/\bat\s+(.+)$/)?.[1].trim() || companyFromSlug(url);
+        }
+    },
+    lever: {
+        hosts: ['jobs.lever.co'],
+        // e.g. /acme/6f1c2a9e-6a4b-4a0e-9d5b-3c7f1e2d4b5a - the /apply page of a posting has no description
+        postingPath: /^\/[^/]+\/([0-9a-f-]{36})\/?$/i,
+        boardRows: ['div.posting'],
+        row: {
+            title: ['[data-qa="posting-name"]', 'a.posting-title h5'],
+            location: ['.posting-categories .location', '.sort-by-location']
+        },
+        posting: {
+            header: ['.posting-headline'],
+            title: ['.posting-headline h2'],
+            location: ['.posting-categories .location', '.sort-by-location'],
+            salary: ['[data-qa="salary-range"] > div', '[data-qa="salary-range"]'],
+            description: ['.posting-page .content > .section-wrapper:not(.accent-section)', '[data-qa="job-description"]']
+        },
+        company: (doc, url) => {
+            // The logo is labeled "Acme logo"; posting titles read "Acme - Backend Engineer"
+            const logo = doc.querySelector('.main-header-logo img')?.getAttribute('alt') || '';
+            const name = logo.replace(/\s*logo$/i, '').trim();
+            return name || doc.title.split(' - ')[0].trim() || companyFromSlug(url);
+        }
+    },
+    ashby: {
+        hosts: ['jobs.ashbyhq.com'],
+        // e.g. /acme/2b1d6c7e-0f3a-4c1e-8b2d-9a4e5f6c7d8e
+        postingPath: /^\/[^/]+\/([0-9a-f-]{36})\/?$/i,
+        // Ashby's class names are generated, so rows are found by their links to postings
+        boardRows: ['a[href*="-"][class*="_container"]', 'a[href*="-"]'],
+        row: {
+            title: ['h3'],
+            location: ['[class*="_details"] p', 'p']
+        },
+        posting: {
+            header: ['[class*="_titles"]'],
+            title: ['h1'],
+            location: ['[class*="_location"]'],
+            salary: ['[class*="_compensation"]'],
+            description: ['[class*="_descriptionText"]', '[class*="_description"]']
+        },
+        company: (doc, url) => {
+            const name = doc.querySelector('meta[property="og:site_name"]')?.getAttribute('content') || '';
+            return name.trim() || doc.title.match(/@\s*(.+)$/)?.[1].trim() || companyFromSlug(url);
+        }
+    }
+};
+
+class AtsAdapter extends BaseJobSiteAdapter {
+    constructor() {
+        super();
+        this.source = Object.keys(ATS_SITES)
+            .find(id => ATS_SITES[id].hosts.includes(window.location.hostname)) || null;
+        this.site = ATS_SITES[this.source] || null;
+    }
+    
+    /**
+     * ID of the posting a URL points to
+     * @param {URL} url - URL
+     * @returns {String|null} Posting ID, or null if the URL is not a posting of this ATS
+     */
+    getPostingId(url) {
+        if (!this.site || !this.site.hosts.includes(url.hostname)) {
+            return null;
+        }
+        return url.pathname.match(this.site.postingPath)?.[1] || null;
+    }
+    
+    /**
+     * Check whether the page shows a single posting rather than a board
+     * @returns {Boolean} True on posting pages
+     */
+    isPostingPage() {
+        return !!this.getPostingId(new URL(window.location.href));
+    }
+    
+    /**
+     * Link of a board row to its posting
+     * @param {Element} listing - Board row
+     * @returns {URL|null} Absolute posting URL, or null if the row links to no posting
+     */
+    getRowUrl(listing) {
+        // Lever rows link to the application form before the posting
+        const links = listing.matches('a[href]') ? [listing] : Array.from(listing.querySelectorAll('a[href]'));
+        for (const link of links) {
+            const url = new URL(link.getAttribute('href'), window.location.href);
+            if (this.getPostingId(url)) {
+                return url;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Set up mutation observer to detect DOM changes
+     */
+    setupMutationObserver() {
+        // Ashby renders its boards in the browser, so rows appear after the page loaded
+        const rowSelector = (this.site?.boardRows || []).join(', ');
+        const refresh = this.debounce(() => {
+            this.displayCachedResultsForVisibleListings();
+        }, 1000);
+        
+        this.observer = new MutationObserver((mutations) => {
+            const hasNewListings = rowSelector && mutations.some(mutation => Array.from(mutation.addedNodes).some(node =>
+                node.nodeType === Node.ELEMENT_NODE && (node.matches(rowSelector) || !!node.querySelector(rowSelector))
+            ));
+            
+            if (hasNewListings) {
+                this.logger?.info('AtsAdapter: New job listings detected, updating UI');
+                refresh();
+            }
+        });
+        
+        this.observer.observe(document.body, {
+            childList: true,
+            subtree: true
+        });
+        
+        // Ashby moves between the board and its postings without loading a new page
+        let lastUrl = location.href;
+        
+        this.urlObserver = new MutationObserver(() => {
+            if (location.href !== lastUrl) {
+                this.logger?.info('AtsAdapter: URL changed, refreshing listings');
+                lastUrl = location.href;
+                setTimeout(() => {
+                    this.displayCachedResultsForVisibleListings();
+                }, 1500);
+            }
+        });
+        
+        this.urlObserver.observe(document.body, {
+            childList: true,
+            subtree: true
+        });
+    }
+    
+    /**
+     * Find job listings in the DOM: the rows of a board, or the header of a posting
+     * @returns {Array} Array of job listing elements
+     */
+    findJobListings() {
+        try {
+            if (!this.site) {
+                return [];
+            }
+            
+            if (this.isPostingPage()) {
+                const title = this.findPostingElement(document, this.site.posting.title);
+                const header = this.findPostingElement(document, this.site.posting.header) || title?.parentElement;
+                return header ? [header] : [];
+            }
+            
+            for (const selector of this.site.boardRows) {
+                const listings = Array.from(document.querySelectorAll(selector))
+                    .filter(listing => this.getRowUrl(listing));
+                if (listings.length > 0) {
+                    this.logger?.debug(`Found ${listings.length} listings using selector: ${selector}`);
+                    return listings;
+                }
+            }
+            
+            this.logger?.debug('No job listings found with any selector');
+            return [];
+        } catch (error) {
+            this.logger?.error('Error finding job listings:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Find the first element matching one of the selectors
+     * @param {Document} doc - Document to search in
+     * @param {Array<String>} selectors - Selectors, most specific first
+     * @returns {Element|null} Element
+     */
+    findPostingElement(doc, selectors) {
+        for (const selector of selectors) {
+            const element = doc.querySelector(selector);
+            if (element) {
+                return element;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Boards list every opening on one page
+     * @returns {null} Always null
+     */
+    findNextPageButton() {
+        return null;
+    }
+    
+    /**
+     * Get the ID of a job listing, prefixed with the ATS so it cannot collide with other sites' IDs
+     * @param {Element} listing - Job listing element
+     * @returns {String} Listing ID
+     */
+    getListingId(listing) {
+        if (!listing) {
+            this.logger?.warn('getListingId called with null/undefined listing');
+            return `unknown_${Date.now()}`;
+        }
+        
+        try {
+            const url = this.isPostingPage() ? new URL(window.location.href) : this.getRowUrl(listing);
+            const postingId = url && this.getPostingId(url);
+            if (postingId) {
+                return `${this.source}_${postingId}`;
+            }
+            
+            const fallbackId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+            this.logger?.warn('Could not find a posting ID, using generated ID:', fallbackId);
+            return fallbackId;
+        } catch (error) {
+            this.logger?.error('Error extracting job ID:', error);
+            return `error_${Date.now()}`;
+        }
+    }
+    
+    /**
+     * Read a posting page
+     * @param {Document} doc - Posting page, the current one or a fetched one
+     * @param {URL} url - URL of the posting
+     * @returns {Object} Title, company, location, salary, description and descriptionHtml
+     */
+    readPosting(doc, url) {
+        const { posting } = this.site;
+        const descriptionElement = this.findPostingElement(doc, posting.description);
+        
+        return {
+            title: readText(doc, posting.title),
+            company: this.site.company(doc, url),
+            location: readText(doc, posting.location),
+            salary: readText(doc, posting.salary),
+            description: descriptionElement?.textContent.trim() || '',
+            descriptionHtml: descriptionElement?.innerHTML || ''
+        };
+    }
+    
+    /**
+     * Read the fields shown on a board row, or the header of a posting page, without opening anything
+     * @param {Element} listingElement - Job listing element
+     * @returns {Object|null} Card content (jobId, title, company, location, salary, url) or null
+     */
+    extractCardContent(listingElement) {
+        try {
+            if (!listingElement || !this.site) {
+                this.logger?.warn('extractCardContent called with null/undefined element');
+                return null;
+            }
+            
+            const jobId = this.getListingId(listingElement);
+            this.logger?.info(`Extracting content for job ID: ${jobId}`);
+            
+            if (this.isPostingPage()) {
+                const url = new URL(window.location.href);
+                const { title, company, location, salary } = this.readPosting(document, url);
+                return { jobId, title, company, location, salary, url: url.origin + url.pathname };
+            }
+            
+            const url = this.getRowUrl(listingElement);
+            return {
+                jobId,
+                title: readText(listingElement, this.site.row.title),
+                // Boards belong to one company
+                company: this.site.company(document, new URL(window.location.href)),
+                location: readText(listingElement, this.site.row.location),
+                salary: '',
+                url: url.origin + url.pathname
+            };
+        } catch (error) {
+            this.logger?.error('Error extracting card content:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Fetch the posting page of a board row - same-origin pages, so the content script can read them
+     * @param {String} url - Posting URL
+     * @returns {Promise<Object>} Posting fields, from readPosting
+     */
+    async fetchPosting(url) {
+        const response = await fetch(url, { credentials: 'same-origin' });
+        if (!response.ok) {
+            throw new Error(`Could not load the posting (HTTP ${response.status})`);
+        }
+        const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+        return this.readPosting(doc, new URL(url));
+    }
+    
+    /**
+     * Extract content from a job listing element
+     * @param {Element} listingElement - Job listing element
+     * @returns {Object|null} Extracted content or null
+     */
+    async extractListingContent(listingElement) {
+        try {
+            const card = this.extractCardContent(listingElement);
+            if (!card) {
+                return null;
+            }
+            
+            if (this.isPostingPage()) {
+                const { description, descriptionHtml } = this.readPosting(document, new URL(window.location.href));
+                return { ...card, description, descriptionHtml };
+            }
+            
+            let posting = {};
+            try {
+                posting = await this.fetchPosting(card.url);
+                if (!posting.description) {
+                    // Pages rendered in the browser arrive without their description
+                    this.logger?.warn(`No description found in the posting page of job ${card.jobId}`);
+                }
+            } catch (error) {
+                this.logger?.error(`Error getting full description for job ${card.jobId}:`, error);
+            }
+            
+            // The posting page has the fields the row leaves out, like the salary
+            return {
+                ...card,
+                title: posting.title || card.title,
+                location: posting.location || card.location,
+                salary: posting.salary || card.salary,
+                description: posting.description || '',
+                descriptionHtml: posting.descriptionHtml || ''
+            };
+        } catch (error) {
+            this.logger?.error('Error extracting listing content:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Board rows link to their posting, and the posting page already shows its description, so there
+     * is nothing to click - the description of a row is fetched instead
+     * @param {Element} listing - Job listing element
+     * @param {String} listingId - Listing ID, for logging
+     */
+    openListing(listing, listingId) {
+        this.logger?.debug(`AtsAdapter: Reading job ${listingId} without clicking it`);
+    }
+    
+    /**
+     * Update the UI of a job listing with analysis results
+     * @param {Element} listing - Job listing element
+     * @param {Object} result - Analysis result
+     */
+    updateListingUI(listing, result) {
+        try {
+            if (!listing || !document.body.contains(listing)) {
+                this.logger?.warn('updateListingUI called with invalid listing element');
+                return;
+            }
+            
+            const listingId = this.getListingId(listing);
+            this.logger?.debug(`Updating UI for listing ${listingId}`);
+            
+            // Keep an open overlay in step with the analysis as it streams in
+            this.updateAnalysisOverlay(listingId, result);
+            
+            if (listing.querySelector('.search-assist-badge')) {
+                this.updateBadgeAppearance(listing, result);
+                return;
+            }
+            
+            // Ensure the listing has position relative to anchor the badge properly
+            listing.style.position = 'relative';
+            const badge = this.createResultBadge(listingId, result);
+            // Board rows are short; center the badge on them
+            badge.style.top = 'calc(50% - 14px)';
+            listing.appendChild(badge);
+        } catch (error) {
+            this.logger?.error('Error updating listing UI:', error);
+        }
+    }
+}
+
+export default AtsAdapter;
@@ -0,0 +1,404 @@
+/**
+ * IndeedAdapter.js
+ * Indeed-specific implementation for job listing processing on search result pages
+ */
+
+import BaseJobSiteAdapter from '../core/BaseJobSiteAdapter.js';
+
+// Job cards of the result list, most specific first
+const LISTING_SELECTORS = [
+    '#mosaic-provider-jobcards .cardOutline',
+    '#mosaic-jobResults .cardOutline',
+    '.job_seen_beacon',
+    '.tapItem'
+];
+
+// Full job descriptions, in the view pane next to the results or on a job page
+const DESCRIPTION_SELECTORS = [
+    '#jobsearch-ViewjobPaneWrapper #jobDescriptionText',
+    '.jobsearch-RightPane #jobDescriptionText',
+    '#jobDescriptionText'
+];
+
+class IndeedAdapter extends BaseJobSiteAdapter {
+    constructor() {
+        super();
+        this.source = 'indeed';
+    }
+    
+    /**
+     * Set up mutation observer to detect DOM changes
+     */
+    setupMutationObserver() {
+        // Indeed renders the results with the page, but filters and "more jobs" reload the list in place
+        this.observer = new MutationObserver((mutations) => {
+            const hasNewListings = mutations.some(mutation => Array.from(mutation.addedNodes).some(node =>
+                node.nodeType === Node.ELEMENT_NODE && (
+                    node.matches(LISTING_SELECTORS.join(', ')) ||
+                    !!node.querySelector(LISTING_SELECTORS.join(', '))
+                )
+            ));
+            
+            if (hasNewListings) {
+                this.logger?.info('IndeedAdapter: New job listings detected, updating UI');
+                this.refreshBadges();
+            }
+        });
+        
+        this.observer.observe(document.body, {
+            childList: true,
+            subtree: true
+        });
+        
+        // Selecting a job only changes the vjk parameter; a new search changes the rest of the URL
+        let lastSearch = this.getSearchKey();
+        
+        this.urlObserver = new MutationObserver(() => {
+            const search = this.getSearchKey();
+            if (search !== lastSearch) {
+                this.logger?.info('IndeedAdapter: Search changed, refreshing listings');
+                lastSearch = search;
+                this.refreshBadges();
+            }
+        });
+        
+        this.urlObserver.observe(document.body, {
+            childList: true,
+            subtree: true
+        });
+        
+        // Add scroll listener to handle lazy loading
+        window.addEventListener('scroll', this.debounce(() => {
+            this.displayCachedResultsForVisibleListings();
+        }, 300));
+    }
+    
+    /**
+     * Show cached results on listings once the result list settled
+     */
+    refreshBadges() {
+        clearTimeout(this.refreshTimeout);
+        this.refreshTimeout = setTimeout(() => {
+            this.displayCachedResultsForVisibleListings();
+        }, 1000);
+    }
+    
+    /**
+     * Current URL without the selected job, so selecting a job does not count as a new search
+     * @returns {String} URL identifying the search
+     */
+    getSearchKey() {
+        const url = new URL(location.href);
+        url.searchParams.delete('vjk');
+        return url.toString();
+    }
+    
+    /**
+     * Find job listings in the DOM
+     * @returns {Array} Array of job listing elements
+     */
+    findJobListings() {
+        try {
+            for (const selector of LISTING_SELECTORS) {
+                // Cards without a job key are ads and promotions
+                const listings = Array.from(document.querySelectorAll(selector))
+                    .filter(listing => this.findJobKey(listing));
+                if (listings.length > 0) {
+                    this.logger?.debug(`Found ${listings.length} listings using selector: ${selector}`);
+                    return listings;
+                }
+            }
+            
+            this.logger?.debug('No job listings found with any selector');
+            return [];
+        } catch (error) {
+            this.logger?.error('Error finding job listings:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Find the "Next" link for pagination. Indeed loads the next page as a new document, which
+     * ends the run - the results analyzed so far are stored and show when the page loads
+     * @returns {Element|null} The next page link or null if not found
+     */
+    findNextPageButton() {
+        try {
+            const selectors = [
+                'a[data-testid="pagination-page-next"]',
+                'nav[aria-label="pagination"] a[aria-label="Next Page"]',
+                'a[aria-label="Next"]'
+            ];
+            
+            for (const selector of selectors) {
+                const link = document.querySelector(selector);
+                if (link && link.getAttribute('aria-disabled') !== 'true') {
+                    this.logger?.debug(`IndeedAdapter: Found next page link using selector: ${selector}`);
+                    return link;
+                }
+            }
+            
+            this.logger?.debug('IndeedAdapter: No next page link found');
+            return null;
+        } catch (error) {
+            this.logger?.error('Error finding next page link:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Find the job key Indeed identifies a job with
+     * @param {Element} listing - Job listing element
+     * @returns {String|null} Job key, or null if the card has none
+     */
+    findJobKey(listing) {
+        const keyed = listing.hasAttribute('data-jk') ? listing : listing.querySelector('[data-jk]');
+        if (keyed) {
+            return keyed.getAttribute('data-jk');
+        }
+        
+        // Older cards only carry the key in their link, e.g. "/rc/clk?jk=1a2b3c4d5e6f7a8b&..."
+        const link = listing.querySelector('a[href*="jk="]');
+        const matches = (link?.getAttribute('href') || '').match(/[?&]jk=([0-9a-f]+)/i);
+        return matches ? matches[1] : null;
+    }
+    
+    /**
+     * Get the ID of a job listing
+     * @param {Element} listing - Job listing element
+     * @returns {String} Listing ID
+     */
+    getListingId(listing) {
+        if (!listing) {
+            this.logger?.warn('getListingId called with null/undefined listing');
+            return `unknown_${Date.now()}`;
+        }
+        
+        try {
+            const jobKey = this.findJobKey(listing);
+            if (jobKey) {
+                return jobKey;
+            }
+            
+            const fallbackId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+            this.logger?.warn('Could not find a job key, using generated ID:', fallbackId);
+            return fallbackId;
+        } catch (error) {
+            this.logger?.error('Error extracting job ID:', error);
+            return `error_${Date.now()}`;
+        }
+    }
+    
+    /**
+     * Text of the first element matching one of the selectors
+     * @param {Element} root - Element to search in
+     * @param {Array<String>} selectors - Selectors, most specific first
+     * @returns {String} Trimmed text, empty if nothing matched
+     */
+    readText(root, selectors) {
+        for (const selector of selectors) {
+            const element = root.querySelector(selector);
+            const text = element?.textContent.trim();
+            if (text) {
+                return text;
+            }
+        }
+        return '';
+    }
+    
+    /**
+     * Read the fields shown on a job card, without clicking it
+     * @param {Element} listingElement - Job listing element
+     * @returns {Object|null} Card content (jobId, title, company, location, salary, url) or null
+     */
+    extractCardContent(listingElement) {
+        try {
+            if (!listingElement) {
+                this.logger?.warn('extractCardContent called with null/undefined element');
+                return null;
+            }
+            
+            const jobId = this.getListingId(listingElement);
+            this.logger?.debug(`Extracting content for job ID: ${jobId}`);
+            
+            // The title attribute holds the full title; the text may be cut short with "new" labels around it
+            const titleElement = listingElement.querySelector('h2.jobTitle span[title], .jcs-JobTitle span[title]');
+            const title = titleElement?.getAttribute('title')?.trim() ||
+                this.readText(listingElement, ['h2.jobTitle a', 'h2.jobTitle', '.jcs-JobTitle']);
+            
+            const company = this.readText(listingElement, [
+                '[data-testid="company-name"]',
+                '.companyName',
+                '.company_location [class*="companyName"]'
+            ]);
+            
+            const location = this.readText(listingElement, [
+                '[data-testid="text-location"]',
+                '.companyLocation',
+                '.company_location [class*="companyLocation"]'
+            ]);
+            
+            // Salary sits among the attribute snippets (pay, job type, shift), when the employer gives one
+            let salary = this.readText(listingElement, [
+                '.salary-snippet-container',
+                '[data-testid="salary-snippet-container"]',
+                '.estimated-salary'
+            ]);
+            if (!salary) {
+                const snippets = listingElement.querySelectorAll('[data-testid="attribute_snippet_testid"], .metadata');
+                for (const snippet of snippets) {
+                    const text = snippet.textContent.trim();
+                    if (/[$£€]|\b(a|an|per) (year|hour|month|week|day)\b/i.test(text)) {
+                        salary = text;
+                        break;
+                    }
+                }
+            }
+            
+            return {
+                jobId,
+                title,
+                company,
+                location,
+                salary,
+                url: `${window.location.origin}/viewjob?jk=${jobId}`
+            };
+        } catch (error) {
+            this.logger?.error('Error extracting card content:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Find the description shown in the view pane, which on some layouts is a same-origin iframe
+     * @returns {Element|null} Description element
+     */
+    findDescriptionElement() {
+        const documents = [document];
+        const frame = document.querySelector('#vjs-container-iframe');
+        try {
+            if (frame?.contentDocument) {
+                documents.push(frame.contentDocument);
+            }
+        } catch (error) {
+            this.logger?.debug('IndeedAdapter: Cannot read the view pane frame:', error);
+        }
+        
+        for (const doc of documents) {
+            for (const selector of DESCRIPTION_SELECTORS) {
+                const element = doc.querySelector(selector);
+                if (element) {
+                    return element;
+                }
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Find which job the view pane shows: the job key on the pane, if Indeed put one there, or else
+     * the vjk parameter Indeed sets when a job is selected
+     * @param {Element} descriptionElement - Description in the view pane
+     * @returns {String|null} Job key, or null if the pane does not say
+     */
+    findPaneJobKey(descriptionElement) {
+        const keyed = descriptionElement.closest('[data-jk]');
+        if (keyed) {
+            return keyed.getAttribute('data-jk');
+        }
+        return new URLSearchParams(window.location.search).get('vjk');
+    }
+    
+    /**
+     * Extract content from a job listing element
+     * @param {Element} listingElement - Job listing element
+     * @returns {Object|null} Extracted content or null
+     */
+    async extractListingContent(listingElement) {
+        try {
+            const card = this.extractCardContent(listingElement);
+            if (!card) {
+                return null;
+            }
+            const { jobId } = card;
+            
+            let description = '';
+            let descriptionHtml = '';
+            
+            try {
+                const clickableElement = listingElement.querySelector('h2.jobTitle a, a.jcs-JobTitle') || listingElement;
+                clickableElement.click();
+                
+                await new Promise(resolve => {
+                    const startedAt = Date.now();
+                    const checkDescription = () => {
+                        const element = this.findDescriptionElement();
+                        const text = element?.textContent.trim() || '';
+                        // The pane keeps showing the previous job until the clicked one loaded - and on a new
+                        // search, the job Indeed highlighted, which need not be the one clicked
+                        const loaded = text && this.findPaneJobKey(element) === jobId;
+                        
+                        if (loaded) {
+                            description = text;
+                            descriptionHtml = element.innerHTML;
+                            this.logger?.debug(`Found job description with ${description.length} characters`);
+                            resolve();
+                        } else if (Date.now() - startedAt >= 5000) {
+                            // A description that may belong to another job is worse than none
+                            this.logger?.warn(`Timed out waiting for description for job ${jobId}`);
+                            resolve();
+                        } else {
+                            setTimeout(checkDescription, 500);
+                        }
+                    };
+                    
+                    setTimeout(checkDescription, 500);
+                });
+            } catch (error) {
+                this.logger?.error(`Error getting full description for job ${jobId}:`, error);
+            }
+            
+            return {
+                ...card,
+                description,
+                descriptionHtml
+            };
+        } catch (error) {
+            this.logger?.error('Error extracting listing content:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Update the UI of a job listing with analysis results
+     * @param {Element} listing - Job listing element
+     * @param {Object} result - Analysis result
+     */
+    updateListingUI(listing, result) {
+        try {
+            if (!listing || !document.body.contains(listing)) {
+                this.logger?.warn('updateListingUI called with invalid listing element');
+                return;
+            }
+            
+            const listingId = this.getListingId(listing);
+            this.logger?.debug(`Updating UI for listing ${listingId}`);
+            
+            // Keep an open overlay in step with the analysis as it streams in
+            this.updateAnalysisOverlay(listingId, result);
+            
+            if (listing.querySelector('.search-assist-badge')) {
+                this.updateBadgeAppearance(listing, result);
+                return;
+            }
+            
+            // Ensure the listing has position relative to anchor the badge properly
+            listing.style.position = 'relative';
+            listing.appendChild(this.createResultBadge(listingId, result));
+        } catch (error) {
+            this.logger?.error('Error updating listing UI:', error);
+        }
+    }
+}
+
+export default IndeedAdapter;
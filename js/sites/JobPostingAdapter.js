@@ -0,0 +1,291 @@
+/**
+ * JobPostingAdapter.js
+ * Fallback for career sites without an adapter of their own: reads the schema.org JobPosting data
+ * the page embeds as JSON-LD, and shows the verdict in a panel on the page
+ */
+
+import BaseJobSiteAdapter from '../core/BaseJobSiteAdapter.js';
+import { findJobPostings, readJobPosting } from '../utils/jobPosting.js';
+import { hashString } from '../utils/fingerprint.js';
+
+// Panel holding one card per posting; the page's own markup is unknown, so nothing is placed inside it
+const PANEL_ID = 'search-assist-postings';
+
+class JobPostingAdapter extends BaseJobSiteAdapter {
+    constructor() {
+        super();
+        this.source = 'careersite';
+    }
+    
+    /**
+     * Set up mutation observer to detect DOM changes
+     */
+    setupMutationObserver() {
+        // Single-page career sites add the JSON-LD of a posting when they show it
+        const refresh = this.debounce(() => {
+            this.displayCachedResultsForVisibleListings();
+        }, 1000);
+        
+        this.observer = new MutationObserver((mutations) => {
+            const hasNewPosting = mutations.some(mutation => Array.from(mutation.addedNodes).some(node =>
+                node.nodeType === Node.ELEMENT_NODE && (
+                    node.matches('script[type="application/ld+json"]') ||
+                    !!node.querySelector('script[type="application/ld+json"]')
+                )
+            ));
+            
+            if (hasNewPosting) {
+                this.logger?.info('JobPostingAdapter: New job posting data detected, updating UI');
+                refresh();
+            }
+        });
+        
+        this.observer.observe(document.documentElement, {
+            childList: true,
+            subtree: true
+        });
+        
+        let lastUrl = location.href;
+        
+        this.urlObserver = new MutationObserver(() => {
+            if (location.href !== lastUrl) {
+                this.logger?.info('JobPostingAdapter: URL changed, refreshing postings');
+                lastUrl = location.href;
+                refresh();
+            }
+        });
+        
+        this.urlObserver.observe(document.body, {
+            childList: true,
+            subtree: true
+        });
+    }
+    
+    /**
+     * Build a job ID from the posting's own identifier, or from the page and title if it has none
+     * @param {Object} posting - Posting read by readJobPosting
+     * @returns {String} Job ID
+     */
+    buildJobId(posting) {
+        const key = posting.identifier
+            ? `${window.location.hostname}:${posting.identifier}`
+            : `${window.location.origin}${window.location.pathname}#${posting.title}`;
+        return `${this.source}_${hashString(key)}`;
+    }
+    
+    /**
+     * Find job listings: one card per JobPosting of the page, kept in step with the page's JSON-LD
+     * @returns {Array} Array of job listing elements
+     */
+    findJobListings() {
+        try {
+            const postings = findJobPostings(document)
+                .map(readJobPosting)
+                .filter(posting => posting.title);
+            
+            let panel = document.getElementById(PANEL_ID);
+            if (postings.length === 0) {
+                panel?.remove();
+                return [];
+            }
+            
+            if (!panel) {
+                panel = document.createElement('div');
+                panel.id = PANEL_ID;
+                panel.style.position = 'fixed';
+                panel.style.top = '80px';
+                panel.style.right = '20px';
+                panel.style.zIndex = '9999';
+                panel.style.maxWidth = '300px';
+                document.body.appendChild(panel);
+            }
+            
+            const listings = postings.map(posting => {
+                const jobId = this.buildJobId(posting);
+                let card = Array.from(panel.children).find(element => element.dataset.jobId === jobId);
+                if (!card) {
+                    card = this.createPostingCard(jobId, posting);
+                }
+                card.searchAssistPosting = posting;
+                return card;
+            });
+            
+            // Keeps page order, and drops the cards of postings the page no longer has
+            panel.replaceChildren(...listings);
+            this.logger?.debug(`Found ${listings.length} job postings in the page's JSON-LD`);
+            return listings;
+        } catch (error) {
+            this.logger?.error('Error finding job postings:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Create the card of a posting in the panel
+     * @param {String} jobId - Job ID
+     * @param {Object} posting - Posting read by readJobPosting
+     * @returns {Element} Card, the listing element of the posting
+     */
+    createPostingCard(jobId, posting) {
+        const card = document.createElement('div');
+        card.className = 'search-assist-posting';
+        card.dataset.jobId = jobId;
+        card.style.position = 'relative';
+        card.style.marginBottom = '8px';
+        card.style.padding = '10px 48px 10px 12px';
+        card.style.backgroundColor = 'white';
+        card.style.border = '1px solid #ddd';
+        card.style.borderRadius = '6px';
+        card.style.boxShadow = '0 2px 6px rgba(0,0,0,0.15)';
+        card.style.fontFamily = 'Arial, sans-serif';
+        card.style.fontSize = '13px';
+        card.style.color = '#333';
+        
+        const title = document.createElement('div');
+        title.style.fontWeight = 'bold';
+        title.textContent = posting.title;
+        
+        const company = document.createElement('div');
+        company.style.color = '#666';
+        company.textContent = posting.company || window.location.hostname;
+        
+        card.appendChild(title);
+        card.appendChild(company);
+        return card;
+    }
+    
+    /**
+     * Career pages have no pagination to follow
+     * @returns {null} Always null
+     */
+    findNextPageButton() {
+        return null;
+    }
+    
+    /**
+     * Get the ID of a job listing
+     * @param {Element} listing - Posting card
+     * @returns {String} Listing ID
+     */
+    getListingId(listing) {
+        if (!listing) {
+            this.logger?.warn('getListingId called with null/undefined listing');
+            return `unknown_${Date.now()}`;
+        }
+        return listing.dataset.jobId;
+    }
+    
+    /**
+     * Read the fields of a posting without its description
+     * @param {Element} listingElement - Posting card
+     * @returns {Object|null} Card content (jobId, title, company, location, salary, url) or null
+     */
+    extractCardContent(listingElement) {
+        const posting = listingElement?.searchAssistPosting;
+        if (!posting) {
+            this.logger?.warn('extractCardContent called without a posting');
+            return null;
+        }
+        
+        return {
+            jobId: this.getListingId(listingElement),
+            title: posting.title,
+            // Some sites leave out the organization; the page's host is the best guess then
+            company: posting.company || window.location.hostname,
+            location: posting.location,
+            salary: posting.salary,
+            url: window.location.origin + window.location.pathname
+        };
+    }
+    
+    /**
+     * Turn the HTML description of a posting into markup and text. Some sites escape the HTML once more
+     * @param {String} html - Description from the JSON-LD
+     * @returns {Object} Object with the description text and HTML
+     */
+    parseDescription(html) {
+        const parser = new DOMParser();
+        let body = parser.parseFromString(html, 'text/html').body;
+        if (/<\/?[a-z][^>]*>/i.test(body.textContent) && body.children.length === 0) {
+            body = parser.parseFromString(body.textContent, 'text/html').body;
+        }
+        // The page's markup is shown in the dashboard; scripts and styles have no place there
+        body.querySelectorAll('script, style, iframe').forEach(element => element.remove());
+        return { description: body.textContent.trim(), descriptionHtml: body.innerHTML };
+    }
+    
+    /**
+     * Extract content from a job listing element
+     * @param {Element} listingElement - Posting card
+     * @returns {Object|null} Extracted content or null
+     */
+    async extractListingContent(listingElement) {
+        try {
+            const card = this.extractCardContent(listingElement);
+            if (!card) {
+                return null;
+            }
+            
+            const posting = listingElement.searchAssistPosting;
+            const { description, descriptionHtml } = this.parseDescription(posting.descriptionHtml);
+            
+            // The prompt has no variables for these, so the model reads them with the description
+            const details = [
+                posting.employmentType ? `Employment type: ${posting.employmentType}` : '',
+                posting.datePosted ? `Posted: ${posting.datePosted}` : ''
+            ].filter(Boolean).join('\n');
+            
+            return {
+                ...card,
+                description: details ? `${details}\n\n${description}` : description,
+                descriptionHtml
+            };
+        } catch (error) {
+            this.logger?.error('Error extracting listing content:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Postings come with their description, so there is nothing to click
+     * @param {Element} listing - Job listing element
+     * @param {String} listingId - Listing ID, for logging
+     */
+    openListing(listing, listingId) {
+        this.logger?.debug(`JobPostingAdapter: Reading job ${listingId} from the page's JSON-LD`);
+    }
+    
+    /**
+     * Update the UI of a job listing with analysis results
+     * @param {Element} listing - Posting card
+     * @param {Object} result - Analysis result
+     */
+    updateListingUI(listing, result) {
+        try {
+            if (!listing || !document.body.contains(listing)) {
+                this.logger?.warn('updateListingUI called with invalid listing element');
+                return;
+            }
+            
+            const listingId = this.getListingId(listing);
+            this.logger?.debug(`Updating UI for listing ${listingId}`);
+            
+            // Keep an open overlay in step with the analysis as it streams in
+            this.updateAnalysisOverlay(listingId, result);
+            
+            if (listing.querySelector('.search-assist-badge')) {
+                this.updateBadgeAppearance(listing, result);
+                return;
+            }
+            
+            const badge = this.createResultBadge(listingId, result);
+            // Cards are short; center the badge on them
+            badge.style.top = 'calc(50% - 14px)';
+            listing.appendChild(badge);
+        } catch (error) {
+            this.logger?.error('Error updating listing UI:', error);
+        }
+    }
+}
+
+export default JobPostingAdapter;
@@ -9,6 +9,7 @@ import BaseJobSiteAdapter from '../core/BaseJobSiteAdapter.js';
 class LinkedInAdapter extends BaseJobSiteAdapter {
     constructor() {
         super(); // Call the parent constructor
+        this.source = 'linkedin';
     }
 
     /**
@@ -348,14 +349,14 @@ class LinkedInAdapter extends BaseJobSiteAdapter {
     }
 
     /**
-     * Extract content from a job listing element
+     * Read the fields shown on a job card, without clicking it
      * @param {Element} listingElement - Job listing element
-     * @returns {Object|null} Extracted content or null
+     * @returns {Object|null} Card content (jobId, title, company, location, salary, url) or null
      */
-    async extractListingContent(listingElement) {
+    extractCardContent(listingElement) {
         try {
             if (!listingElement) {
-                this.logger?.warn('extractListingContent called with null/undefined element');
+                this.logger?.warn('extractCardContent called with null/undefined element');
                 return null;
             }
             
@@ -568,6 +569,34 @@ class LinkedInAdapter extends BaseJobSiteAdapter {
                 this.logger?.error(`Error extracting salary for job ${jobId}:`, error);
             }
             
+            return {
+                jobId,
+                title,
+                company,
+                location,
+                salary,
+                url: `https://www.linkedin.com/jobs/view/${jobId}/`
+            };
+        } catch (error) {
+            this.logger?.error('Error extracting card content:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Extract content from a job listing element
+     * @param {Element} listingElement - Job listing element
+     * @returns {Object|null} Extracted content or null
+     */
+    async extractListingContent(listingElement) {
+        try {
+            // Title, company, location and salary come from the card itself
+            const card = this.extractCardContent(listingElement);
+            if (!card) {
+                return null;
+            }
+            const { jobId } = card;
+            
             // --- Get Description ---
             // Try to get the full job description from the right panel
             let description = '';
@@ -611,14 +640,9 @@ class LinkedInAdapter extends BaseJobSiteAdapter {
             
             // Return the structured content
             return {
-                jobId,
-                title,
-                company,
-                location,
-                salary,
+                ...card,
                 description,
-                descriptionHtml,
-                url: `https://www.linkedin.com/jobs/view/${jobId}/`
+                descriptionHtml
             };
         } catch (error) {
             this.logger?.error('Error extracting listing content:', error);
@@ -626,43 +650,6 @@ class LinkedInAdapter extends BaseJobSiteAdapter {
         }
     }
     
-    /**
-     * Extract reason from HTML analysis for badge tooltips
-     * @param {String} analysisHtml - HTML analysis content
-     * @returns {String} Extracted reason text
-     */
-    extractReason(analysisHtml) {
-        if (!analysisHtml) return null;
-        
-        try {
-            // Create a temporary div to parse the HTML
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = analysisHtml;
-            
-            // Find the first reason in the list
-            const firstListItem = tempDiv.querySelector('li');
-            if (firstListItem) {
-                return firstListItem.textContent.trim();
-            }
-            
-            // If no list item found, just get the text after the YES/NO
-            const strongTag = tempDiv.querySelector('strong');
-            if (strongTag && strongTag.nextSibling) {
-                return strongTag.nextSibling.textContent.trim();
-            }
-            
-            // If still nothing, get the first paragraph
-            const firstParagraph = tempDiv.querySelector('p');
-            if (firstParagraph) {
-                return firstParagraph.textContent.trim();
-            }
-        } catch (e) {
-            this.logger?.error('Error extracting reason from analysis:', e);
-        }
-        
-        return null;
-    }
-    
     /**
      * Update the UI of a job listing with analysis results
      * @param {Element} listing - Job listing element
@@ -678,6 +665,9 @@ class LinkedInAdapter extends BaseJobSiteAdapter {
             const listingId = this.getListingId(listing);
             this.logger?.debug(`Updating UI for listing ${listingId}`);
             
+            // Keep an open overlay in step with the analysis as it streams in
+            this.updateAnalysisOverlay(listingId, result);
+            
             // Check if we already added a badge to this listing
             if (listing.querySelector('.search-assist-badge')) {
                 // Already has a badge, just update its appearance if needed
@@ -687,179 +677,11 @@ class LinkedInAdapter extends BaseJobSiteAdapter {
             
             // Ensure the listing has position relative to anchor the badge properly
             listing.style.position = 'relative';
-            
-            // Create the badge element
-            const badge = document.createElement('div');
-            badge.className = 'search-assist-badge';
-            badge.setAttribute('data-job-id', listingId);
-            
-            // Set badge content based on result
-            let tooltipText = '';
-            if (result.isGoodFit === true) {
-                badge.textContent = '✓';
-                badge.style.backgroundColor = '#4caf50'; // Green
-                tooltipText = this.extractReason(result.analysis) || 'Good match based on your criteria!';
-            } else if (result.isGoodFit === false) {
-                badge.textContent = '✗';
-                badge.style.backgroundColor = '#f44336'; // Red
-                tooltipText = this.extractReason(result.analysis) || 'Not a good match for your criteria';
-            } else {
-                badge.textContent = '?';
-                badge.style.backgroundColor = '#ff9800'; // Orange for indeterminate
-                tooltipText = 'Match unknown';
-            }
-            
-            // Add tooltip functionality
-            badge.title = tooltipText;
-            
-            // Add click handler to show analysis
-            badge.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                this.showAnalysisOverlay(listingId, result);
-            });
-            
-            // Add hover effect for better user experience
-            badge.style.cursor = 'pointer';
-            badge.style.transition = 'transform 0.2s';
-            badge.addEventListener('mouseenter', () => {
-                badge.style.transform = 'scale(1.2)';
-            });
-            badge.addEventListener('mouseleave', () => {
-                badge.style.transform = 'scale(1)';
-            });
-            
-            // Append the badge to the listing
-            listing.appendChild(badge);
+            listing.appendChild(this.createResultBadge(listingId, result));
         } catch (error) {
             this.logger?.error('Error updating listing UI:', error);
         }
     }
-    
-    /**
-     * Update badge appearance for existing badge
-     * @param {Element} listing - Job listing element
-     * @param {Object} result - Analysis result
-     */
-    updateBadgeAppearance(listing, result) {
-        try {
-            const badge = listing.querySelector('.search-assist-badge');
-            if (!badge) return;
-            
-            let tooltipText = '';
-            if (result.isGoodFit === true) {
-                badge.textContent = '✓';
-                badge.style.backgroundColor = '#4caf50'; // Green
-                tooltipText = this.extractReason(result.analysis) || 'Good match based on your criteria!';
-            } else if (result.isGoodFit === false) {
-                badge.textContent = '✗';
-                badge.style.backgroundColor = '#f44336'; // Red
-                tooltipText = this.extractReason(result.analysis) || 'Not a good match for your criteria';
-            } else {
-                badge.textContent = '?';
-                badge.style.backgroundColor = '#ff9800'; // Orange for indeterminate
-                tooltipText = 'Match unknown';
-            }
-            
-            // Update tooltip
-            badge.title = tooltipText;
-        } catch (error) {
-            this.logger?.error('Error updating badge appearance:', error);
-        }
-    }
-    
-    /**
-     * Show analysis overlay with detailed information
-     * @param {String} jobId - Job ID
-     * @param {Object} result - Analysis result
-     */
-    showAnalysisOverlay(jobId, result) {
-        try {
-            // Create overlay container
-            const overlay = document.createElement('div');
-            overlay.className = 'search-assist-overlay';
-            
-            // Create modal content
-            const modal = document.createElement('div');
-            modal.className = 'search-assist-modal';
-            
-            // Set up content
-            const title = document.createElement('h2');
-            title.textContent = result.title || 'Job Analysis';
-            
-            const company = document.createElement('h3');
-            company.textContent = result.company || '';
-            
-            const location = document.createElement('p');
-            location.textContent = result.location || '';
-            
-            // Add salary if available
-            const salary = document.createElement('p');
-            salary.style.fontStyle = 'italic';
-            if (result.salary) {
-                salary.textContent = `Salary: ${result.salary}`;
-            }
-            
-            const analysis = document.createElement('div');
-            analysis.className = 'search-assist-analysis';
-            
-            // Add header with result
-            const resultHeader = document.createElement('div');
-            resultHeader.className = 'search-assist-result-header';
-            
-            if (result.isGoodFit === true) {
-                resultHeader.innerHTML = '<h3 style="color: #4caf50;">✓ Good Match</h3>';
-            } else if (result.isGoodFit === false) {
-                resultHeader.innerHTML = '<h3 style="color: #f44336;">✗ Not a Match</h3>';
-            } else {
-                resultHeader.innerHTML = '<h3 style="color: #ff9800;">? Indeterminate</h3>';
-            }
-            
-            // Add analysis content
-            if (result.analysis) {
-                analysis.innerHTML = result.analysis;
-            } else {
-                analysis.innerHTML = '<p>No detailed analysis available.</p>';
-            }
-            
-            // Close button
-            const closeButton = document.createElement('button');
-            closeButton.textContent = 'Close';
-            closeButton.style.marginTop = '20px';
-            closeButton.style.padding = '8px 16px';
-            closeButton.style.backgroundColor = '#f0f0f0';
-            closeButton.style.border = 'none';
-            closeButton.style.borderRadius = '4px';
-            closeButton.style.cursor = 'pointer';
-            closeButton.addEventListener('click', () => {
-                document.body.removeChild(overlay);
-            });
-            
-            // Assemble modal
-            modal.appendChild(title);
-            modal.appendChild(company);
-            modal.appendChild(location);
-            if (result.salary) modal.appendChild(salary);
-            modal.appendChild(resultHeader);
-            modal.appendChild(analysis);
-            modal.appendChild(closeButton);
-            
-            // Add modal to overlay
-            overlay.appendChild(modal);
-            
-            // Add overlay to body
-            document.body.appendChild(overlay);
-            
-            // Add click outside to close
-            overlay.addEventListener('click', (e) => {
-                if (e.target === overlay) {
-                    document.body.removeChild(overlay);
-                }
-            });
-        } catch (error) {
-            this.logger?.error('Error showing analysis overlay:', error);
-        }
-    }
 }
 
 export default LinkedInAdapter; 
\ No newline at end of file
@@ -3,6 +3,48 @@
  * Handles UI components and interactions
  */
 
+import { getEffectiveVerdict, getResultVerdict, parsePartialVerdict, renderPartialVerdictHtml, VERDICTS } from '../utils/verdict.js';
+
+// Badge appearance per verdict
+const BADGE_STATES = {
+    [VERDICTS.YES]: {
+        symbol: '✓',
+        color: '#4caf50', // Green
+        label: 'Good Match',
+        defaultTooltip: 'Good match based on your criteria!'
+    },
+    [VERDICTS.MAYBE]: {
+        symbol: '~',
+        color: '#fbc02d', // Yellow
+        label: 'Borderline Match',
+        defaultTooltip: 'Borderline match - worth a manual look'
+    },
+    [VERDICTS.NO]: {
+        symbol: '✗',
+        color: '#f44336', // Red
+        label: 'Not a Match',
+        defaultTooltip: 'Not a good match for your criteria'
+    },
+    skipped: {
+        symbol: '⊘',
+        color: '#607d8b', // Slate for cards rejected by a filter rule without being opened
+        label: 'Skipped',
+        defaultTooltip: 'Skipped by a filter rule'
+    },
+    pending: {
+        symbol: '…',
+        color: '#2196f3', // Blue while the analysis streams in
+        label: 'Analyzing',
+        defaultTooltip: 'Analysis in progress'
+    },
+    unknown: {
+        symbol: '?',
+        color: '#9e9e9e', // Grey for indeterminate
+        label: 'Indeterminate',
+        defaultTooltip: 'Match unknown'
+    }
+};
+
 class UIManager {
     constructor() {
         // Removed currentFeedbackJob property
@@ -41,6 +83,22 @@ class UIManager {
                 cursor: pointer;
             }
             
+            .search-assist-badge.search-assist-pending {
+                animation: search-assist-pulse 1.2s ease-in-out infinite;
+            }
+            
+            /* Verdicts made with other criteria, resume, templates or model */
+            .search-assist-badge.search-assist-stale {
+                opacity: 0.55;
+                outline: 2px dashed #757575;
+                outline-offset: 2px;
+            }
+            
+            @keyframes search-assist-pulse {
+                0%, 100% { opacity: 1; }
+                50% { opacity: 0.5; }
+            }
+            
             /* Result details overlay */
             .search-assist-overlay {
                 position: fixed;
@@ -65,12 +123,108 @@ class UIManager {
                 box-shadow: 0 4px 12px rgba(0,0,0,0.2);
             }
             
-            /* Remove feedback modal styles - no longer needed */
+            /* Overriding the verdict from the overlay */
+            .search-assist-override {
+                margin-top: 20px;
+                padding-top: 12px;
+                border-top: 1px solid #e0e0e0;
+            }
+            
+            .search-assist-override-status {
+                margin: 0 0 8px;
+                color: #555;
+            }
+            
+            .search-assist-override-reason {
+                width: 100%;
+                box-sizing: border-box;
+                margin-bottom: 8px;
+                font-family: inherit;
+            }
+            
+            .search-assist-override-buttons button {
+                margin-right: 8px;
+                padding: 6px 12px;
+                border: 1px solid #ccc;
+                border-radius: 4px;
+                background-color: #fff;
+                cursor: pointer;
+            }
+            
+            .search-assist-override-buttons button:disabled {
+                opacity: 0.5;
+                cursor: default;
+            }
         `;
         
         document.head.appendChild(styleElement);
     }
 
+    /**
+     * Get the badge appearance for an analysis result
+     * @param {Object} result - Analysis result
+     * @param {String} reason - Optional reason to show in the tooltip
+     * @returns {Object} Object with symbol, color, label, tooltip, whether the result is stale and,
+     *                   if the user overrode the verdict, the model's verdict
+     */
+    getBadgeState(result, reason = null) {
+        let verdict = getEffectiveVerdict(result);
+        if (result?.pending) {
+            verdict = 'pending';
+        } else if (result?.skipped) {
+            verdict = 'skipped';
+        }
+        const state = BADGE_STATES[verdict] || BADGE_STATES.unknown;
+        
+        let tooltip = reason || state.defaultTooltip;
+        
+        // Lead with the fit score when the analysis has one
+        if (typeof result?.score === 'number') {
+            tooltip = `Fit score ${result.score}/100 - ${tooltip}`;
+        }
+        
+        const stale = !!result?.stale && !result.pending;
+        if (stale) {
+            tooltip = `Out of date - your criteria, resume, prompts or model changed since this analysis. ${tooltip}`;
+        }
+        
+        // The badge shows the user's verdict, the tooltip still tells what the model thought
+        const modelVerdict = getResultVerdict(result);
+        const overridden = !result?.pending && !!result?.override && modelVerdict !== verdict;
+        if (overridden) {
+            tooltip = `Your verdict - the model said ${modelVerdict || 'nothing'}. ${tooltip}`;
+        }
+        
+        return {
+            symbol: state.symbol,
+            color: state.color,
+            label: state.label,
+            tooltip,
+            stale,
+            modelVerdict: overridden ? modelVerdict : null
+        };
+    }
+
+    /**
+     * Build a provisional result from an analysis that is still streaming
+     * @param {String} text - Response text received so far
+     * @param {Object} job - Job details (title, company, location) of the analysis
+     * @returns {Object} Result flagged as pending, with the partial analysis HTML
+     */
+    buildPendingResult(text, job = {}) {
+        const partial = parsePartialVerdict(text);
+        
+        return {
+            pending: true,
+            title: job.title || '',
+            company: job.company || '',
+            location: job.location || '',
+            score: partial.score,
+            reasons: partial.reasons,
+            analysis: renderPartialVerdictHtml(partial)
+        };
+    }
+
     /**
      * Show loading spinner
      * @param {String} loadingText - Text to display
@@ -0,0 +1,94 @@
+/**
+ * criteriaFeedback.js
+ * Verdicts the user overrode, turned into a prompt asking the model for updated criteria
+ */
+
+import { getResultVerdict, parseJsonLoosely } from './verdict.js';
+
+// Most recent disagreements sent to the model - older ones cost tokens and may already be resolved
+export const MAX_DISAGREEMENTS = 30;
+
+/**
+ * Output format appended to the system prompt
+ */
+export const CRITERIA_SUGGESTION_FORMAT = `Respond with a single JSON object and nothing else - no markdown, no code fences. Use exactly this schema:
+{
+  "criteria": "the complete updated criteria, in the same style and layout as the current criteria",
+  "summary": "one or two sentences on what changed and why"
+}`;
+
+/**
+ * Collect the jobs whose verdict the user overrode and the model still disagrees with
+ * @param {Array<Object>} jobs - Job records
+ * @param {String} profileId - Profile the criteria belong to; jobs analyzed with another profile are left out
+ * @returns {Array<Object>} Disagreements, most recent first, at most MAX_DISAGREEMENTS
+ */
+export function collectDisagreements(jobs, profileId) {
+    return jobs
+        // An override the model agrees with after a re-analysis is settled
+        .filter(job => job.override && job.override.verdict !== getResultVerdict(job))
+        // Jobs analyzed before profiles existed were analyzed with the only criteria there were
+        .filter(job => !job.profileId || job.profileId === profileId)
+        .sort((a, b) => new Date(b.override.date) - new Date(a.override.date))
+        .slice(0, MAX_DISAGREEMENTS)
+        .map(job => ({
+            jobId: job.jobId,
+            title: job.title || '',
+            company: job.company || '',
+            modelVerdict: getResultVerdict(job),
+            userVerdict: job.override.verdict,
+            reason: job.override.reason || '',
+            modelReasons: job.reasons || []
+        }));
+}
+
+/**
+ * Build the prompts asking for criteria that would have produced the user's verdicts
+ * @param {Object} context - Prompt inputs
+ * @param {String} context.criteria - Current criteria
+ * @param {Array<Object>} context.disagreements - Output of collectDisagreements
+ * @returns {Object} Object with systemPrompt and userPrompt
+ */
+export function buildCriteriaSuggestionPrompts({ criteria, disagreements }) {
+    const cases = disagreements.map((item, index) => {
+        const lines = [
+            `${index + 1}. ${item.title || 'Untitled job'} at ${item.company || 'an unknown company'}`,
+            `   Model's verdict: ${item.modelVerdict}. User's verdict: ${item.userVerdict}.`
+        ];
+        if (item.modelReasons.length > 0) {
+            lines.push(`   Model's reasons: ${item.modelReasons.join('; ')}`);
+        }
+        if (item.reason) {
+            lines.push(`   User's reason: ${item.reason}`);
+        }
+        return lines.join('\n');
+    }).join('\n\n');
+
+    return {
+        systemPrompt: 'You maintain the criteria a model uses to decide whether job listings fit a job seeker. ' +
+            "The user disagreed with some of the model's verdicts. Revise the criteria so they lead to the user's " +
+            'verdicts, changing as little as possible and keeping everything the disagreements do not contradict.\n' +
+            CRITERIA_SUGGESTION_FORMAT,
+        userPrompt: `Current criteria:\n${criteria}\n\nVerdicts the user disagreed with:\n${cases}`
+    };
+}
+
+/**
+ * Parse the model's answer to a criteria suggestion prompt
+ * @param {String} text - Raw model output
+ * @returns {Object} Object with the suggested criteria and a summary of the changes
+ * @throws {Error} If the answer has no criteria
+ */
+export function parseCriteriaSuggestion(text) {
+    const parsed = parseJsonLoosely(String(text || ''));
+    const data = parsed && parsed.value && typeof parsed.value === 'object' ? parsed.value : {};
+
+    if (typeof data.criteria !== 'string' || !data.criteria.trim()) {
+        throw new Error('The model did not return updated criteria');
+    }
+
+    return {
+        criteria: data.criteria.trim(),
+        summary: typeof data.summary === 'string' ? data.summary.trim() : ''
+    };
+}
@@ -0,0 +1,48 @@
+/**
+ * diff.js
+ * Line diff used to review suggested text changes before they are saved
+ */
+
+/**
+ * Compare two texts line by line, keeping the longest run of unchanged lines
+ * @param {String} before - Current text
+ * @param {String} after - Suggested text
+ * @returns {Array<Object>} Lines in order, each with its type (same, added or removed) and text
+ */
+export function diffLines(before, after) {
+    const oldLines = String(before || '').split('\n');
+    const newLines = String(after || '').split('\n');
+
+    // common[i][j] is the number of lines oldLines[i..] and newLines[j..] have in common
+    const common = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+            common[i][j] = oldLines[i] === newLines[j]
+                ? common[i + 1][j + 1] + 1
+                : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length && j < newLines.length) {
+        if (oldLines[i] === newLines[j]) {
+            lines.push({ type: 'same', text: oldLines[i] });
+            i++;
+            j++;
+        } else if (common[i + 1][j] >= common[i][j + 1]) {
+            lines.push({ type: 'removed', text: oldLines[i++] });
+        } else {
+            lines.push({ type: 'added', text: newLines[j++] });
+        }
+    }
+    while (i < oldLines.length) {
+        lines.push({ type: 'removed', text: oldLines[i++] });
+    }
+    while (j < newLines.length) {
+        lines.push({ type: 'added', text: newLines[j++] });
+    }
+
+    return lines;
+}
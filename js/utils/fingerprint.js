@@ -0,0 +1,51 @@
+/**
+ * fingerprint.js
+ * Fingerprints of the inputs a verdict depends on, used to tell when cached verdicts are out of date
+ */
+
+import { resolvePromptTemplates } from './promptTemplates.js';
+import { DEFAULT_CRITERIA } from './profiles.js';
+
+/**
+ * Hash a string with 32-bit FNV-1a
+ * @param {String} text - Text to hash
+ * @returns {String} Hash as 8 hex digits
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Fingerprint the criteria, resume, prompt templates and model an analysis runs with
+ * @param {Object} profile - Criteria profile
+ * @param {Object} settings - Resolved provider settings (providerId and model)
+ * @returns {String} Fingerprint stored with each result
+ */
+export function analysisFingerprint(profile, settings) {
+    // Templates left at their defaults fingerprint the same as the defaults written out
+    const templates = resolvePromptTemplates(profile.promptTemplates);
+    return hashString(JSON.stringify([
+        (profile.criteria || DEFAULT_CRITERIA).trim(),
+        (profile.resume || '').trim(),
+        templates.system,
+        templates.user,
+        settings.providerId,
+        settings.model
+    ]));
+}
+
+/**
+ * Check whether a cached result was produced with other inputs than the current ones
+ * @param {Object} result - Cached result
+ * @param {String} fingerprint - Current fingerprint; nothing is stale while it is unknown
+ * @returns {Boolean} True if the result should be re-analyzed
+ */
+export function isStaleResult(result, fingerprint) {
+    // Results cached before fingerprints existed count as stale - their inputs are unknown
+    return !!fingerprint && !!result && !result.pending && result.fingerprint !== fingerprint;
+}
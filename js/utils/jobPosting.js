@@ -0,0 +1,133 @@
+/**
+ * jobPosting.js
+ * schema.org JobPosting data embedded by career sites as JSON-LD, turned into the job content analyses use
+ */
+
+/**
+ * Check whether a JSON-LD node is a JobPosting
+ * @param {Object} node - JSON-LD node
+ * @returns {Boolean} True for JobPosting nodes
+ */
+function isJobPosting(node) {
+    const types = Array.isArray(node?.['@type']) ? node['@type'] : [node?.['@type']];
+    return types.some(type => typeof type === 'string' && type.replace(/^.*[/:]/, '') === 'JobPosting');
+}
+
+/**
+ * Collect the JobPosting nodes of a parsed JSON-LD block, which may be a list or hold a @graph
+ * @param {Object|Array} data - Parsed JSON-LD
+ * @param {Array<Object>} found - Postings found so far
+ * @returns {Array<Object>} Postings
+ */
+function collectPostings(data, found = []) {
+    if (Array.isArray(data)) {
+        data.forEach(item => collectPostings(item, found));
+    } else if (data && typeof data === 'object') {
+        if (isJobPosting(data)) {
+            found.push(data);
+        } else if (data['@graph']) {
+            collectPostings(data['@graph'], found);
+        }
+    }
+    return found;
+}
+
+/**
+ * Find the JobPostings embedded in a page
+ * @param {Document} doc - Page
+ * @returns {Array<Object>} JobPosting nodes, in page order; blocks that are not valid JSON are skipped
+ */
+export function findJobPostings(doc) {
+    const postings = [];
+    for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+        try {
+            collectPostings(JSON.parse(script.textContent), postings);
+        } catch (error) {
+            // Sites ship broken JSON-LD now and then; the other blocks may still have the posting
+        }
+    }
+    return postings;
+}
+
+/**
+ * Text of a schema.org value that may be a string, a Thing with a name, or a list of either
+ * @param {*} value - Value
+ * @returns {String} Text, empty if there is none
+ */
+function readName(value) {
+    if (Array.isArray(value)) {
+        return value.map(readName).filter(Boolean).join(', ');
+    }
+    if (value && typeof value === 'object') {
+        return readName(value.name);
+    }
+    return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+}
+
+/**
+ * Location of a posting, e.g. "Berlin, BE, DE", with "Remote" for telecommute jobs
+ * @param {Object} posting - JobPosting
+ * @returns {String} Location
+ */
+function readLocation(posting) {
+    const places = Array.isArray(posting.jobLocation) ? posting.jobLocation : [posting.jobLocation].filter(Boolean);
+    const locations = places.map(place => {
+        const address = place?.address;
+        if (!address || typeof address === 'string') {
+            return readName(address || place);
+        }
+        return [address.addressLocality, address.addressRegion, address.addressCountry]
+            .map(readName).filter(Boolean).join(', ');
+    }).filter(Boolean);
+
+    if (posting.jobLocationType === 'TELECOMMUTE') {
+        locations.unshift('Remote');
+    }
+    return [...new Set(locations)].join('; ');
+}
+
+/**
+ * Salary of a posting, e.g. "USD 120000-150000 per YEAR"
+ * @param {Object} posting - JobPosting
+ * @returns {String} Salary, empty if the posting has none
+ */
+function readSalary(posting) {
+    const salary = posting.baseSalary;
+    if (!salary) {
+        return '';
+    }
+    if (typeof salary !== 'object') {
+        return String(salary);
+    }
+
+    const value = salary.value;
+    const amount = value && typeof value === 'object'
+        ? (value.value ?? [value.minValue, value.maxValue].filter(part => part !== undefined).join('-'))
+        : value;
+    if (amount === undefined || amount === '') {
+        return '';
+    }
+    const unit = value?.unitText || salary.unitText;
+    return [salary.currency, amount, unit ? `per ${unit}` : ''].filter(Boolean).join(' ');
+}
+
+/**
+ * Turn a JobPosting into job content. The description stays HTML; the page turns it into text
+ * @param {Object} posting - JobPosting
+ * @returns {Object} Title, company, location, salary, datePosted, employmentType, descriptionHtml and
+ *                   identifier (the posting's own ID, if it has one)
+ */
+export function readJobPosting(posting) {
+    const identifier = posting.identifier;
+    return {
+        title: readName(posting.title),
+        company: readName(posting.hiringOrganization),
+        location: readLocation(posting),
+        salary: readSalary(posting),
+        datePosted: readName(posting.datePosted),
+        employmentType: readName(posting.employmentType)
+            .split(/,\s*/).map(type => type.replace(/_/g, ' ').toLowerCase()).filter(Boolean).join(', '),
+        descriptionHtml: typeof posting.description === 'string' ? posting.description : '',
+        identifier: readName(identifier && typeof identifier === 'object' ? identifier.value : identifier)
+    };
+}
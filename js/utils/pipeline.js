@@ -0,0 +1,60 @@
+/**
+ * pipeline.js
+ * Application stages a job moves through once the user starts tracking it
+ */
+
+/**
+ * Stages in board order; the last three end the application
+ */
+export const PIPELINE_STAGES = [
+    { id: 'saved', label: 'Saved' },
+    { id: 'applied', label: 'Applied' },
+    { id: 'phoneScreen', label: 'Phone screen' },
+    { id: 'onsite', label: 'Onsite' },
+    { id: 'offer', label: 'Offer' },
+    { id: 'rejected', label: 'Rejected' },
+    { id: 'withdrawn', label: 'Withdrawn' }
+];
+
+/**
+ * Label of a stage
+ * @param {String} stageId - Stage ID
+ * @returns {String} Label, or the ID itself for unknown stages
+ */
+export function getStageLabel(stageId) {
+    return PIPELINE_STAGES.find(stage => stage.id === stageId)?.label || stageId;
+}
+
+/**
+ * Stage a job is at
+ * @param {Object} job - Job record
+ * @returns {String|null} Stage ID, or null if the job is not tracked
+ */
+export function getStage(job) {
+    return job?.application?.stage || null;
+}
+
+/**
+ * Move an application to a stage, recording the date of the move
+ * @param {Object|null} application - Current application of the job, if tracked
+ * @param {String|null} stageId - New stage, or null to stop tracking the job
+ * @returns {Object|null} Updated application, or null if the job is no longer tracked
+ */
+export function moveToStage(application, stageId) {
+    if (!stageId) {
+        return null;
+    }
+    if (!PIPELINE_STAGES.some(stage => stage.id === stageId)) {
+        throw new Error(`Unknown application stage: ${stageId}`);
+    }
+    if (application?.stage === stageId) {
+        return application;
+    }
+
+    const date = new Date().toISOString();
+    return {
+        stage: stageId,
+        updatedAt: date,
+        transitions: [...(application?.transitions || []), { stage: stageId, date }]
+    };
+}
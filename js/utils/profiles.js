@@ -0,0 +1,108 @@
+/**
+ * profiles.js
+ * Named criteria profiles, each with its own criteria, resume, prompt templates and filter rules
+ */
+
+/**
+ * chrome.storage.local keys read to resolve the profiles (including the pre-profile keys they migrate from)
+ */
+export const PROFILE_STORAGE_KEYS = ['criteriaProfiles', 'activeProfileId', 'jobCriteria', 'userResume', 'promptTemplates'];
+
+// Keys older versions stored a single set of criteria, resume and templates under
+const LEGACY_KEYS = ['jobCriteria', 'userResume', 'promptTemplates'];
+
+// Profile created from the legacy keys
+const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * Criteria used for profiles that have none
+ */
+export const DEFAULT_CRITERIA = `Please consider:
+1. Required experience level
+2. Skills required
+3. Job responsibilities
+4. Company reputation
+5. Overall job quality`;
+
+/**
+ * Create a new profile
+ * @param {String} name - Profile name
+ * @param {Object} fields - Optional criteria, resume, promptTemplates and filter rules to start from
+ * @returns {Object} The profile
+ */
+export function createProfile(name, { criteria = DEFAULT_CRITERIA, resume = '', promptTemplates = null, rules = null } = {}) {
+    return {
+        id: `profile_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name,
+        criteria,
+        resume,
+        // Empty templates mean "use the defaults"
+        promptTemplates: promptTemplates ? { ...promptTemplates } : { system: '', user: '' },
+        // Filter rules applied before the model is called; null filters nothing
+        rules: rules ? { ...rules } : null
+    };
+}
+
+/**
+ * Resolve the profiles and the active profile from stored settings
+ * @param {Object} stored - Values read for PROFILE_STORAGE_KEYS
+ * @returns {Object} Object with profiles (keyed by ID) and activeProfileId
+ */
+export function resolveProfiles(stored = {}) {
+    let profiles = stored.criteriaProfiles;
+
+    if (!profiles || Object.keys(profiles).length === 0) {
+        // Older versions kept one set of criteria, resume and templates
+        profiles = {
+            [DEFAULT_PROFILE_ID]: {
+                id: DEFAULT_PROFILE_ID,
+                name: 'Default',
+                criteria: stored.jobCriteria || DEFAULT_CRITERIA,
+                resume: stored.userResume || '',
+                promptTemplates: stored.promptTemplates || { system: '', user: '' },
+                rules: null
+            }
+        };
+    }
+
+    const activeProfileId = profiles[stored.activeProfileId] ? stored.activeProfileId : Object.keys(profiles)[0];
+    return { profiles, activeProfileId };
+}
+
+/**
+ * Get a profile, falling back to the active one
+ * @param {Object} stored - Values read for PROFILE_STORAGE_KEYS
+ * @param {String} profileId - Wanted profile ID; the active profile is used if missing or deleted
+ * @returns {Object} The profile
+ */
+export function getProfile(stored, profileId = null) {
+    const { profiles, activeProfileId } = resolveProfiles(stored);
+    return profiles[profileId] || profiles[activeProfileId];
+}
+
+/**
+ * Store the profiles and drop the keys they replaced
+ * @param {Object} profiles - Profiles keyed by ID
+ * @param {String} activeProfileId - ID of the profile used for new analyses
+ * @returns {Promise<void>}
+ */
+export async function saveProfiles(profiles, activeProfileId) {
+    await chrome.storage.local.set({ criteriaProfiles: profiles, activeProfileId });
+    await chrome.storage.local.remove(LEGACY_KEYS);
+}
+
+/**
+ * Change fields of a stored profile
+ * @param {String} profileId - Profile ID; the active profile is updated if missing or deleted
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<Object>} The updated profile
+ */
+export async function updateProfile(profileId, changes) {
+    const stored = await chrome.storage.local.get(PROFILE_STORAGE_KEYS);
+    const { profiles, activeProfileId } = resolveProfiles(stored);
+    const profile = profiles[profileId] || profiles[activeProfileId];
+
+    const updated = { ...profile, ...changes, id: profile.id };
+    await saveProfiles({ ...profiles, [profile.id]: updated }, activeProfileId);
+    return updated;
+}
@@ -0,0 +1,173 @@
+/**
+ * promptTemplates.js
+ * User-editable analysis prompts with {{placeholder}} variables
+ */
+
+import { VERDICT_FORMAT_INSTRUCTIONS } from './verdict.js';
+
+/**
+ * Variables available in the templates
+ */
+export const PROMPT_VARIABLES = [
+    { name: 'criteria', description: 'Your job matching criteria' },
+    { name: 'resume', description: 'Your resume' },
+    { name: 'title', description: 'Job title' },
+    { name: 'company', description: 'Company name' },
+    { name: 'location', description: 'Job location' },
+    { name: 'salary', description: 'Salary, if the listing shows one' },
+    { name: 'description', description: 'Full job description' }
+];
+
+// Substituted for variables the job or the user left empty
+const EMPTY_VALUE = 'Not provided';
+
+// Matches {{ name }}; spaces inside the braces are allowed
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+/**
+ * Templates used until the user edits them
+ */
+export const DEFAULT_PROMPT_TEMPLATES = {
+    system: `You are a job matching assistant. Your task is to analyze the provided job listing and determine if it is a good match, a borderline match, or not a match based solely on the candidate's experience requirement, technical skills, and project focus. Evaluate the job listing by comparing it against the provided candidate's resume and specified job criteria.
+Read the job criteria and the candidate resume provided in the user message.
+Review the job listing details, including Title, Company, Location, and Description.
+Analyze the job listing focusing exclusively on:
+Experience requirement
+Technical skills
+Project focus
+Do not include job location or salary details in your reasoning.`,
+
+    user: `Please analyze the following job listing based on the given criteria and the candidate's resume to determine if it is a good match for the candidate's experience and interests. Follow these instructions:
+
+Instructions:
+
+1. Give a clear YES, MAYBE or NO verdict. Use MAYBE only for borderline listings that partially match and are worth a manual look.
+2. Score the overall fit and each dimension (experience requirement, technical skills, project focus) from 0 to 100.
+3. If the answer is NO: List the reasons why it is not a good match.
+4. If the answer is YES: List only the key reasons that support a match based solely on the experience requirement, technical skills, and project focus.
+5. If the answer is MAYBE: List what matches and what is missing or unclear.
+6. Do not include any details regarding the job's location or salary in your reasons, even if the listing meets these criteria.
+7. Respond with the JSON object described in the system prompt.
+
+Criteria:
+
+{{criteria}}
+
+Candidate Resume/Background:
+
+{{resume}}
+
+Job Listing:
+
+Title: {{title}}
+Company: {{company}}
+Location: {{location}}
+Salary: {{salary}}
+Description: {{description}}`
+};
+
+/**
+ * Job used to preview the templates in the options page
+ */
+export const SAMPLE_JOB = {
+    title: 'Senior Frontend Engineer',
+    company: 'Acme Analytics',
+    location: 'Remote (US)',
+    salary: '$150,000 - $180,000',
+    description: 'We are looking for a senior frontend engineer with 5+ years of experience in React and TypeScript to lead the rebuild of our analytics dashboards. You will work closely with design and data teams, own the component library and mentor two junior engineers.'
+};
+
+/**
+ * Fill in the stored templates, falling back to the defaults
+ * @param {Object} stored - Templates saved in storage (may be missing or partial)
+ * @returns {Object} Templates with system and user strings
+ */
+export function resolvePromptTemplates(stored) {
+    return {
+        system: stored?.system || DEFAULT_PROMPT_TEMPLATES.system,
+        user: stored?.user || DEFAULT_PROMPT_TEMPLATES.user
+    };
+}
+
+/**
+ * Check templates before they are saved
+ * @param {Object} templates - Templates with system and user strings
+ * @returns {Array<String>} Error messages, empty if the templates are usable
+ */
+export function validatePromptTemplates(templates) {
+    const errors = [];
+    const known = new Set(PROMPT_VARIABLES.map(variable => variable.name));
+    const used = new Set();
+
+    for (const [key, label] of [['system', 'System prompt'], ['user', 'User prompt']]) {
+        const template = templates?.[key];
+        if (typeof template !== 'string' || !template.trim()) {
+            errors.push(`${label} is empty`);
+            continue;
+        }
+
+        for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+            if (known.has(match[1])) {
+                used.add(match[1]);
+            } else {
+                errors.push(`${label} uses unknown variable {{${match[1]}}}`);
+            }
+        }
+
+        // Braces left over once the valid placeholders are removed are typos like {{title} or {title}}
+        const leftover = template.replace(PLACEHOLDER_PATTERN, '');
+        if (leftover.includes('{{') || leftover.includes('}}')) {
+            errors.push(`${label} has a malformed placeholder - use {{name}}`);
+        }
+    }
+
+    // Without the job the model has nothing to judge
+    if (errors.length === 0 && !used.has('description') && !used.has('title')) {
+        errors.push('The prompts must include the job, e.g. {{title}} and {{description}}');
+    }
+
+    return errors;
+}
+
+/**
+ * Replace the placeholders of a template
+ * @param {String} template - Template text
+ * @param {Object} values - Values keyed by variable name
+ * @returns {String} Rendered text
+ */
+export function renderPromptTemplate(template, values) {
+    return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+        if (!(name in values)) {
+            return placeholder;
+        }
+        const value = values[name];
+        return value === null || value === undefined || String(value).trim() === '' ? EMPTY_VALUE : String(value);
+    });
+}
+
+/**
+ * Build the system and user prompts of an analysis
+ * @param {Object} templates - Templates with system and user strings
+ * @param {Object} context - Prompt inputs
+ * @param {String} context.criteria - Job matching criteria
+ * @param {String} context.resume - Optional resume
+ * @param {Object} context.job - Job content (title, company, location, salary, description)
+ * @returns {Object} Object with systemPrompt and userPrompt
+ */
+export function buildAnalysisPrompts(templates, { criteria, resume = null, job }) {
+    const values = {
+        criteria,
+        resume,
+        title: job.title,
+        company: job.company,
+        location: job.location,
+        salary: job.salary,
+        description: job.description
+    };
+
+    return {
+        // The verdict parser depends on the output format, so it is not part of the editable template
+        systemPrompt: `${renderPromptTemplate(templates.system, values)}\n${VERDICT_FORMAT_INSTRUCTIONS}`,
+        userPrompt: renderPromptTemplate(templates.user, values)
+    };
+}
@@ -0,0 +1,46 @@
+/**
+ * sources.js
+ * Job sites analyzed jobs come from, as stored in the source field of a job
+ */
+
+/**
+ * Sources by ID, with their labels and, for sites whose jobs can be found by ID alone, the job page URL
+ */
+export const JOB_SOURCES = {
+    linkedin: { label: 'LinkedIn', jobUrl: jobId => `https://www.linkedin.com/jobs/view/${jobId}/` },
+    indeed: { label: 'Indeed', jobUrl: jobId => `https://www.indeed.com/viewjob?jk=${jobId}` },
+    greenhouse: { label: 'Greenhouse' },
+    lever: { label: 'Lever' },
+    ashby: { label: 'Ashby' },
+    careersite: { label: 'Career site' }
+};
+
+// Jobs stored before sources were recorded all came from LinkedIn
+const DEFAULT_SOURCE = 'linkedin';
+
+/**
+ * Source a job came from
+ * @param {Object} job - Job record or result
+ * @returns {String} Source ID
+ */
+export function getJobSource(job) {
+    return JOB_SOURCES[job?.source] ? job.source : DEFAULT_SOURCE;
+}
+
+/**
+ * Label of a source
+ * @param {String} sourceId - Source ID
+ * @returns {String} Label, or the ID itself for unknown sources
+ */
+export function getSourceLabel(sourceId) {
+    return JOB_SOURCES[sourceId]?.label || sourceId;
+}
+
+/**
+ * Page of a job on its site
+ * @param {Object} job - Job record or result
+ * @returns {String} URL, empty if the job was stored without one and its site cannot build it
+ */
+export function getJobUrl(job) {
+    return job?.url || JOB_SOURCES[getJobSource(job)].jobUrl?.(job.jobId) || '';
+}
@@ -0,0 +1,66 @@
+/**
+ * usage.js
+ * Formatting of token, cost and storage totals for the popup, dashboard and options page
+ */
+
+/**
+ * Format a cost in USD, with more precision for the small amounts a single job costs
+ * @param {Number|null} cost - Cost in USD
+ * @returns {String} Formatted cost, or 'n/a' if unknown
+ */
+export function formatCost(cost) {
+    if (typeof cost !== 'number') {
+        return 'n/a';
+    }
+    return `$${cost.toFixed(cost > 0 && cost < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Format a token count compactly (e.g. 12.3k)
+ * @param {Number} tokens - Token count
+ * @returns {String} Formatted count
+ */
+export function formatTokens(tokens = 0) {
+    if (tokens >= 1000000) return `${(tokens / 1000000).toFixed(1)}M`;
+    if (tokens >= 1000) return `${(tokens / 1000).toFixed(1)}k`;
+    return String(tokens);
+}
+
+/**
+ * One-line description of usage totals
+ * @param {Object|null} totals - Totals with requests, inputTokens, outputTokens, cost and unpricedRequests
+ * @returns {String} Summary text
+ */
+export function formatTotals(totals) {
+    if (!totals || totals.requests === 0) {
+        return 'no requests';
+    }
+
+    const tokens = formatTokens(totals.inputTokens + totals.outputTokens);
+    const unpriced = totals.unpricedRequests > 0 ? ` (${totals.unpricedRequests} unpriced)` : '';
+    return `${formatCost(totals.cost)}${unpriced} · ${tokens} tokens · ${totals.requests} requests`;
+}
+
+/**
+ * Short description of a single job's usage
+ * @param {Object|null} usage - Object with inputTokens, outputTokens and cost
+ * @returns {String} Summary text, empty if the job has no usage recorded
+ */
+export function formatJobUsage(usage) {
+    if (!usage) {
+        return '';
+    }
+    return `${formatCost(usage.cost)} · ${formatTokens(usage.inputTokens + usage.outputTokens)} tokens`;
+}
+
+/**
+ * Format a size in bytes compactly (e.g. 1.2 MB)
+ * @param {Number} bytes - Size in bytes
+ * @returns {String} Formatted size
+ */
+export function formatBytes(bytes = 0) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} B`;
+}
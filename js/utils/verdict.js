@@ -0,0 +1,394 @@
+/**
+ * verdict.js
+ * Structured verdict format: prompt instructions, parsing/repair of model output and HTML rendering
+ */
+
+/**
+ * Scored dimensions, in display order
+ */
+export const VERDICT_DIMENSIONS = [
+    { key: 'experience', label: 'Experience' },
+    { key: 'skills', label: 'Skills' },
+    { key: 'projectFocus', label: 'Project focus' }
+];
+
+/**
+ * Possible verdicts
+ */
+export const VERDICTS = {
+    YES: 'YES',
+    MAYBE: 'MAYBE',
+    NO: 'NO'
+};
+
+/**
+ * Output format appended to the system prompt
+ */
+export const VERDICT_FORMAT_INSTRUCTIONS = `Respond with a single JSON object and nothing else - no markdown, no code fences. Use exactly this schema:
+{
+  "verdict": "YES", "MAYBE" or "NO",
+  "score": integer from 0 to 100 for the overall fit,
+  "dimensions": {
+    "experience": integer from 0 to 100 for the experience requirement,
+    "skills": integer from 0 to 100 for the technical skills,
+    "projectFocus": integer from 0 to 100 for the project focus
+  },
+  "reasons": [ "short reason", ... ]
+}`;
+
+// Alternative spellings models use for the dimension keys
+const DIMENSION_ALIASES = {
+    experience: ['experience', 'experienceRequirement', 'experience_requirement'],
+    skills: ['skills', 'technicalSkills', 'technical_skills'],
+    projectFocus: ['projectFocus', 'project_focus', 'project']
+};
+
+// Score thresholds used when a response has a score but no verdict
+const MATCH_THRESHOLD = 70;
+const MAYBE_THRESHOLD = 45;
+
+/**
+ * Parse a model response into a validated verdict
+ * @param {String} text - Raw model output
+ * @returns {Object} Verdict with verdict, score, dimensions, reasons and the format that was parsed
+ * @throws {Error} If no verdict can be recovered
+ */
+export function parseVerdict(text) {
+    const raw = String(text || '');
+    const parsed = parseJsonLoosely(raw);
+
+    if (parsed && parsed.value && typeof parsed.value === 'object') {
+        return normalizeVerdict(parsed.value, parsed.repaired ? 'repaired' : 'json');
+    }
+
+    // Older prompts and some local models still answer in the HTML format
+    const legacy = parseLegacyVerdict(raw);
+    if (legacy) {
+        return legacy;
+    }
+
+    throw new Error('Could not parse a verdict from the model response');
+}
+
+/**
+ * Render a verdict as the analysis HTML shown in badges, overlays and the dashboard
+ * @param {Object} verdict - Output of parseVerdict
+ * @returns {String} Analysis HTML
+ */
+export function renderVerdictHtml(verdict) {
+    const reasons = verdict.reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('\n');
+    const score = verdict.score !== null ? ` <span class="search-assist-score">(score ${verdict.score}/100)</span>` : '';
+
+    const dimensions = VERDICT_DIMENSIONS
+        .filter(({ key }) => verdict.dimensions[key] !== null)
+        .map(({ key, label }) => `<li>${label}: ${verdict.dimensions[key]}/100</li>`)
+        .join('\n');
+
+    return `<h2>Analysis</h2>\n<strong>${verdict.verdict}</strong>${score}\n<ul>\n${reasons}\n</ul>` +
+        (dimensions ? `\n<h3>Scores</h3>\n<ul class="search-assist-dimensions">\n${dimensions}\n</ul>` : '');
+}
+
+/**
+ * Read whatever is already usable from a verdict that is still streaming in
+ * @param {String} text - Response text received so far
+ * @returns {Object} Partial verdict with verdict and score (null until known) and the reasons so far
+ */
+export function parsePartialVerdict(text) {
+    const raw = String(text || '');
+    const parsed = raw.trim() ? parseJsonLoosely(raw) : null;
+    const data = parsed && parsed.value && typeof parsed.value === 'object' ? parsed.value : {};
+
+    const reasons = Array.isArray(data.reasons)
+        ? data.reasons.filter(reason => typeof reason === 'string' && reason.trim())
+        : [];
+
+    return {
+        verdict: toVerdict(data.verdict),
+        score: toScore(data.score),
+        reasons
+    };
+}
+
+/**
+ * Render a partial verdict while the analysis is streaming
+ * @param {Object} partial - Output of parsePartialVerdict
+ * @returns {String} Analysis HTML
+ */
+export function renderPartialVerdictHtml(partial) {
+    const verdict = partial.verdict ? `<strong>${partial.verdict}</strong>` : '<em>Analyzing...</em>';
+    const score = partial.score !== null ? ` <span class="search-assist-score">(score ${partial.score}/100)</span>` : '';
+    const reasons = partial.reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('\n');
+
+    return `<h2>Analysis</h2>\n${verdict}${score}\n<ul>\n${reasons}\n</ul>`;
+}
+
+/**
+ * Try to parse JSON from model output, repairing common defects
+ * @param {String} text - Raw model output
+ * @returns {Object|null} Object with the parsed value and whether it needed repair, or null
+ */
+export function parseJsonLoosely(text) {
+    const direct = tryParse(text.trim());
+    if (direct !== undefined) {
+        return { value: direct, repaired: false };
+    }
+
+    // Strip code fences and any prose around the object
+    let candidate = text.replace(/```(?:json)?/gi, '');
+    const start = candidate.indexOf('{');
+    if (start === -1) {
+        return null;
+    }
+    const end = candidate.lastIndexOf('}');
+    candidate = end > start ? candidate.slice(start, end + 1) : candidate.slice(start);
+
+    const repairs = [
+        value => value,
+        // Curly quotes
+        value => value.replace(/[“”]/g, '"').replace(/[‘’]/g, "'"),
+        // Trailing commas
+        value => value.replace(/,\s*([}\]])/g, '$1'),
+        // Unquoted keys
+        value => value.replace(/([{,]\s*)([A-Za-z_]\w*)\s*:/g, '$1"$2":'),
+        // Truncated output - close the open string, arrays and objects
+        value => closeOpenStructures(value)
+    ];
+
+    // Apply the repairs cumulatively, stopping at the first one that parses
+    for (const repair of repairs) {
+        candidate = repair(candidate);
+        const value = tryParse(candidate);
+        if (value !== undefined) {
+            return { value, repaired: true };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * JSON.parse returning undefined instead of throwing
+ * @param {String} text - JSON text
+ * @returns {*} Parsed value or undefined
+ */
+function tryParse(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Close strings, arrays and objects left open by a truncated response
+ * @param {String} text - Partial JSON
+ * @returns {String} JSON with closing characters appended
+ */
+function closeOpenStructures(text) {
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+
+    for (const char of text) {
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            stack.push(char === '{' ? '}' : ']');
+        } else if (char === '}' || char === ']') {
+            stack.pop();
+        }
+    }
+
+    let closed = inString ? `${text}"` : text;
+    closed = closed.replace(/[,:]\s*$/, '');
+    return closed + stack.reverse().join('');
+}
+
+/**
+ * Validate and normalize a parsed verdict object
+ * @param {Object} data - Parsed JSON
+ * @param {String} format - How the verdict was obtained
+ * @returns {Object} Normalized verdict
+ */
+function normalizeVerdict(data, format) {
+    const dimensionSource = data.dimensions && typeof data.dimensions === 'object' ? data.dimensions : data;
+    const dimensions = {};
+    for (const [key, aliases] of Object.entries(DIMENSION_ALIASES)) {
+        const alias = aliases.find(name => dimensionSource[name] !== undefined);
+        dimensions[key] = alias ? toScore(dimensionSource[alias]) : null;
+    }
+
+    let score = toScore(data.score ?? data.fitScore ?? data.overallScore);
+    if (score === null) {
+        // Fall back to the average of the dimension scores
+        const known = Object.values(dimensions).filter(value => value !== null);
+        score = known.length > 0 ? Math.round(known.reduce((sum, value) => sum + value, 0) / known.length) : null;
+    }
+
+    let verdict = toVerdict(data.verdict ?? data.answer ?? data.match ?? data.isGoodFit);
+    if (!verdict) {
+        if (score === null) {
+            throw new Error('Model response has neither a verdict nor a score');
+        }
+        verdict = score >= MATCH_THRESHOLD ? VERDICTS.YES : score >= MAYBE_THRESHOLD ? VERDICTS.MAYBE : VERDICTS.NO;
+    }
+
+    let reasons = data.reasons ?? data.reason ?? [];
+    if (!Array.isArray(reasons)) {
+        reasons = [reasons];
+    }
+    reasons = reasons
+        .map(reason => (typeof reason === 'string' ? reason : JSON.stringify(reason)).trim())
+        .filter(Boolean);
+
+    return { verdict, score, dimensions, reasons, format };
+}
+
+/**
+ * Parse the older HTML/text format (<strong>YES</strong> followed by a list)
+ * @param {String} text - Raw model output
+ * @returns {Object|null} Normalized verdict or null
+ */
+function parseLegacyVerdict(text) {
+    const strongMatch = text.match(/<strong>(.*?)<\/strong>/i);
+    const answer = strongMatch ? strongMatch[1] : text.trim().split(/\s/)[0];
+    const verdict = toVerdict(answer);
+    if (!verdict) {
+        return null;
+    }
+
+    const reasons = Array.from(text.matchAll(/<li>([\s\S]*?)<\/li>/gi))
+        .map(match => match[1].replace(/<[^>]+>/g, '').trim())
+        .filter(Boolean);
+
+    return {
+        verdict,
+        score: null,
+        dimensions: { experience: null, skills: null, projectFocus: null },
+        reasons,
+        format: 'legacy'
+    };
+}
+
+/**
+ * Coerce a value to an integer score between 0 and 100
+ * @param {*} value - Raw score
+ * @returns {Number|null} Score or null if not numeric
+ */
+function toScore(value) {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof number !== 'number' || !isFinite(number)) {
+        return null;
+    }
+    // Some models answer with a fraction between 0 and 1
+    const scaled = number <= 1 && number > 0 && !Number.isInteger(number) ? number * 100 : number;
+    return Math.max(0, Math.min(100, Math.round(scaled)));
+}
+
+/**
+ * Coerce a value to YES/MAYBE/NO
+ * @param {*} value - Raw verdict
+ * @returns {String|null} YES, MAYBE, NO or null if unrecognized
+ */
+function toVerdict(value) {
+    if (value === true) return VERDICTS.YES;
+    if (value === false) return VERDICTS.NO;
+    if (typeof value !== 'string') return null;
+
+    const normalized = value.trim().toUpperCase().replace(/[^A-Z]/g, '');
+    if (normalized === 'YES' || normalized === 'MATCH' || normalized === 'TRUE') return VERDICTS.YES;
+    if (normalized === 'MAYBE' || normalized === 'BORDERLINE' || normalized === 'PARTIAL') return VERDICTS.MAYBE;
+    if (normalized === 'NO' || normalized === 'NOMATCH' || normalized === 'FALSE') return VERDICTS.NO;
+    return null;
+}
+
+/**
+ * Get the verdict of a stored result, including results saved before verdicts existed
+ * @param {Object} result - Analysis result
+ * @returns {String|null} YES, MAYBE, NO or null if unknown
+ */
+export function getResultVerdict(result) {
+    if (!result) return null;
+    return toVerdict(result.verdict) || toVerdict(result.isGoodFit);
+}
+
+/**
+ * Get the verdict shown for a job: the user's own if they overrode the model, otherwise the model's
+ * @param {Object} result - Analysis result or job record
+ * @returns {String|null} YES, MAYBE, NO or null if unknown
+ */
+export function getEffectiveVerdict(result) {
+    return toVerdict(result?.override?.verdict) || getResultVerdict(result);
+}
+
+/**
+ * Build the override stored when the user disagrees with the model's verdict of a job
+ * @param {Object|undefined} result - Stored analysis result or job record
+ * @param {String} verdict - The user's verdict (YES, MAYBE or NO)
+ * @param {String} reason - Optional explanation, passed on when criteria updates are suggested
+ * @returns {Object|null} Override, or null if the user agrees with the model after all
+ * @throws {Error} If the verdict is not recognized
+ */
+export function buildOverride(result, verdict, reason = '') {
+    const userVerdict = toVerdict(verdict);
+    if (!userVerdict) {
+        throw new Error(`Unknown verdict: ${verdict}`);
+    }
+
+    const modelVerdict = getResultVerdict(result);
+    if (userVerdict === modelVerdict) {
+        return null;
+    }
+
+    return {
+        verdict: userVerdict,
+        reason: String(reason || '').trim(),
+        modelVerdict,
+        date: new Date().toISOString()
+    };
+}
+
+/**
+ * Describe how the verdict of a job changed when it was last analyzed again
+ * @param {Object} job - Job record with its verdict history
+ * @returns {Object|null} Object with the previous (from) and current (to) verdict and the date of the
+ *                        change, or null if the last re-analysis kept the verdict
+ */
+export function getVerdictChange(job) {
+    const previous = job?.history?.[job.history.length - 1];
+    const from = getResultVerdict(previous);
+    const to = getResultVerdict(job);
+    return from && to && from !== to ? { from, to, date: job.date } : null;
+}
+
+/**
+ * Map a verdict to the legacy isGoodFit flag
+ * @param {String} verdict - YES, MAYBE or NO
+ * @returns {Boolean|null} true, false, or null for borderline results
+ */
+export function verdictToGoodFit(verdict) {
+    if (verdict === VERDICTS.YES) return true;
+    if (verdict === VERDICTS.NO) return false;
+    return null;
+}
+
+/**
+ * Escape text for inclusion in HTML
+ * @param {String} text - Raw text
+ * @returns {String} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
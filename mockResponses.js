@@ -1,50 +1,187 @@
-// Mock responses for testing
-const mockResponses = [
-    {
-        isGoodFit: true,
-        analysis: "YES - This role appears to be a great fit! Key positives:\n" +
-                 "• Senior-level position with competitive compensation\n" +
-                 "• Strong focus on technical leadership\n" +
-                 "• Modern tech stack and innovative projects\n" +
-                 "• Excellent company culture and benefits"
-    },
-    {
-        isGoodFit: false,
-        analysis: "NO - This position may not be the best match:\n" +
-                 "• Required skills don't align with typical profile\n" +
-                 "• Location/commute requirements may be challenging\n" +
-                 "• Company size/stage might not be ideal\n" +
-                 "• Compensation range below market expectations"
-    },
-    {
-        isGoodFit: true,
-        analysis: "YES - Excellent opportunity with great potential:\n" +
-                 "• Perfect experience level match\n" +
-                 "• Exciting technical challenges\n" +
-                 "• Remote work options available\n" +
-                 "• Growing company with advancement opportunities"
-    },
-    {
-        isGoodFit: false,
-        analysis: "NO - Several potential concerns:\n" +
-                 "• Too many required technologies outside core expertise\n" +
-                 "• Heavy travel requirements\n" +
-                 "• On-call rotation mentioned\n" +
-                 "• Project seems understaffed for scope"
+// Mock responses for testing without network access.
+// Verdicts are driven by scenarios matched against the job title and company,
+// so the same listing always gets the same verdict.
+
+const BUNDLED_SCENARIOS_PATH = 'mockScenarios.json';
+
+// The bundled scenario file only needs to be fetched once per worker lifetime
+let bundledScenarios = null;
+
+/**
+ * Load the active scenario set - user-loaded scenarios take precedence over the bundled file
+ * @returns {Promise<Object>} Scenario set
+ */
+async function loadMockScenarios() {
+    const stored = await chrome.storage.local.get(['mockScenarios']);
+    if (stored.mockScenarios) {
+        return stored.mockScenarios;
+    }
+
+    if (!bundledScenarios) {
+        const response = await fetch(chrome.runtime.getURL(BUNDLED_SCENARIOS_PATH));
+        bundledScenarios = await response.json();
+    }
+
+    return bundledScenarios;
+}
+
+/**
+ * Validate a scenario set loaded from a JSON file
+ * @param {Object} data - Parsed scenario file
+ * @returns {Array} List of error messages, empty if the set is valid
+ */
+function validateMockScenarios(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object') {
+        return ['Scenario file must contain a JSON object'];
     }
-];
 
-let mockResponseIndex = 0;
+    const checkEntry = (entry, label) => {
+        if (!entry || !['YES', 'MAYBE', 'NO'].includes(String(entry.verdict).toUpperCase())) {
+            errors.push(`${label}: verdict must be YES, MAYBE or NO`);
+        }
+        if (!Array.isArray(entry?.reasons) || entry.reasons.length === 0) {
+            errors.push(`${label}: reasons must be a non-empty array`);
+        }
+    };
+
+    if (!Array.isArray(data.scenarios)) {
+        errors.push('"scenarios" must be an array');
+    } else {
+        data.scenarios.forEach((scenario, index) => {
+            const label = scenario?.name || `Scenario ${index + 1}`;
+            checkEntry(scenario, label);
+            if (scenario?.score !== undefined && !(scenario.score >= 0 && scenario.score <= 100)) {
+                errors.push(`${label}: score must be between 0 and 100`);
+            }
 
-// Function to get next mock response
-function getMockResponse() {
-    const response = mockResponses[mockResponseIndex];
-    mockResponseIndex = (mockResponseIndex + 1) % mockResponses.length;
-    console.log('[JobListingAssistant] Generated mock response:', { 
-        index: mockResponseIndex, 
-        isGoodFit: response.isGoodFit 
+            const patterns = scenario?.match || {};
+            if (!patterns.title && !patterns.company) {
+                errors.push(`${label}: match needs a title and/or company pattern`);
+            }
+            for (const [field, pattern] of Object.entries(patterns)) {
+                try {
+                    new RegExp(pattern, 'i');
+                } catch (e) {
+                    errors.push(`${label}: invalid ${field} pattern (${e.message})`);
+                }
+            }
+        });
+    }
+
+    if (!Array.isArray(data.fallback) || data.fallback.length === 0) {
+        errors.push('"fallback" must be a non-empty array');
+    } else {
+        data.fallback.forEach((entry, index) => checkEntry(entry, `Fallback ${index + 1}`));
+    }
+
+    return errors;
+}
+
+/**
+ * Stable string hash (djb2) used to pick a fallback response
+ * @param {String} value - String to hash
+ * @returns {Number} Non-negative hash
+ */
+function hashString(value) {
+    let hash = 5381;
+    for (let i = 0; i < value.length; i++) {
+        hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash);
+}
+
+/**
+ * Build the JSON verdict the model is asked to produce
+ * @param {Object} entry - Scenario or fallback entry
+ * @param {Number} seed - Stable per-job number used to vary the scores
+ * @returns {Object} Verdict object
+ */
+function buildVerdict(entry, seed) {
+    const verdict = String(entry.verdict).toUpperCase();
+
+    // Matches score in the 70s-90s, borderline jobs in the 40s-60s, rejections in the 10s-30s,
+    // unless the scenario fixes them
+    const bases = { YES: 72, MAYBE: 45, NO: 18 };
+    const base = bases[verdict];
+    const vary = offset => base + ((seed >> offset) % 20);
+    const dimensions = {
+        experience: vary(0),
+        skills: vary(3),
+        projectFocus: vary(6),
+        ...(entry.dimensions || {})
+    };
+    const score = entry.score ?? Math.round((dimensions.experience + dimensions.skills + dimensions.projectFocus) / 3);
+
+    return {
+        verdict,
+        score,
+        dimensions,
+        reasons: entry.reasons
+    };
+}
+
+/**
+ * Find the first scenario whose patterns all match the job
+ * @param {Object} content - Job content (title, company)
+ * @param {Object} scenarioSet - Scenario set
+ * @returns {Object|null} Matching scenario or null
+ */
+function findScenario(content, scenarioSet) {
+    return (scenarioSet.scenarios || []).find(scenario => {
+        const patterns = scenario.match || {};
+        return Object.entries(patterns).every(([field, pattern]) => {
+            try {
+                return new RegExp(pattern, 'i').test(content[field] || '');
+            } catch (e) {
+                return false;
+            }
+        });
+    }) || null;
+}
+
+// Function to get the mock response for a job
+function getMockResponse(content = {}, scenarioSet = { scenarios: [], fallback: [] }) {
+    // Same job, same response - keyed on the job ID, or title and company if there is none
+    const seed = hashString(content.jobId || `${content.title || ''}|${content.company || ''}`);
+
+    let entry = findScenario(content, scenarioSet);
+    let source = entry ? entry.name : null;
+
+    if (!entry) {
+        const index = seed % scenarioSet.fallback.length;
+        entry = scenarioSet.fallback[index];
+        source = `fallback #${index + 1}`;
+    }
+
+    const verdict = buildVerdict(entry, seed);
+
+    console.log('[JobListingAssistant] Generated mock response:', {
+        jobId: content.jobId,
+        scenario: source,
+        verdict: verdict.verdict,
+        score: verdict.score
     });
-    return response;
+
+    return {
+        verdict: verdict.verdict,
+        text: JSON.stringify(verdict),
+        scenario: source
+    };
+}
+
+// Function to get a mock criteria update: the current criteria with a line per disagreement
+function getMockCriteriaSuggestion({ criteria = '', disagreements = [] } = {}) {
+    const lines = disagreements.map(item =>
+        `- Jobs like "${item.title}" at ${item.company} should be ${item.userVerdict}${item.reason ? ` (${item.reason})` : ''}`);
+
+    return {
+        text: JSON.stringify({
+            criteria: `${criteria.trim()}\n\nLearned from your verdicts:\n${lines.join('\n')}`,
+            summary: `Added ${lines.length} rule${lines.length === 1 ? '' : 's'} from the verdicts you overrode (mock response).`
+        })
+    };
 }
 
-export { getMockResponse }; 
\ No newline at end of file
+export { getMockCriteriaSuggestion, getMockResponse, loadMockScenarios, validateMockScenarios };
@@ -1,69 +1,633 @@
-// Default criteria text
-const defaultCriteria = `Please consider:
-1. Required experience level
-2. Skills required
-3. Job responsibilities
-4. Company reputation
-5. Overall job quality`;
+import ProviderFactory from './js/providers/ProviderFactory.js';
+import { validateMockScenarios } from './mockResponses.js';
+import { DEFAULT_RATE_LIMITS } from './js/providers/RateLimiter.js';
+import { DEFAULT_SPEND_LIMITS } from './js/background/UsageTracker.js';
+import { DEFAULT_RETENTION_RULES, validateRetentionRules } from './js/background/StorageManager.js';
+import { formatBytes } from './js/utils/usage.js';
+import { getModelPrice } from './js/providers/pricing.js';
+import {
+    buildAnalysisPrompts,
+    DEFAULT_PROMPT_TEMPLATES,
+    PROMPT_VARIABLES,
+    resolvePromptTemplates,
+    SAMPLE_JOB,
+    validatePromptTemplates
+} from './js/utils/promptTemplates.js';
+import { DEFAULT_FILTER_RULES, validateFilterRules } from './js/core/RuleEngine.js';
+import { createProfile, DEFAULT_CRITERIA, PROFILE_STORAGE_KEYS, resolveProfiles, saveProfiles } from './js/utils/profiles.js';
 
 // DOM Elements
+const providerSelect = document.getElementById('llmProvider');
+const modelInput = document.getElementById('llmModel');
+const baseUrlInput = document.getElementById('llmBaseUrl');
 const apiKeyInput = document.getElementById('apiKey');
+const apiKeyHint = document.getElementById('apiKeyHint');
+const connectionFields = document.getElementById('connectionFields');
+const mockScenarioFields = document.getElementById('mockScenarioFields');
+const mockScenariosInfo = document.getElementById('mockScenariosInfo');
+const mockScenariosFile = document.getElementById('mockScenariosFile');
+const resetMockScenariosButton = document.getElementById('resetMockScenarios');
+const testButton = document.getElementById('testProvider');
+const testStatusDiv = document.getElementById('testStatus');
+const requestsPerMinuteInput = document.getElementById('requestsPerMinute');
+const tokensPerMinuteInput = document.getElementById('tokensPerMinute');
+const maxRetriesInput = document.getElementById('maxRetries');
+const concurrencyInput = document.getElementById('concurrency');
+const streamAnalysesCheckbox = document.getElementById('streamAnalyses');
+const dailyCapInput = document.getElementById('dailyCap');
+const monthlyCapInput = document.getElementById('monthlyCap');
+const inputPriceInput = document.getElementById('inputPrice');
+const outputPriceInput = document.getElementById('outputPrice');
+const priceHint = document.getElementById('priceHint');
+const storageUsageTable = document.getElementById('storageUsage');
+const storageQuotaHint = document.getElementById('storageQuota');
+const retentionDayInputs = {
+    rejectedDays: document.getElementById('rejectedDays'),
+    borderlineDays: document.getElementById('borderlineDays'),
+    matchedDays: document.getElementById('matchedDays'),
+    dismissedDays: document.getElementById('dismissedDays')
+};
+const keepDescriptionsSelect = document.getElementById('keepDescriptions');
+const pruneNowButton = document.getElementById('pruneNow');
+const refreshStorageButton = document.getElementById('refreshStorage');
+const storageStatusDiv = document.getElementById('storageStatus');
+const profileSelect = document.getElementById('profileSelect');
+const profileNameInput = document.getElementById('profileName');
+const addProfileButton = document.getElementById('addProfile');
+const duplicateProfileButton = document.getElementById('duplicateProfile');
+const deleteProfileButton = document.getElementById('deleteProfile');
 const criteriaTextarea = document.getElementById('analysisCriteria');
 const resumeTextarea = document.getElementById('userResume');
+const ruleListTextareas = {
+    titleInclude: document.getElementById('titleInclude'),
+    titleExclude: document.getElementById('titleExclude'),
+    companyBlocklist: document.getElementById('companyBlocklist'),
+    requiredPhrases: document.getElementById('requiredPhrases'),
+    forbiddenPhrases: document.getElementById('forbiddenPhrases')
+};
+const minSalaryInput = document.getElementById('minSalary');
+const templateVariablesHint = document.getElementById('templateVariables');
+const systemTemplateTextarea = document.getElementById('systemTemplate');
+const userTemplateTextarea = document.getElementById('userTemplate');
+const templateErrorsDiv = document.getElementById('templateErrors');
+const resetTemplatesButton = document.getElementById('resetTemplates');
+const promptPreview = document.getElementById('promptPreview');
 const saveButton = document.getElementById('save');
 const statusDiv = document.getElementById('status');
 
+const providers = ProviderFactory.listProviders();
+
+// Working copy of the per-provider settings, keyed by provider ID
+let providerSettings = {};
+let selectedProviderId = null;
+
+// Working copy of the user's model prices, and the model the price fields currently show
+let modelPrices = {};
+let pricedModel = null;
+
+// Working copy of the criteria profiles, the one used for new analyses and the one shown in the form
+let profiles = {};
+let activeProfileId = null;
+let editedProfileId = null;
+
+// Fill the provider dropdown
+function populateProviders() {
+    providers.forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.label;
+        providerSelect.appendChild(option);
+    });
+}
+
+// Show the stored settings of a provider in the form
+function showProviderSettings(providerId) {
+    const provider = providers.find(p => p.id === providerId) || providers[0];
+    const settings = providerSettings[provider.id] || {};
+
+    selectedProviderId = provider.id;
+    providerSelect.value = provider.id;
+    modelInput.value = settings.model || provider.defaultModel;
+    baseUrlInput.value = settings.baseUrl || provider.defaultBaseUrl;
+    apiKeyInput.value = settings.apiKey || '';
+
+    modelInput.placeholder = provider.defaultModel;
+    baseUrlInput.placeholder = provider.defaultBaseUrl;
+    apiKeyHint.textContent = provider.requiresApiKey
+        ? "Use '0' for mock responses."
+        : 'Optional - only needed if your server requires authentication.';
+
+    // Providers without an endpoint (the mock) have no connection settings
+    const isOffline = !provider.defaultBaseUrl;
+    connectionFields.style.display = isOffline ? 'none' : 'block';
+    mockScenarioFields.style.display = provider.id === 'mock' ? 'block' : 'none';
+
+    showModelPrice();
+}
+
+// Keep the price fields of the model shown so far in the working copy
+function collectModelPrice() {
+    if (!pricedModel) return;
+
+    const input = parseFloat(inputPriceInput.value);
+    const output = parseFloat(outputPriceInput.value);
+    if (isNaN(input) && isNaN(output)) {
+        // Blank fields fall back to the built-in price
+        delete modelPrices[pricedModel];
+    } else {
+        modelPrices[pricedModel] = { input: input || 0, output: output || 0 };
+    }
+}
+
+// Show the price of the selected model
+function showModelPrice() {
+    const model = modelInput.value.trim() || modelInput.placeholder;
+    const override = modelPrices[model];
+    const builtIn = getModelPrice(selectedProviderId, model, {}, baseUrlInput.value.trim() || baseUrlInput.placeholder);
+
+    pricedModel = model;
+    inputPriceInput.value = override ? override.input : '';
+    outputPriceInput.value = override ? override.output : '';
+    inputPriceInput.placeholder = builtIn ? builtIn.input : '';
+    outputPriceInput.placeholder = builtIn ? builtIn.output : '';
+    priceHint.textContent = builtIn
+        ? `Prices for ${model}. Leave blank to use the built-in price.`
+        : `No built-in price for ${model} - its cost is unknown, so while a spend cap is set, analyses with it are ` +
+          'blocked. Enter its price to track its cost and keep the cap.';
+}
+
+// Describe which mock scenario set is active
+function showMockScenariosInfo(scenarioSet) {
+    mockScenariosInfo.textContent = scenarioSet
+        ? `Using ${scenarioSet.scenarios.length} custom scenarios loaded from a file.`
+        : 'Using the bundled scenarios (mockScenarios.json).';
+}
+
+// Load a scenario file chosen by the user
+async function loadMockScenariosFile() {
+    const file = mockScenariosFile.files[0];
+    if (!file) return;
+
+    try {
+        const scenarioSet = JSON.parse(await file.text());
+        const errors = validateMockScenarios(scenarioSet);
+        if (errors.length > 0) {
+            showStatus('Invalid scenario file: ' + errors.join('; '), false, statusDiv, 8000);
+            return;
+        }
+
+        await chrome.storage.local.set({ mockScenarios: scenarioSet });
+        showMockScenariosInfo(scenarioSet);
+        showStatus(`Loaded ${scenarioSet.scenarios.length} mock scenarios`, true);
+    } catch (error) {
+        showStatus('Could not read scenario file: ' + error.message, false);
+    } finally {
+        mockScenariosFile.value = '';
+    }
+}
+
+// Go back to the scenarios shipped with the extension
+async function resetMockScenarios() {
+    await chrome.storage.local.remove('mockScenarios');
+    showMockScenariosInfo(null);
+    showStatus('Using the bundled mock scenarios', true);
+}
+
+// Read the provider form back into the working copy
+function collectProviderSettings() {
+    if (!selectedProviderId) return;
+
+    providerSettings[selectedProviderId] = {
+        apiKey: apiKeyInput.value.trim(),
+        model: modelInput.value.trim(),
+        baseUrl: baseUrlInput.value.trim()
+    };
+}
+
 // Load saved settings
 function loadSettings() {
-    chrome.storage.local.get(['apiKey', 'jobCriteria', 'userResume'], (result) => {
-        if (result.apiKey) {
-            apiKeyInput.value = result.apiKey;
+    chrome.storage.local.get([...ProviderFactory.STORAGE_KEYS, ...PROFILE_STORAGE_KEYS, 'mockScenarios', 'rateLimits', 'spendLimits', 'modelPrices', 'streamAnalyses', 'retentionRules'], (result) => {
+        providerSettings = result.providerSettings || {};
+        modelPrices = result.modelPrices || {};
+
+        // Carry over the key saved by older versions
+        const active = ProviderFactory.resolveSettings(result);
+        if (!providerSettings[active.providerId]) {
+            providerSettings[active.providerId] = { apiKey: active.apiKey };
         }
-        
-        // Use jobCriteria or default
-        criteriaTextarea.value = result.jobCriteria || defaultCriteria;
-        
-        // Load resume if it exists
-        if (result.userResume) {
-            resumeTextarea.value = result.userResume;
+
+        showProviderSettings(active.providerId);
+        showMockScenariosInfo(result.mockScenarios);
+        // Streaming is on unless it was turned off
+        streamAnalysesCheckbox.checked = result.streamAnalyses !== false;
+
+        const rateLimits = { ...DEFAULT_RATE_LIMITS, ...(result.rateLimits || {}) };
+        requestsPerMinuteInput.value = rateLimits.requestsPerMinute;
+        tokensPerMinuteInput.value = rateLimits.tokensPerMinute;
+        maxRetriesInput.value = rateLimits.maxRetries;
+        concurrencyInput.value = rateLimits.concurrency;
+
+        const spendLimits = { ...DEFAULT_SPEND_LIMITS, ...(result.spendLimits || {}) };
+        dailyCapInput.value = spendLimits.dailyCap;
+        monthlyCapInput.value = spendLimits.monthlyCap;
+
+        const retentionRules = { ...DEFAULT_RETENTION_RULES, ...(result.retentionRules || {}) };
+        Object.entries(retentionDayInputs).forEach(([key, input]) => {
+            input.value = retentionRules[key];
+        });
+        keepDescriptionsSelect.value = retentionRules.keepDescriptions;
+
+        // Older versions kept a single criteria, resume and template set - it becomes the first profile
+        ({ profiles, activeProfileId } = resolveProfiles(result));
+        showProfile(activeProfileId);
+    });
+}
+
+// Show how much storage each category uses
+async function loadStorageUsage() {
+    let response;
+    try {
+        response = await chrome.runtime.sendMessage({ action: 'getStorageUsage' });
+    } catch (error) {
+        response = { success: false, error: error.message };
+    }
+    if (!response?.success) {
+        storageQuotaHint.textContent = 'Could not measure storage: ' + (response?.error || 'No response from background');
+        return;
+    }
+
+    storageUsageTable.innerHTML = '';
+    response.categories.forEach(category => {
+        const row = storageUsageTable.insertRow();
+        row.insertCell().textContent = category.label;
+        row.insertCell().textContent = category.count === undefined ? '' : `${category.count} jobs`;
+        row.insertCell().textContent = formatBytes(category.bytes);
+    });
+
+    const settingsBytes = response.categories
+        .filter(category => ['queue', 'usage', 'settings'].includes(category.id))
+        .reduce((total, category) => total + category.bytes, 0);
+    const lines = [`Settings storage: ${formatBytes(settingsBytes)} of ${formatBytes(response.settingsQuota)}.`];
+    if (response.estimate) {
+        lines.push(`The browser reports ${formatBytes(response.estimate.usage)} used of ${formatBytes(response.estimate.quota)} available to the extension.`);
+    }
+    storageQuotaHint.textContent = lines.join(' ');
+}
+
+// Read the retention fields
+function collectRetentionRules() {
+    const rules = { keepDescriptions: keepDescriptionsSelect.value };
+    Object.entries(retentionDayInputs).forEach(([key, input]) => {
+        rules[key] = input.value === '' ? 0 : Number(input.value);
+    });
+    return rules;
+}
+
+// Apply the saved retention rules right away
+async function pruneNow() {
+    pruneNowButton.disabled = true;
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'pruneJobs' });
+        if (!response?.success) {
+            throw new Error(response?.error || 'No response from background');
         }
+        showStatus(`Deleted ${response.deleted} jobs and dropped ${response.updated} descriptions`, true, storageStatusDiv);
+        await loadStorageUsage();
+    } catch (error) {
+        showStatus('Clean up failed: ' + error.message, false, storageStatusDiv);
+    } finally {
+        pruneNowButton.disabled = false;
+    }
+}
+
+// Fill the profile dropdown, marking the profile new analyses use
+function populateProfiles() {
+    profileSelect.innerHTML = '';
+    Object.values(profiles).forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.id === activeProfileId ? `${profile.name} (active)` : profile.name;
+        profileSelect.appendChild(option);
     });
 }
 
+// Show a profile's criteria, resume and templates in the form
+function showProfile(profileId) {
+    const profile = profiles[profileId];
+    const templates = resolvePromptTemplates(profile.promptTemplates);
+
+    editedProfileId = profile.id;
+    populateProfiles();
+    profileSelect.value = profile.id;
+    profileNameInput.value = profile.name;
+    criteriaTextarea.value = profile.criteria || DEFAULT_CRITERIA;
+    resumeTextarea.value = profile.resume || '';
+    showFilterRules(profile.rules);
+    systemTemplateTextarea.value = templates.system;
+    userTemplateTextarea.value = templates.user;
+    updatePromptPreview();
+}
+
+// Read the profile form back into the working copy
+function collectProfile() {
+    if (!editedProfileId) return;
+
+    const templates = collectPromptTemplates();
+    profiles[editedProfileId] = {
+        ...profiles[editedProfileId],
+        name: profileNameInput.value.trim(),
+        criteria: criteriaTextarea.value.trim(),
+        resume: resumeTextarea.value.trim(),
+        rules: collectFilterRules(),
+        // Unchanged templates are stored empty so they follow future updates of the defaults
+        promptTemplates: {
+            system: templates.system === DEFAULT_PROMPT_TEMPLATES.system ? '' : templates.system,
+            user: templates.user === DEFAULT_PROMPT_TEMPLATES.user ? '' : templates.user
+        }
+    };
+}
+
+// Show a profile's filter rules, one entry per line
+function showFilterRules(rules) {
+    const resolved = { ...DEFAULT_FILTER_RULES, ...(rules || {}) };
+    Object.entries(ruleListTextareas).forEach(([key, textarea]) => {
+        textarea.value = resolved[key].join('\n');
+    });
+    minSalaryInput.value = resolved.minSalary || '';
+}
+
+// Read the filter rule fields
+function collectFilterRules() {
+    const rules = {};
+    Object.entries(ruleListTextareas).forEach(([key, textarea]) => {
+        rules[key] = textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+    });
+    rules.minSalary = minSalaryInput.value === '' ? 0 : parseFloat(minSalaryInput.value);
+    return rules;
+}
+
+// Add a profile, either blank or as a copy of the one shown
+function addProfile(copyCurrent) {
+    collectProfile();
+
+    const current = profiles[editedProfileId];
+    const profile = copyCurrent
+        ? createProfile(`${current.name} (copy)`, current)
+        : createProfile(`Profile ${Object.keys(profiles).length + 1}`);
+
+    profiles[profile.id] = profile;
+    showProfile(profile.id);
+    showStatus('Profile added - save to keep it', true);
+}
+
+// Remove the profile shown
+function deleteProfile() {
+    const profile = profiles[editedProfileId];
+    if (Object.keys(profiles).length === 1) {
+        showStatus('At least one profile is needed', false);
+        return;
+    }
+    if (!confirm(`Delete the profile "${profile.name}"? Results it produced keep their tag.`)) {
+        return;
+    }
+
+    delete profiles[profile.id];
+    if (activeProfileId === profile.id) {
+        activeProfileId = Object.keys(profiles)[0];
+    }
+    editedProfileId = null;
+    showProfile(activeProfileId);
+    showStatus('Profile deleted - save to apply', true);
+}
+
+// Read the template editors
+function collectPromptTemplates() {
+    return {
+        system: systemTemplateTextarea.value,
+        user: userTemplateTextarea.value
+    };
+}
+
+// Validate the templates and render them against the sample job
+function updatePromptPreview() {
+    const templates = collectPromptTemplates();
+    const errors = validatePromptTemplates(templates);
+
+    templateErrorsDiv.textContent = errors.join('; ');
+    templateErrorsDiv.style.display = errors.length > 0 ? 'block' : 'none';
+
+    const { systemPrompt, userPrompt } = buildAnalysisPrompts(templates, {
+        criteria: criteriaTextarea.value.trim() || DEFAULT_CRITERIA,
+        resume: resumeTextarea.value.trim(),
+        job: SAMPLE_JOB
+    });
+    promptPreview.textContent = `SYSTEM:\n${systemPrompt}\n\nUSER:\n${userPrompt}`;
+}
+
+// Put the built-in templates back in the editors
+function resetPromptTemplates() {
+    systemTemplateTextarea.value = DEFAULT_PROMPT_TEMPLATES.system;
+    userTemplateTextarea.value = DEFAULT_PROMPT_TEMPLATES.user;
+    updatePromptPreview();
+    showStatus('Default templates restored - save to apply them', true);
+}
+
+/**
+ * Ask for access to the provider host if it is not covered by the manifest
+ * @param {String} baseUrl - Provider base URL
+ * @returns {Promise<Boolean>} True if the extension can reach the host
+ */
+async function ensureHostPermission(baseUrl) {
+    let origin;
+    try {
+        origin = `${new URL(baseUrl).origin}/*`;
+    } catch (error) {
+        return false;
+    }
+
+    const granted = await chrome.permissions.contains({ origins: [origin] });
+    if (granted) {
+        return true;
+    }
+
+    // Must run while the click that triggered the save is still active
+    return chrome.permissions.request({ origins: [origin] });
+}
+
 // Save settings
-function saveSettings() {
-    const apiKey = apiKeyInput.value.trim();
-    const criteria = criteriaTextarea.value.trim();
-    const resume = resumeTextarea.value.trim();
+async function saveSettings() {
+    collectProviderSettings();
+    collectModelPrice();
+    collectProfile();
 
-    if (!criteria) {
-        showStatus('Please enter job matching criteria', false);
+    const activeSettings = providerSettings[selectedProviderId];
+
+    for (const profile of Object.values(profiles)) {
+        if (!profile.name) {
+            showStatus('Every profile needs a name', false);
+            return;
+        }
+        if (!profile.criteria) {
+            showStatus(`Please enter job matching criteria for "${profile.name}"`, false);
+            return;
+        }
+
+        const ruleErrors = validateFilterRules({ ...DEFAULT_FILTER_RULES, ...(profile.rules || {}) });
+        if (ruleErrors.length > 0) {
+            showStatus(`Invalid filter rules in "${profile.name}": ` + ruleErrors.join('; '), false, statusDiv, 8000);
+            return;
+        }
+
+        const templateErrors = validatePromptTemplates(resolvePromptTemplates(profile.promptTemplates));
+        if (templateErrors.length > 0) {
+            showStatus(`Invalid prompt templates in "${profile.name}": ` + templateErrors.join('; '), false, statusDiv, 8000);
+            return;
+        }
+    }
+
+    const rateLimits = {
+        requestsPerMinute: parseInt(requestsPerMinuteInput.value, 10),
+        tokensPerMinute: parseInt(tokensPerMinuteInput.value, 10),
+        maxRetries: parseInt(maxRetriesInput.value, 10),
+        concurrency: parseInt(concurrencyInput.value, 10)
+    };
+    if (Object.values(rateLimits).some(value => isNaN(value) || value < 0)) {
+        showStatus('Rate limits must be whole numbers of 0 or more', false);
+        return;
+    }
+    if (rateLimits.concurrency < 1) {
+        showStatus('Allow at least one parallel analysis', false);
+        return;
+    }
+
+    const spendLimits = {
+        dailyCap: parseFloat(dailyCapInput.value) || 0,
+        monthlyCap: parseFloat(monthlyCapInput.value) || 0
+    };
+    if (spendLimits.dailyCap < 0 || spendLimits.monthlyCap < 0) {
+        showStatus('Spend caps cannot be negative', false);
+        return;
+    }
+
+    const retentionRules = collectRetentionRules();
+    const retentionErrors = validateRetentionRules(retentionRules);
+    if (retentionErrors.length > 0) {
+        showStatus('Invalid retention rules: ' + retentionErrors.join('; '), false);
+        return;
+    }
+
+    if (activeSettings.baseUrl && !(await ensureHostPermission(activeSettings.baseUrl))) {
+        showStatus('Permission to access the provider base URL was not granted', false);
         return;
     }
 
-    chrome.storage.local.set({
-        apiKey: apiKey,
-        jobCriteria: criteria,
-        userResume: resume
-    }, () => {
-        if (chrome.runtime.lastError) {
-            showStatus('Error saving settings: ' + chrome.runtime.lastError.message, false);
+    try {
+        await chrome.storage.local.set({
+            llmProvider: selectedProviderId,
+            providerSettings: providerSettings,
+            rateLimits: rateLimits,
+            spendLimits: spendLimits,
+            modelPrices: modelPrices,
+            streamAnalyses: streamAnalysesCheckbox.checked,
+            retentionRules: retentionRules
+        });
+        await saveProfiles(profiles, activeProfileId);
+        showStatus('Settings saved successfully!', true);
+    } catch (error) {
+        showStatus('Error saving settings: ' + error.message, false);
+    }
+}
+
+// Send a test prompt with the settings currently in the form
+async function testConnection() {
+    collectProviderSettings();
+
+    const settings = ProviderFactory.resolveSettings({
+        llmProvider: selectedProviderId,
+        providerSettings: providerSettings
+    });
+
+    testButton.disabled = true;
+    showStatus('Testing connection...', true, testStatusDiv, 0);
+
+    try {
+        if (settings.baseUrl && !(await ensureHostPermission(settings.baseUrl))) {
+            throw new Error('Permission to access the provider base URL was not granted');
+        }
+
+        const response = await chrome.runtime.sendMessage({ action: 'testProvider', settings });
+
+        if (response && response.success) {
+            showStatus(`Connected to ${response.model} in ${response.latencyMs} ms. Reply: "${response.reply}"`, true, testStatusDiv);
         } else {
-            showStatus('Settings saved successfully!', true);
+            showStatus('Connection failed: ' + (response?.error || 'No response from background'), false, testStatusDiv);
         }
-    });
+    } catch (error) {
+        showStatus('Connection failed: ' + error.message, false, testStatusDiv);
+    } finally {
+        testButton.disabled = false;
+    }
 }
 
 // Show status message
-function showStatus(message, success) {
-    statusDiv.textContent = message;
-    statusDiv.className = 'status ' + (success ? 'success' : 'error');
-    statusDiv.style.display = 'block';
-    setTimeout(() => {
-        statusDiv.style.display = 'none';
-    }, 3000);
+function showStatus(message, success, target = statusDiv, hideAfter = 3000) {
+    target.textContent = message;
+    target.className = 'status ' + (success ? 'success' : 'error');
+    target.style.display = 'block';
+    if (hideAfter) {
+        setTimeout(() => {
+            target.style.display = 'none';
+        }, hideAfter);
+    }
 }
 
 // Event Listeners
-document.addEventListener('DOMContentLoaded', loadSettings);
-saveButton.addEventListener('click', saveSettings); 
\ No newline at end of file
+document.addEventListener('DOMContentLoaded', () => {
+    populateProviders();
+    templateVariablesHint.textContent = 'Variables: ' + PROMPT_VARIABLES
+        .map(variable => `{{${variable.name}}} - ${variable.description}`)
+        .join(' · ');
+    loadSettings();
+    loadStorageUsage();
+});
+providerSelect.addEventListener('change', () => {
+    collectProviderSettings();
+    collectModelPrice();
+    showProviderSettings(providerSelect.value);
+});
+modelInput.addEventListener('change', () => {
+    collectModelPrice();
+    showModelPrice();
+});
+// Servers on this machine are free; the same API type on a hosted service is not
+baseUrlInput.addEventListener('change', showModelPrice);
+mockScenariosFile.addEventListener('change', loadMockScenariosFile);
+resetMockScenariosButton.addEventListener('click', resetMockScenarios);
+testButton.addEventListener('click', testConnection);
+[systemTemplateTextarea, userTemplateTextarea, criteriaTextarea, resumeTextarea].forEach(textarea => {
+    textarea.addEventListener('input', updatePromptPreview);
+});
+resetTemplatesButton.addEventListener('click', resetPromptTemplates);
+profileSelect.addEventListener('change', () => {
+    collectProfile();
+    showProfile(profileSelect.value);
+});
+profileNameInput.addEventListener('input', () => {
+    const name = profileNameInput.value.trim() || '(unnamed)';
+    profileSelect.selectedOptions[0].textContent = editedProfileId === activeProfileId ? `${name} (active)` : name;
+});
+// The popup switches the active profile while this page may be open
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.activeProfileId && profiles[changes.activeProfileId.newValue]) {
+        collectProfile();
+        activeProfileId = changes.activeProfileId.newValue;
+        populateProfiles();
+        profileSelect.value = editedProfileId;
+    }
+});
+addProfileButton.addEventListener('click', () => addProfile(false));
+duplicateProfileButton.addEventListener('click', () => addProfile(true));
+deleteProfileButton.addEventListener('click', deleteProfile);
+pruneNowButton.addEventListener('click', pruneNow);
+refreshStorageButton.addEventListener('click', loadStorageUsage);
+saveButton.addEventListener('click', saveSettings);
@@ -1,10 +1,80 @@
+import ProviderFactory from './js/providers/ProviderFactory.js';
+import { formatTotals } from './js/utils/usage.js';
+import { PROFILE_STORAGE_KEYS, resolveProfiles, saveProfiles } from './js/utils/profiles.js';
+import AdapterRegistry from './js/core/AdapterRegistry.js';
+
+/**
+ * Check whether the adapter of a tab is loaded by the popup rather than registered for its pages
+ * @param {String} url - Tab URL
+ * @returns {Boolean} True for career sites without an adapter of their own
+ */
+function isOnDemandPage(url) {
+    return !!AdapterRegistry.find(url)?.capabilities.onDemand;
+}
+
+// Attempts to reach a content script loaded from the popup, which starts listening once its adapter is set up
+const READY_ATTEMPTS = 10;
+const READY_DELAY = 500;
+
+/**
+ * Load the content script into a career page whose JobPosting data the JobPosting adapter reads
+ * @param {Number} tabId - Tab ID
+ */
+async function injectContentScript(tabId) {
+    const [{ result: hasPosting }] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: () => Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+            .some(script => script.textContent.includes('JobPosting'))
+    });
+    if (!hasPosting) {
+        throw new Error('This page has no job posting data to analyze');
+    }
+
+    await chrome.scripting.executeScript({ target: { tabId }, files: ['js/content.js'] });
+}
+
+/**
+ * Send a message to a content script that may still be setting up
+ * @param {Number} tabId - Tab ID
+ * @param {Object} message - Message
+ * @returns {Promise<Object>} Response of the content script
+ */
+async function sendWhenReady(tabId, message) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await chrome.tabs.sendMessage(tabId, message);
+        } catch (error) {
+            if (attempt >= READY_ATTEMPTS) {
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, READY_DELAY));
+        }
+    }
+}
+
 document.addEventListener('DOMContentLoaded', () => {
     const startButton = document.getElementById('startProcessing');
+    const reanalyzeStaleButton = document.getElementById('reanalyzeStale');
     const viewMatchingJobsButton = document.getElementById('viewMatchingJobs');
+    const viewMaybeJobsButton = document.getElementById('viewMaybeJobs');
     const viewRejectedJobsButton = document.getElementById('viewRejectedJobs');
+    const viewApplicationsButton = document.getElementById('viewApplications');
     const status = document.getElementById('status');
     const optionsLink = document.getElementById('openOptions');
     const maxJobsInput = document.getElementById('maxJobsInput');
+    const usageToday = document.getElementById('usageToday');
+    const usageMonth = document.getElementById('usageMonth');
+    const usageSession = document.getElementById('usageSession');
+    const profileSelect = document.getElementById('profileSelect');
+    let activeTab = null;
+
+    // Other career sites are analyzed one page at a time, once the user asks for it
+    chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+        activeTab = tab;
+        if (isOnDemandPage(tab?.url)) {
+            startButton.textContent = 'Analyze This Page';
+        }
+    });
 
     // Load saved max jobs value
     chrome.storage.local.get(['maxJobsToProcess'], (result) => {
@@ -13,16 +83,63 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
-    // Check if API key is configured
-    chrome.storage.local.get(['apiKey'], (result) => {
-        if (!result.apiKey) {
+    // Fill the profile switcher - new analyses use the selected profile
+    chrome.storage.local.get(PROFILE_STORAGE_KEYS, (result) => {
+        const { profiles, activeProfileId } = resolveProfiles(result);
+        
+        Object.values(profiles).forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            profileSelect.appendChild(option);
+        });
+        profileSelect.value = activeProfileId;
+        
+        profileSelect.addEventListener('change', async () => {
+            // Profiles edited in the options page since the popup opened must not be overwritten
+            const { profiles: current } = resolveProfiles(await chrome.storage.local.get(PROFILE_STORAGE_KEYS));
+            if (!current[profileSelect.value]) {
+                status.textContent = 'This profile was deleted. Reopen the popup to see the current profiles.';
+                status.className = 'error';
+                status.style.display = 'block';
+                return;
+            }
+            // Saving all profiles also migrates the settings of older versions
+            await saveProfiles(current, profileSelect.value);
+        });
+    });
+
+    // Check if the selected provider is configured
+    chrome.storage.local.get(ProviderFactory.STORAGE_KEYS, (result) => {
+        if (!ProviderFactory.isConfigured(ProviderFactory.resolveSettings(result))) {
             startButton.disabled = true;
+            reanalyzeStaleButton.disabled = true;
             status.textContent = 'Please configure your API key first';
             status.className = 'error';
             status.style.display = 'block';
         }
     });
 
+    // Show token and cost totals, and block processing once a spend cap is reached
+    chrome.runtime.sendMessage({ action: 'getUsageSummary' }, (summary) => {
+        if (chrome.runtime.lastError || !summary?.success) {
+            console.error('Error loading usage summary:', chrome.runtime.lastError || summary?.error);
+            return;
+        }
+        
+        usageToday.textContent = formatTotals(summary.today);
+        usageMonth.textContent = formatTotals(summary.month);
+        usageSession.textContent = formatTotals(summary.session);
+        
+        if (summary.capReached) {
+            startButton.disabled = true;
+            reanalyzeStaleButton.disabled = true;
+            status.textContent = `${summary.capMessage}. ${summary.capAdvice}.`;
+            status.className = 'error';
+            status.style.display = 'block';
+        }
+    });
+
     // Save max jobs value when changed
     maxJobsInput.addEventListener('change', () => {
         const maxJobs = parseInt(maxJobsInput.value);
@@ -32,63 +149,103 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
-    // Handle start processing button click
-    startButton.addEventListener('click', async () => {
-        startButton.disabled = true;
+    /**
+     * Ask the content script of the active job search tab to start a run
+     * @param {HTMLButtonElement} button - Button that started the run
+     * @param {Object} message - startProcessing message, with staleOnly for re-analysis runs
+     */
+    async function startRun(button, message) {
+        const idleText = button.textContent;
+        button.disabled = true;
         status.style.display = 'none';
 
+        // Career pages are not covered by the host permissions; access to the site must be asked for
+        // while the click is still active, before anything else is awaited
+        const onCareerPage = isOnDemandPage(activeTab?.url);
+        const pageAccess = onCareerPage
+            ? chrome.permissions.request({ origins: [`${new URL(activeTab.url).origin}/*`] })
+            : null;
+
         try {
             // Save the current max jobs value
             const maxJobs = parseInt(maxJobsInput.value) || 100;
             chrome.storage.local.set({ maxJobsToProcess: maxJobs });
             
-            // Check if we're on a LinkedIn jobs page
+            // Check if we're on a supported job search page
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
             
-            if (!tab.url.includes('linkedin.com/jobs')) {
-                throw new Error('Please navigate to a LinkedIn jobs search page first');
+            if (onCareerPage) {
+                if (!await pageAccess) {
+                    throw new Error('Access to this site is needed to analyze its job posting');
+                }
+                await injectContentScript(tab.id);
+            } else if (!AdapterRegistry.find(tab.url)) {
+                throw new Error('Please navigate to a LinkedIn or Indeed job search page, a Greenhouse, Lever or Ashby job page, or a career site job posting first');
             }
 
             // Send message directly to the content script
-            // The content script is already loaded via manifest.json, so we don't need to inject it
+            // On job search pages the content script is already loaded, registered by the background
+            let response;
             try {
-                const response = await chrome.tabs.sendMessage(tab.id, { action: 'startProcessing' });
-                
-                if (response && response.success === true) {
-                    startButton.textContent = 'Processing Complete';
-                } else {
-                    throw new Error(response?.error || 'Failed to start processing');
-                }
+                response = onCareerPage
+                    ? await sendWhenReady(tab.id, message)
+                    : await chrome.tabs.sendMessage(tab.id, message);
             } catch (error) {
                 console.error('Error communicating with content script:', error);
                 
                 // The error might be because the content script hasn't fully loaded yet
-                status.textContent = 'Please refresh the LinkedIn page and try again.';
+                status.textContent = 'Please refresh the page and try again.';
                 status.className = 'error';
                 status.style.display = 'block';
-                startButton.disabled = false;
-                startButton.textContent = 'Start Processing';
+                button.disabled = false;
+                button.textContent = idleText;
+                return;
+            }
+            
+            if (response && response.success === true) {
+                button.textContent = 'Processing Complete';
+            } else {
+                // The page refused to start, e.g. because a spend cap is reached
+                throw new Error(response?.error || 'Failed to start processing');
             }
         } catch (error) {
             console.error('Error:', error);
             status.textContent = error.message || 'Could not connect to page. Please refresh and try again.';
             status.className = 'error';
             status.style.display = 'block';
-            startButton.disabled = false;
-            startButton.textContent = 'Start Processing';
+            button.disabled = false;
+            button.textContent = idleText;
         }
-    });
+    }
+
+    // Handle start processing button click
+    startButton.addEventListener('click', () => startRun(startButton, { action: 'startProcessing' }));
+
+    // Analyze again only the jobs whose verdict predates the current criteria, resume, prompts or model
+    reanalyzeStaleButton.addEventListener('click', () => startRun(reanalyzeStaleButton, { action: 'startProcessing', staleOnly: true }));
 
     // Handle view matching jobs button click
     viewMatchingJobsButton.addEventListener('click', () => {
-        // Open the matching jobs page in a new tab
-        chrome.tabs.create({ url: 'yes_jobs.html' });
+        // Open the dashboard on the matching jobs in a new tab
+        chrome.tabs.create({ url: 'dashboard.html?verdict=YES' });
+    });
+
+    // Handle view borderline jobs button click
+    viewMaybeJobsButton.addEventListener('click', () => {
+        // Open the dashboard on the borderline jobs in a new tab
+        chrome.tabs.create({ url: 'dashboard.html?verdict=MAYBE' });
     });
 
     // Handle view rejected jobs button click
     viewRejectedJobsButton.addEventListener('click', () => {
-        // Open the rejected jobs page in a new tab
-        chrome.tabs.create({ url: 'no_jobs.html' });
+        // Open the dashboard on the rejected jobs in a new tab
+        chrome.tabs.create({ url: 'dashboard.html?verdict=NO' });
+    });
+
+    // Handle view applications button click
+    viewApplicationsButton.addEventListener('click', () => {
+        // Open the dashboard on the application board in a new tab
+        chrome.tabs.create({ url: 'dashboard.html?view=board' });
     });
 
     // Handle options link click
@@ -0,0 +1,98 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import AnalysisQueue from '../../js/background/AnalysisQueue.js';
+
+/**
+ * Install the chrome APIs the queue uses: storage, and tabs that acknowledge every response
+ * @returns {Array<Object>} Responses sent to tabs, as {tabId, requestId, data}
+ */
+function installChrome() {
+    const stored = {};
+    const sent = [];
+    globalThis.chrome = {
+        storage: {
+            local: {
+                get: async keys => Object.fromEntries(keys.filter(key => key in stored).map(key => [key, stored[key]])),
+                set: async items => Object.assign(stored, structuredClone(items))
+            }
+        },
+        tabs: {
+            sendMessage: async (tabId, message) => {
+                sent.push({ tabId, requestId: message.responseToId, data: message.data });
+                return { received: true };
+            }
+        }
+    };
+    return sent;
+}
+
+/**
+ * Queue whose analyses finish when the test releases them
+ * @returns {Object} Object with the queue, the tasks the handler was called with and release()
+ */
+function createQueue() {
+    const started = [];
+    const releases = [];
+    const queue = new AnalysisQueue({
+        handler: task => new Promise(resolve => {
+            started.push(task);
+            releases.push(() => resolve({ success: true, verdict: 'YES', profileId: task.profileId }));
+        }),
+        concurrency: 4
+    });
+    return {
+        queue,
+        started,
+        release: async () => {
+            // Tasks start after the queue saved them
+            await new Promise(resolve => setTimeout(resolve, 10));
+            releases.splice(0).forEach(release => release());
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    };
+}
+
+describe('AnalysisQueue', () => {
+    let sent;
+
+    beforeEach(() => {
+        sent = installChrome();
+    });
+
+    it('analyzes a pending job once per profile and delivers it to every requester', async () => {
+        const { queue, started, release } = createQueue();
+
+        const first = await queue.enqueue({ id: 'r1', tabId: 1, content: { jobId: 'j1' }, profileId: 'p1' });
+        const second = await queue.enqueue({ id: 'r2', tabId: 2, content: { jobId: 'j1' }, profileId: 'p1' });
+        await release();
+
+        assert.equal(second, first);
+        assert.equal(started.length, 1);
+        assert.deepEqual(sent.map(({ tabId, requestId }) => [tabId, requestId]), [[1, 'r1'], [2, 'r2']]);
+        assert.deepEqual(queue.tasks, {});
+    });
+
+    it('analyzes a pending job again for a request with another profile', async () => {
+        const { queue, started, release } = createQueue();
+
+        await queue.enqueue({ id: 'r1', tabId: 1, content: { jobId: 'j1' }, profileId: 'p1' });
+        const other = await queue.enqueue({ id: 'r2', tabId: 1, content: { jobId: 'j1' }, profileId: 'p2' });
+        await release();
+
+        assert.equal(other.id, 'r2');
+        assert.deepEqual(started.map(task => task.profileId), ['p1', 'p2']);
+        assert.deepEqual(sent.map(({ requestId, data }) => [requestId, data.profileId]), [['r1', 'p1'], ['r2', 'p2']]);
+    });
+
+    it('finds pending tasks by job and profile', async () => {
+        const { queue, release } = createQueue();
+
+        await queue.enqueue({ id: 'r1', tabId: 1, content: { jobId: 'j1' }, profileId: 'p1' });
+
+        assert.equal(queue.findPending('j1', 'p1')?.id, 'r1');
+        assert.equal(queue.findPending('j1', 'p2'), undefined);
+        assert.equal(queue.findPending('j2', 'p1'), undefined);
+        await release();
+        assert.equal(queue.findPending('j1', 'p1'), undefined);
+    });
+});
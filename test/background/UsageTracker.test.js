@@ -0,0 +1,73 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import UsageTracker from '../../js/background/UsageTracker.js';
+
+const HOSTED = { providerId: 'openai-compatible', model: 'llama-3-70b', baseUrl: 'https://api.together.xyz/v1' };
+const LOCAL = { providerId: 'openai-compatible', model: 'llama3', baseUrl: 'http://localhost:11434/v1' };
+
+/**
+ * Install chrome.storage.local with the given settings
+ * @param {Object} stored - Stored values
+ */
+function installStorage(stored) {
+    globalThis.chrome = {
+        storage: {
+            local: {
+                get: async keys => Object.fromEntries(keys.filter(key => key in stored).map(key => [key, stored[key]])),
+                set: async items => Object.assign(stored, structuredClone(items))
+            }
+        }
+    };
+}
+
+describe('UsageTracker', () => {
+    let stored;
+
+    beforeEach(() => {
+        stored = {};
+        installStorage(stored);
+    });
+
+    it('prices requests to hosted OpenAI-compatible services, and not to local ones', async () => {
+        stored.modelPrices = { 'llama-3-70b': { input: 1, output: 1 } };
+        const tracker = new UsageTracker();
+
+        const hosted = await tracker.record({ ...HOSTED, usage: { inputTokens: 500000, outputTokens: 500000 } });
+        const local = await tracker.record({ ...LOCAL, usage: { inputTokens: 500000, outputTokens: 500000 } });
+
+        assert.equal(hosted.cost, 1);
+        assert.equal(local.cost, 0);
+    });
+
+    it('stops a hosted service at the cap', async () => {
+        stored.modelPrices = { 'llama-3-70b': { input: 1, output: 1 } };
+        stored.spendLimits = { dailyCap: 1 };
+        const tracker = new UsageTracker();
+
+        await tracker.record({ ...HOSTED, usage: { inputTokens: 600000, outputTokens: 600000 } });
+        const summary = await tracker.getSummary(HOSTED);
+
+        assert.equal(summary.capReached, true);
+        assert.equal(summary.capMessage, 'Daily spend cap of $1.00 reached');
+    });
+
+    it('blocks a model without a price while a cap is set', async () => {
+        stored.spendLimits = { monthlyCap: 20 };
+        const tracker = new UsageTracker();
+
+        const summary = await tracker.getSummary(HOSTED);
+
+        assert.equal(summary.capReached, true);
+        assert.equal(summary.capMessage, 'The cost of llama-3-70b is unknown, so the spend cap cannot be enforced');
+        assert.match(summary.capAdvice, /Enter its price/);
+    });
+
+    it('lets a model without a price run when no cap is set, or when it is local', async () => {
+        const tracker = new UsageTracker();
+        assert.equal((await tracker.getSummary(HOSTED)).capReached, false);
+
+        stored.spendLimits = { dailyCap: 5 };
+        assert.equal((await tracker.getSummary(LOCAL)).capReached, false);
+        assert.equal((await tracker.getSummary()).capReached, false);
+    });
+});
@@ -0,0 +1,114 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import JobProcessor from '../../js/core/JobProcessor.js';
+import JobRepository from '../../js/core/JobRepository.js';
+import { getVerdictChange } from '../../js/utils/verdict.js';
+
+const CONTENT = {
+    jobId: '4012345678',
+    title: 'Senior Frontend Engineer',
+    company: 'Acme Corp',
+    location: 'Remote',
+    description: 'Build React apps',
+    source: 'linkedin',
+    url: 'https://www.linkedin.com/jobs/view/4012345678/'
+};
+
+/**
+ * Install a chrome API whose background answers the page from a job repository, the way background.js does
+ * @param {JobRepository} repository - Job repository the background saves to
+ * @param {Object} analysis - Result the background returns for analyzeListing
+ * @returns {Object} Object with the messages sent and settled(), which waits for the writes
+ */
+function installBackground(repository, analysis) {
+    const listeners = new Set();
+    const sent = [];
+    const writes = [];
+
+    const handle = async (message) => {
+        switch (message.action) {
+            case 'getCachedResults':
+                return { success: true, results: await repository.getMany(message.jobIds) };
+            case 'saveCachedResult':
+                await repository.saveResult(message.jobId, message.result);
+                return { success: true };
+            case 'analyzeListing':
+                // Queued, with the verdict following under the request ID
+                setTimeout(() => {
+                    for (const listener of listeners) {
+                        listener({ responseToId: message.requestId, data: { success: true, ...analysis } }, {}, () => {});
+                    }
+                });
+                return { queued: true };
+            default:
+                return { success: false, error: `Unexpected action ${message.action}` };
+        }
+    };
+
+    globalThis.chrome = {
+        runtime: {
+            lastError: null,
+            connect: () => ({ onMessage: { addListener() {} }, onDisconnect: { addListener() {} } }),
+            onMessage: {
+                addListener: listener => listeners.add(listener),
+                removeListener: listener => listeners.delete(listener)
+            },
+            sendMessage(message, callback) {
+                sent.push(message);
+                const reply = handle(message);
+                writes.push(reply);
+                reply.then(response => callback?.(response));
+            }
+        },
+        storage: { local: { set: async () => {} } }
+    };
+
+    return {
+        sent,
+        settled: () => Promise.all(writes)
+    };
+}
+
+/**
+ * Analyze a job on the page and wait until the background stored it
+ * @param {JobRepository} repository - Job repository
+ * @param {Object} analysis - Result the background returns
+ * @returns {Promise<Object>} The stored record and the messages the page sent
+ */
+async function analyzeOnPage(repository, analysis) {
+    const background = installBackground(repository, analysis);
+    const processor = new JobProcessor();
+
+    await processor.processListing(CONTENT, `job_${CONTENT.jobId}`, { refresh: true });
+    await background.settled();
+
+    return { record: await repository.get(CONTENT.jobId), sent: background.sent };
+}
+
+describe('JobProcessor', () => {
+    let repository;
+
+    beforeEach(() => {
+        globalThis.indexedDB = new IDBFactory();
+        repository = new JobRepository();
+    });
+
+    it('saves a page analysis once', async () => {
+        const { record, sent } = await analyzeOnPage(repository, { verdict: 'YES', isGoodFit: true, analysis: 'Good fit' });
+
+        assert.equal(sent.filter(message => message.action === 'saveCachedResult').length, 1);
+        assert.equal(record.verdict, 'YES');
+        assert.deepEqual(record.history, []);
+    });
+
+    it('adds one history entry per page analysis, so a changed verdict shows', async () => {
+        await analyzeOnPage(repository, { verdict: 'NO', isGoodFit: false, analysis: 'Not a fit', fingerprint: 'a' });
+        const { record } = await analyzeOnPage(repository, { verdict: 'YES', isGoodFit: true, analysis: 'Good fit', fingerprint: 'b' });
+
+        assert.equal(record.history.length, 1);
+        assert.equal(record.history[0].verdict, 'NO');
+        assert.equal(record.history[0].fingerprint, 'a');
+        assert.deepEqual(getVerdictChange(record), { from: 'NO', to: 'YES', date: record.date });
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * stubServer.js
+ * Local HTTP server standing in for a provider API: it records the requests it gets and answers them
+ * with whatever the test queued
+ */
+
+import http from 'node:http';
+
+/**
+ * Start a stub server on a free local port
+ * @returns {Promise<Object>} Object with the baseUrl, the recorded requests, reply() to queue a response
+ *                            and close()
+ */
+export async function startStubServer() {
+    const requests = [];
+    const replies = [];
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({
+                method: req.method,
+                path: req.url,
+                headers: req.headers,
+                body: body ? JSON.parse(body) : null
+            });
+
+            const reply = replies.shift() || { status: 500, json: { error: { message: 'No reply queued' } } };
+            const headers = { ...reply.headers };
+            let payload;
+            if (reply.events) {
+                // Server-sent events, one data line per event
+                headers['Content-Type'] = 'text/event-stream';
+                payload = reply.events
+                    .map(event => `${event.event ? `event: ${event.event}\n` : ''}data: ${typeof event.data === 'string' ? event.data : JSON.stringify(event.data)}\n\n`)
+                    .join('');
+            } else if (reply.json !== undefined) {
+                headers['Content-Type'] = 'application/json';
+                payload = JSON.stringify(reply.json);
+            } else {
+                payload = reply.text || '';
+            }
+
+            res.writeHead(reply.status || 200, headers);
+            res.end(payload);
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        baseUrl: `http://127.0.0.1:${port}/v1`,
+        requests,
+        /**
+         * Queue the response to the next request
+         * @param {Object} reply - status, headers, and one of json, events or text
+         */
+        reply(reply) {
+            replies.push(reply);
+        },
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
@@ -0,0 +1,145 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import AnthropicProvider from '../../js/providers/AnthropicProvider.js';
+import ProviderError, { ERROR_TYPES } from '../../js/providers/ProviderError.js';
+import { startStubServer } from '../helpers/stubServer.js';
+
+const REQUEST = { systemPrompt: 'You screen jobs', userPrompt: 'Is this a fit?', temperature: 0.2 };
+
+describe('AnthropicProvider', () => {
+    let server;
+    let provider;
+
+    before(async () => {
+        server = await startStubServer();
+        provider = new AnthropicProvider({ apiKey: 'sk-ant-test', model: 'claude-test', baseUrl: server.baseUrl });
+    });
+
+    after(() => server.close());
+
+    it('posts the prompts to the messages endpoint', async () => {
+        server.reply({ json: { content: [{ type: 'text', text: 'VERDICT: YES' }] } });
+
+        await provider.complete(REQUEST);
+
+        const request = server.requests.at(-1);
+        assert.equal(request.method, 'POST');
+        assert.equal(request.path, '/v1/messages');
+        assert.equal(request.headers['x-api-key'], 'sk-ant-test');
+        assert.equal(request.headers['anthropic-version'], AnthropicProvider.apiVersion);
+        assert.equal(request.headers['anthropic-dangerous-direct-browser-access'], 'true');
+        assert.equal(request.headers.authorization, undefined);
+        assert.deepEqual(request.body, {
+            model: 'claude-test',
+            max_tokens: AnthropicProvider.maxTokens,
+            system: 'You screen jobs',
+            messages: [{ role: 'user', content: 'Is this a fit?' }],
+            temperature: 0.2
+        });
+    });
+
+    it('joins the text blocks and reads the token usage', async () => {
+        server.reply({
+            json: {
+                content: [
+                    { type: 'text', text: 'VERDICT: ' },
+                    { type: 'tool_use', id: 'tool_1', name: 'lookup', input: {} },
+                    { type: 'text', text: 'MAYBE' }
+                ],
+                usage: { input_tokens: 200, output_tokens: 12 }
+            }
+        });
+
+        const response = await provider.complete(REQUEST);
+
+        assert.equal(response.text, 'VERDICT: MAYBE');
+        assert.deepEqual(response.usage, { inputTokens: 200, outputTokens: 12 });
+    });
+
+    it('streams the text and adds up the usage of the start and delta events', async () => {
+        server.reply({
+            events: [
+                { event: 'message_start', data: { type: 'message_start', message: { usage: { input_tokens: 80 } } } },
+                { event: 'ping', data: { type: 'ping' } },
+                { event: 'content_block_delta', data: { type: 'content_block_delta', delta: { type: 'text_delta', text: 'VERDICT' } } },
+                { event: 'content_block_delta', data: { type: 'content_block_delta', delta: { type: 'text_delta', text: ': NO' } } },
+                { event: 'message_delta', data: { type: 'message_delta', usage: { output_tokens: 5 } } },
+                { event: 'message_stop', data: { type: 'message_stop' } }
+            ]
+        });
+
+        const progress = [];
+        const response = await provider.stream(REQUEST, text => progress.push(text));
+
+        assert.equal(server.requests.at(-1).body.stream, true);
+        assert.equal(response.text, 'VERDICT: NO');
+        assert.deepEqual(progress, ['VERDICT', 'VERDICT: NO']);
+        assert.deepEqual(response.usage, { inputTokens: 80, outputTokens: 5 });
+    });
+
+    it('maps errors sent mid-stream by their type', async () => {
+        const cases = [
+            ['rate_limit_error', ERROR_TYPES.RATE_LIMIT],
+            ['overloaded_error', ERROR_TYPES.SERVER],
+            ['api_error', ERROR_TYPES.SERVER],
+            ['invalid_request_error', ERROR_TYPES.CLIENT]
+        ];
+
+        for (const [errorType, type] of cases) {
+            server.reply({
+                events: [
+                    { event: 'message_start', data: { type: 'message_start', message: { usage: { input_tokens: 80 } } } },
+                    { event: 'error', data: { type: 'error', error: { type: errorType, message: 'Stopped' } } }
+                ]
+            });
+
+            await assert.rejects(provider.stream(REQUEST), error =>
+                error instanceof ProviderError && error.type === type && error.message === 'Anthropic stream failed: Stopped');
+        }
+    });
+
+    it('rejects a response without content blocks', async () => {
+        server.reply({ json: { type: 'message' } });
+
+        await assert.rejects(provider.complete(REQUEST), /did not contain a message/);
+    });
+
+    describe('error mapping', () => {
+        const cases = [
+            { status: 429, headers: { 'retry-after': '3' }, type: ERROR_TYPES.RATE_LIMIT, retryAfterMs: 3000 },
+            { status: 529, type: ERROR_TYPES.SERVER },
+            { status: 500, type: ERROR_TYPES.SERVER },
+            { status: 401, type: ERROR_TYPES.AUTH },
+            { status: 400, type: ERROR_TYPES.CLIENT },
+            { status: 404, type: ERROR_TYPES.CLIENT }
+        ];
+
+        for (const { status, headers, type, retryAfterMs = null } of cases) {
+            it(`maps ${status} to ${type}`, async () => {
+                server.reply({
+                    status,
+                    headers,
+                    json: { type: 'error', error: { type: 'some_error', message: `Failure ${status}` } }
+                });
+
+                await assert.rejects(provider.complete(REQUEST), error => {
+                    assert.ok(error instanceof ProviderError);
+                    assert.equal(error.type, type);
+                    assert.equal(error.status, status);
+                    assert.equal(error.retryAfterMs, retryAfterMs);
+                    assert.equal(error.message, `Anthropic request failed: ${status} Failure ${status}`);
+                    return true;
+                });
+            });
+        }
+
+        it('refuses to send a request without an API key', async () => {
+            const count = server.requests.length;
+            const keyless = new AnthropicProvider({ baseUrl: server.baseUrl });
+
+            await assert.rejects(keyless.complete(REQUEST), error =>
+                error instanceof ProviderError && error.type === ERROR_TYPES.AUTH);
+            assert.equal(server.requests.length, count);
+        });
+    });
+});
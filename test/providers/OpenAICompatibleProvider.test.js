@@ -0,0 +1,81 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import OpenAICompatibleProvider from '../../js/providers/OpenAICompatibleProvider.js';
+import ProviderError, { ERROR_TYPES } from '../../js/providers/ProviderError.js';
+import { startStubServer } from '../helpers/stubServer.js';
+
+const REQUEST = { systemPrompt: 'You screen jobs', userPrompt: 'Is this a fit?' };
+
+describe('OpenAICompatibleProvider', () => {
+    let server;
+
+    before(async () => {
+        server = await startStubServer();
+    });
+
+    after(() => server.close());
+
+    it('sends requests without an API key or authorization header', async () => {
+        const provider = new OpenAICompatibleProvider({ model: 'llama-test', baseUrl: server.baseUrl });
+        server.reply({ json: { choices: [{ message: { content: 'VERDICT: YES' } }] } });
+
+        const response = await provider.complete(REQUEST);
+
+        const request = server.requests.at(-1);
+        assert.equal(request.path, '/v1/chat/completions');
+        assert.equal(request.headers.authorization, undefined);
+        assert.equal(request.body.model, 'llama-test');
+        assert.equal(request.body.temperature, 0.3);
+        assert.equal(response.text, 'VERDICT: YES');
+        // llama.cpp and Ollama may leave out the usage
+        assert.equal(response.usage, null);
+    });
+
+    it('sends the API key of servers that require one', async () => {
+        const provider = new OpenAICompatibleProvider({ apiKey: 'local-key', baseUrl: server.baseUrl });
+        server.reply({ json: { choices: [{ message: { content: 'VERDICT: NO' } }] } });
+
+        await provider.complete(REQUEST);
+
+        assert.equal(server.requests.at(-1).headers.authorization, 'Bearer local-key');
+    });
+
+    it('streams without asking for usage chunks', async () => {
+        const provider = new OpenAICompatibleProvider({ baseUrl: server.baseUrl });
+        server.reply({
+            events: [
+                { data: { choices: [{ delta: { content: 'VERDICT: ' } }] } },
+                { data: 'not json' },
+                { data: { choices: [{ delta: { content: 'MAYBE' } }] } },
+                { data: '[DONE]' }
+            ]
+        });
+
+        const response = await provider.stream(REQUEST);
+
+        assert.equal(server.requests.at(-1).body.stream, true);
+        assert.equal(server.requests.at(-1).body.stream_options, undefined);
+        assert.equal(response.text, 'VERDICT: MAYBE');
+        assert.equal(response.usage, null);
+    });
+
+    it('maps a failed request to a ProviderError', async () => {
+        const provider = new OpenAICompatibleProvider({ baseUrl: server.baseUrl });
+        server.reply({ status: 404, json: { error: { message: 'model "llama-test" not found' } } });
+
+        await assert.rejects(provider.complete(REQUEST), error =>
+            error instanceof ProviderError &&
+            error.type === ERROR_TYPES.CLIENT &&
+            !error.retryable &&
+            error.message === 'OpenAI-compatible (local server) request failed: 404 model "llama-test" not found');
+    });
+
+    it('maps a server that is not running to a network error', async () => {
+        const closed = await startStubServer();
+        await closed.close();
+        const provider = new OpenAICompatibleProvider({ baseUrl: closed.baseUrl });
+
+        await assert.rejects(provider.complete(REQUEST), error =>
+            error instanceof ProviderError && error.type === ERROR_TYPES.NETWORK);
+    });
+});
@@ -0,0 +1,145 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import OpenAIProvider from '../../js/providers/OpenAIProvider.js';
+import ProviderError, { ERROR_TYPES } from '../../js/providers/ProviderError.js';
+import { startStubServer } from '../helpers/stubServer.js';
+
+const REQUEST = { systemPrompt: 'You screen jobs', userPrompt: 'Is this a fit?', temperature: 0.2 };
+
+describe('OpenAIProvider', () => {
+    let server;
+    let provider;
+
+    before(async () => {
+        server = await startStubServer();
+        provider = new OpenAIProvider({ apiKey: 'sk-test', model: 'gpt-test', baseUrl: `${server.baseUrl}/` });
+    });
+
+    after(() => server.close());
+
+    it('posts the prompts to the chat completions endpoint', async () => {
+        server.reply({ json: { choices: [{ message: { content: 'VERDICT: YES' } }] } });
+
+        await provider.complete({ ...REQUEST, jsonMode: true });
+
+        const request = server.requests.at(-1);
+        assert.equal(request.method, 'POST');
+        assert.equal(request.path, '/v1/chat/completions');
+        assert.equal(request.headers.authorization, 'Bearer sk-test');
+        assert.equal(request.headers['content-type'], 'application/json');
+        assert.deepEqual(request.body, {
+            model: 'gpt-test',
+            messages: [
+                { role: 'system', content: 'You screen jobs' },
+                { role: 'user', content: 'Is this a fit?' }
+            ],
+            temperature: 0.2,
+            response_format: { type: 'json_object' }
+        });
+    });
+
+    it('reads the message and the token usage', async () => {
+        server.reply({
+            json: {
+                choices: [{ message: { content: 'VERDICT: NO' } }],
+                usage: { prompt_tokens: 120, completion_tokens: 30 }
+            }
+        });
+
+        const response = await provider.complete(REQUEST);
+
+        assert.equal(response.text, 'VERDICT: NO');
+        assert.deepEqual(response.usage, { inputTokens: 120, outputTokens: 30 });
+    });
+
+    it('streams the text and reads the usage of the last chunk', async () => {
+        server.reply({
+            events: [
+                { data: { choices: [{ delta: { content: 'VERDICT' } }] } },
+                { data: { choices: [{ delta: { content: ': YES' } }] } },
+                { data: { choices: [], usage: { prompt_tokens: 50, completion_tokens: 4 } } },
+                { data: '[DONE]' }
+            ]
+        });
+
+        const progress = [];
+        const response = await provider.stream(REQUEST, text => progress.push(text));
+
+        assert.equal(server.requests.at(-1).body.stream, true);
+        assert.deepEqual(server.requests.at(-1).body.stream_options, { include_usage: true });
+        assert.equal(response.text, 'VERDICT: YES');
+        assert.deepEqual(progress, ['VERDICT', 'VERDICT: YES']);
+        assert.deepEqual(response.usage, { inputTokens: 50, outputTokens: 4 });
+    });
+
+    it('fails on an error sent mid-stream', async () => {
+        server.reply({
+            events: [
+                { data: { choices: [{ delta: { content: 'VER' } }] } },
+                { data: { error: { message: 'The server had an error' } } }
+            ]
+        });
+
+        await assert.rejects(provider.stream(REQUEST), error =>
+            error instanceof ProviderError && error.type === ERROR_TYPES.SERVER && /The server had an error/.test(error.message));
+    });
+
+    it('rejects a response without a message', async () => {
+        server.reply({ json: { choices: [] } });
+
+        await assert.rejects(provider.complete(REQUEST), /did not contain a message/);
+    });
+
+    describe('error mapping', () => {
+        const cases = [
+            { status: 429, headers: { 'retry-after-ms': '1500' }, type: ERROR_TYPES.RATE_LIMIT, retryAfterMs: 1500 },
+            { status: 429, headers: { 'retry-after': '2' }, type: ERROR_TYPES.RATE_LIMIT, retryAfterMs: 2000 },
+            { status: 500, type: ERROR_TYPES.SERVER },
+            { status: 503, type: ERROR_TYPES.SERVER },
+            { status: 408, type: ERROR_TYPES.SERVER },
+            { status: 401, type: ERROR_TYPES.AUTH },
+            { status: 403, type: ERROR_TYPES.AUTH },
+            { status: 400, type: ERROR_TYPES.CLIENT }
+        ];
+
+        for (const { status, headers, type, retryAfterMs = null } of cases) {
+            it(`maps ${status}${headers ? ` with ${Object.keys(headers)[0]}` : ''} to ${type}`, async () => {
+                server.reply({ status, headers, json: { error: { message: `Failure ${status}` } } });
+
+                await assert.rejects(provider.complete(REQUEST), error => {
+                    assert.ok(error instanceof ProviderError);
+                    assert.equal(error.type, type);
+                    assert.equal(error.status, status);
+                    assert.equal(error.retryAfterMs, retryAfterMs);
+                    assert.equal(error.message, `OpenAI request failed: ${status} Failure ${status}`);
+                    return true;
+                });
+            });
+        }
+
+        it('keeps the status text of an error without a JSON body', async () => {
+            server.reply({ status: 502, text: '<html>Bad gateway</html>' });
+
+            await assert.rejects(provider.complete(REQUEST), error =>
+                error.type === ERROR_TYPES.SERVER && error.message === 'OpenAI request failed: 502 Bad Gateway');
+        });
+
+        it('maps an unreachable server to a network error', async () => {
+            const closed = await startStubServer();
+            await closed.close();
+            const unreachable = new OpenAIProvider({ apiKey: 'sk-test', baseUrl: closed.baseUrl });
+
+            await assert.rejects(unreachable.complete(REQUEST), error =>
+                error instanceof ProviderError && error.type === ERROR_TYPES.NETWORK && error.retryable);
+        });
+
+        it('refuses to send a request without an API key', async () => {
+            const count = server.requests.length;
+            const keyless = new OpenAIProvider({ baseUrl: server.baseUrl });
+
+            await assert.rejects(keyless.complete(REQUEST), error =>
+                error instanceof ProviderError && error.type === ERROR_TYPES.AUTH);
+            assert.equal(server.requests.length, count);
+        });
+    });
+});
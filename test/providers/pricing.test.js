@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCost, getModelPrice, isLocalEndpoint } from '../../js/providers/pricing.js';
+
+describe('pricing', () => {
+    it('prices dated snapshots by the longest matching model name', () => {
+        assert.deepEqual(getModelPrice('openai', 'gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.6 });
+        assert.deepEqual(getModelPrice('openai', 'gpt-4o-2024-08-06'), { input: 2.5, output: 10 });
+    });
+
+    it('prefers the user price of a model', () => {
+        assert.deepEqual(getModelPrice('openai', 'gpt-4o', { 'gpt-4o': { input: 1, output: 2 } }), { input: 1, output: 2 });
+    });
+
+    it('treats the mock and OpenAI-compatible servers on this machine as free', () => {
+        assert.deepEqual(getModelPrice('mock', 'mock'), { input: 0, output: 0 });
+        for (const baseUrl of ['http://localhost:11434/v1', 'http://127.0.0.1:8080/v1', 'http://[::1]:1234/v1', 'http://llm.localhost/v1']) {
+            assert.deepEqual(getModelPrice('openai-compatible', 'llama3', {}, baseUrl), { input: 0, output: 0 }, baseUrl);
+        }
+    });
+
+    it('does not treat hosted OpenAI-compatible services as free', () => {
+        for (const baseUrl of ['https://api.together.xyz/v1', 'https://localhost.example.com/v1', 'not a url', '']) {
+            assert.equal(getModelPrice('openai-compatible', 'llama3', {}, baseUrl), null, baseUrl);
+        }
+        assert.deepEqual(getModelPrice('openai-compatible', 'gpt-4o-mini', {}, 'https://proxy.example.com/v1'),
+            { input: 0.15, output: 0.6 });
+    });
+
+    it('recognizes loopback addresses only', () => {
+        assert.equal(isLocalEndpoint('http://127.1.2.3:8000'), true);
+        assert.equal(isLocalEndpoint('http://192.168.1.10:8000'), false);
+    });
+
+    it('calculates the cost of a request, or null without a price', () => {
+        assert.equal(calculateCost({ inputTokens: 1000000, outputTokens: 500000 }, { input: 2, output: 8 }), 6);
+        assert.equal(calculateCost({ inputTokens: 10, outputTokens: 10 }, null), null);
+    });
+});
@@ -0,0 +1,233 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseHTML } from 'linkedom';
+import IndeedAdapter from '../../js/sites/IndeedAdapter.js';
+
+/**
+ * Load a results page fixture as the document the adapter reads
+ * @param {String} fixture - File name in fixtures/indeed
+ * @param {String} url - URL of the page
+ * @returns {Document} The page
+ */
+function loadPage(fixture, url) {
+    const html = readFileSync(new URL(`../fixtures/indeed/${fixture}`, import.meta.url), 'utf8');
+    const { document, Node } = parseHTML(html);
+    const location = new URL(url);
+    Object.assign(globalThis, {
+        document,
+        Node,
+        location,
+        window: { location, addEventListener() {} }
+    });
+    return document;
+}
+
+/**
+ * Show a job in the view pane after a delay, the way Indeed does when a card is clicked
+ * @param {Element} listing - Card to click
+ * @param {String} jobId - Job key the card selects
+ * @param {String|null} description - Description the pane shows for it, or null if it already shows the job
+ * @param {Number} delay - Milliseconds until the pane updates
+ */
+function loadJobOnClick(listing, jobId, description, delay) {
+    listing.querySelector('a.jcs-JobTitle').addEventListener('click', () => {
+        setTimeout(() => {
+            window.location.searchParams.set('vjk', jobId);
+            if (description !== null) {
+                document.querySelector('#jobDescriptionText').textContent = description;
+            }
+        }, delay);
+    });
+}
+
+describe('IndeedAdapter', () => {
+    describe('on the current results layout', () => {
+        it('finds the job cards and leaves out promotions without a job key', () => {
+            const document = loadPage('search-results.html', 'https://www.indeed.com/jobs?q=engineer');
+            const adapter = new IndeedAdapter();
+
+            const listings = adapter.findJobListings();
+
+            assert.equal(document.querySelectorAll('#mosaic-provider-jobcards .cardOutline').length, 3);
+            assert.equal(listings.length, 2);
+            assert.deepEqual(listings.map(listing => adapter.getListingId(listing)),
+                ['1a2b3c4d5e6f7a8b', '9f8e7d6c5b4a3210']);
+        });
+
+        it('reads the card fields, with the salary from the salary snippet or the attribute snippets', () => {
+            loadPage('search-results.html', 'https://www.indeed.com/jobs?q=engineer');
+            const adapter = new IndeedAdapter();
+
+            const cards = adapter.findJobListings().map(listing => adapter.extractCardContent(listing));
+
+            assert.deepEqual(cards, [
+                {
+                    jobId: '1a2b3c4d5e6f7a8b',
+                    title: 'Senior Frontend Engineer',
+                    company: 'Acme Corp',
+                    location: 'Remote in Austin, TX',
+                    salary: '$140,000 - $170,000 a year',
+                    url: 'https://www.indeed.com/viewjob?jk=1a2b3c4d5e6f7a8b'
+                },
+                {
+                    jobId: '9f8e7d6c5b4a3210',
+                    title: 'Data Analyst',
+                    company: 'Globex',
+                    location: 'Chicago, IL 60601',
+                    salary: 'From $28 an hour',
+                    url: 'https://www.indeed.com/viewjob?jk=9f8e7d6c5b4a3210'
+                }
+            ]);
+        });
+
+        it('finds the next page link', () => {
+            loadPage('search-results.html', 'https://www.indeed.com/jobs?q=engineer');
+
+            const link = new IndeedAdapter().findNextPageButton();
+
+            assert.equal(link?.getAttribute('href'), '/jobs?q=engineer&start=10');
+        });
+
+        it('does not count selecting a job as a new search', () => {
+            loadPage('search-results.html', 'https://www.indeed.com/jobs?q=engineer&vjk=1a2b3c4d5e6f7a8b');
+            const adapter = new IndeedAdapter();
+            const search = adapter.getSearchKey();
+
+            window.location.searchParams.set('vjk', '9f8e7d6c5b4a3210');
+
+            assert.equal(adapter.getSearchKey(), search);
+        });
+    });
+
+    describe('on the older results layout', () => {
+        it('takes the job key from the link of cards without data-jk', () => {
+            loadPage('search-results-legacy.html', 'https://uk.indeed.com/jobs?q=qa&start=10');
+            const adapter = new IndeedAdapter();
+
+            const listings = adapter.findJobListings();
+
+            assert.deepEqual(listings.map(listing => adapter.getListingId(listing)),
+                ['0123456789abcdef', 'fedcba9876543210']);
+        });
+
+        it('reads the card fields', () => {
+            loadPage('search-results-legacy.html', 'https://uk.indeed.com/jobs?q=qa&start=10');
+            const adapter = new IndeedAdapter();
+
+            const [first, second] = adapter.findJobListings().map(listing => adapter.extractCardContent(listing));
+
+            assert.deepEqual(first, {
+                jobId: '0123456789abcdef',
+                title: 'QA Tester',
+                company: 'Initech',
+                location: 'Denver, CO',
+                salary: '$60,000 a year',
+                url: 'https://uk.indeed.com/viewjob?jk=0123456789abcdef'
+            });
+            assert.equal(second.salary, '£45,000 - £52,000 a year');
+        });
+
+        it('finds no next page link on the last page', () => {
+            loadPage('search-results-legacy.html', 'https://uk.indeed.com/jobs?q=qa&start=10');
+
+            assert.equal(new IndeedAdapter().findNextPageButton(), null);
+        });
+    });
+
+    describe('reading the description', () => {
+        afterEach(() => mock.timers.reset());
+
+        it('reads the pane of the job a new search highlights once clicking it sets vjk', async () => {
+            mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+            loadPage('search-results.html', 'https://www.indeed.com/jobs?q=engineer');
+            const adapter = new IndeedAdapter();
+            const [listing] = adapter.findJobListings();
+            loadJobOnClick(listing, '1a2b3c4d5e6f7a8b', null, 100);
+
+            const pending = adapter.extractListingContent(listing);
+            mock.timers.tick(500);
+            const content = await pending;
+
+            assert.equal(content.jobId, '1a2b3c4d5e6f7a8b');
+            assert.equal(content.description, 'About the roleBuild React apps');
+            assert.match(content.descriptionHtml, /<li>Build React apps<\/li>/);
+        });
+
+        it('waits for vjk to select the clicked job before reading the pane', async () => {
+            mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+            loadPage('search-results.html', 'https://www.indeed.com/jobs?q=engineer&vjk=1a2b3c4d5e6f7a8b');
+            const adapter = new IndeedAdapter();
+            const [, listing] = adapter.findJobListings();
+            loadJobOnClick(listing, '9f8e7d6c5b4a3210', 'Analyze sales data', 1200);
+
+            const pending = adapter.extractListingContent(listing);
+            // The pane still shows the previous job at the first two checks
+            for (let i = 0; i < 3; i++) {
+                mock.timers.tick(500);
+            }
+            const content = await pending;
+
+            assert.equal(content.jobId, '9f8e7d6c5b4a3210');
+            assert.equal(content.description, 'Analyze sales data');
+        });
+
+        it('does not take the highlighted job of a new search for another job clicked', async () => {
+            mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+            // No vjk yet, and the pane shows the first job Indeed highlighted
+            loadPage('search-results.html', 'https://www.indeed.com/jobs?q=engineer');
+            const adapter = new IndeedAdapter();
+            const [, listing] = adapter.findJobListings();
+
+            const pending = adapter.extractListingContent(listing);
+            for (let i = 0; i < 11; i++) {
+                mock.timers.tick(500);
+            }
+            const content = await pending;
+
+            assert.equal(content.jobId, '9f8e7d6c5b4a3210');
+            assert.equal(content.description, '');
+        });
+
+        it('goes by the job key on the pane over vjk', async () => {
+            mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+            const document = loadPage('search-results.html', 'https://www.indeed.com/jobs?q=engineer&vjk=9f8e7d6c5b4a3210');
+            const adapter = new IndeedAdapter();
+            const [, listing] = adapter.findJobListings();
+            const pane = document.querySelector('#jobsearch-ViewjobPaneWrapper');
+            pane.setAttribute('data-jk', '1a2b3c4d5e6f7a8b');
+            listing.querySelector('a.jcs-JobTitle').addEventListener('click', () => {
+                setTimeout(() => {
+                    pane.setAttribute('data-jk', '9f8e7d6c5b4a3210');
+                    document.querySelector('#jobDescriptionText').textContent = 'Analyze sales data';
+                }, 700);
+            });
+
+            const pending = adapter.extractListingContent(listing);
+            for (let i = 0; i < 2; i++) {
+                mock.timers.tick(500);
+            }
+            const content = await pending;
+
+            assert.equal(content.description, 'Analyze sales data');
+        });
+
+        it('gives up without a description when the clicked job never loads', async () => {
+            mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+            loadPage('search-results.html', 'https://www.indeed.com/jobs?q=engineer&vjk=1a2b3c4d5e6f7a8b');
+            const adapter = new IndeedAdapter();
+            const [, listing] = adapter.findJobListings();
+
+            const pending = adapter.extractListingContent(listing);
+            for (let i = 0; i < 11; i++) {
+                mock.timers.tick(500);
+            }
+            const content = await pending;
+
+            assert.equal(content.jobId, '9f8e7d6c5b4a3210');
+            assert.equal(content.title, 'Data Analyst');
+            assert.equal(content.description, '');
+            assert.equal(content.descriptionHtml, '');
+        });
+    });
+});